@@ -10,6 +10,11 @@ const requestLogger = require('./middleware/requestLogger');
 const idempotency = require('./middleware/idempotency');
 const swaggerJSDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const { startJobs, stopJobs } = require('./jobs');
+const providers = require('./providers');
+
+// Fail fast rather than refuse every checkout
+providers.assertDefaultProvider();
 
 // Import rate limiters
 // const {
@@ -43,11 +48,12 @@ app.use(
     allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token'],
   })
 );
-// app.post(
-//   '/api/payments/webhook',
-//   express.raw({ type: 'application/json' }), // Important for signature verification
-//   require('./controllers/paymentWebhooks').handlePaymentWebhook
-// );
+// Webhooks keep their raw body: signatures are verified over the exact bytes
+// received, so this must run before express.json parses them
+app.use(
+  '/api/tickets/webhook',
+  express.raw({ type: 'application/json', limit: '100kb' })
+);
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(tracing);
@@ -58,7 +64,10 @@ app.use(cookieParser(process.env.COOKIE_SECRET));
 // Database connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => logger.info('MongoDB connected successfully'))
+  .then(() => {
+    logger.info('MongoDB connected successfully');
+    startJobs();
+  })
   .catch((err) => {
     logger.error('MongoDB connection error:', err);
     process.exit(1);
@@ -93,6 +102,9 @@ app.use((err, req, res, next) => {
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/events', require('./routes/eventRoutes'));
 app.use('/api/tickets', require('./routes/ticketRoutes'));
+app.use('/api/orders', require('./routes/orderRoutes'));
+app.use('/api/resale', require('./routes/resaleRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
 app.use('/api/dashboard', require('./routes/dashboard'));
 app.use('/api/health', require('./routes/healthRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
@@ -140,6 +152,7 @@ process.on('unhandledRejection', (err) => {
 // Handle shutdown
 process.on('SIGINT', () => {
   logger.info('Shutting down server...');
+  stopJobs();
   server.close(() => {
     mongoose.connection.close(false, () => {
       logger.info('MongoDB connection closed');
@@ -0,0 +1,112 @@
+const Event = require('../models/Event');
+const GuestListEntry = require('../models/GuestListEntry');
+const { AppError } = require('../middleware/errorHandler');
+const admission = require('../utils/admission');
+const guestList = require('../utils/guestList');
+const checkinStream = require('../utils/checkinStream');
+
+const summarize = (entry) => ({
+  entryId: entry._id,
+  name: entry.name,
+  email: entry.email,
+  plusOnes: entry.plusOnes,
+  admitted: entry.admitted,
+  remaining: guestList.remaining(entry),
+  note: entry.note,
+});
+
+// GET /api/tickets/guest-list/search - Find guests by name or email at the
+// door (assigned Staff)
+exports.searchGuests = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.query.eventId).select(
+      'staffAssignments'
+    );
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+    admission.assertAssigned(event, req.user);
+
+    const entries = await GuestListEntry.find(
+      guestList.searchFilter(event._id, req.query.q)
+    )
+      .sort({ name: 1 })
+      .limit(20)
+      .lean();
+
+    res.json({ guests: entries.map(summarize) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/tickets/guest-list/:entryId/check-in - Admit a guest and up to
+// their remaining companions (assigned Staff)
+exports.checkInGuest = async (req, res, next) => {
+  const count = req.body.count || 1;
+  let scanned;
+  try {
+    const entry = await GuestListEntry.findById(req.params.entryId);
+    if (!entry) {
+      throw new AppError('Guest not found', 404);
+    }
+    const event = await Event.findById(entry.event).select(
+      'isCancelled staffAssignments gates'
+    );
+
+    // Same staff, gate and shift rules as scanning a ticket
+    const gate = admission.resolveGate(event, req.user, {
+      gateId: req.body.gateId,
+    });
+    scanned = {
+      event: event._id,
+      guestListEntry: entry._id,
+      tier: 'Guest list',
+      gate: gate ? gate._id : undefined,
+      gateName: gate ? gate.name : undefined,
+      direction: 'IN',
+      scannedBy: req.user.id,
+    };
+    if (event.isCancelled) {
+      throw new AppError('Event has been cancelled', 400, {
+        code: 'EVENT_CANCELLED',
+        reason: 'EVENT_CANCELLED',
+      });
+    }
+
+    const updated = await guestList.checkIn(entry, {
+      count,
+      checkedInBy: req.user.id,
+      gate: gate ? gate._id : undefined,
+    });
+
+    checkinStream.record({
+      ...scanned,
+      result: 'ACCEPTED',
+      guests: count,
+    });
+
+    req.logger.info('Guest checked in', {
+      entryId: entry._id,
+      eventId: event._id,
+      count,
+      staffId: req.user.id,
+    });
+
+    res.json({
+      valid: true,
+      guest: summarize(updated),
+      gate: gate && { id: gate._id, name: gate.name },
+      admittedNow: count,
+    });
+  } catch (err) {
+    if (scanned && err instanceof AppError && err.statusCode < 500) {
+      checkinStream.record({
+        ...scanned,
+        result: 'REJECTED',
+        reason: (err.details && err.details.code) || 'INVALID',
+      });
+    }
+    next(err);
+  }
+};
@@ -0,0 +1,300 @@
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const OfflineScan = require('../models/OfflineScan');
+const { AppError } = require('../middleware/errorHandler');
+const admission = require('../utils/admission');
+const offlineManifest = require('../utils/offlineManifest');
+const checkinStream = require('../utils/checkinStream');
+
+const loadEventForStaff = async (eventId, user) => {
+  const event = await Event.findById(eventId).select(
+    'name date endDate location isCancelled staffAssignments gates ticketTypes'
+  );
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+  admission.assertAssigned(event, user);
+  return event;
+};
+
+// GET /api/tickets/offline/public-key - Key devices pin to check manifests
+exports.getPublicKey = (req, res) => {
+  res.json({ algorithm: 'Ed25519', publicKey: offlineManifest.publicKey() });
+};
+
+// GET /api/tickets/offline/manifest/:eventId - Signed list of admissible
+// ticket hashes for assigned staff to scan against without connectivity
+exports.getManifest = async (req, res, next) => {
+  try {
+    const event = await loadEventForStaff(req.params.eventId, req.user);
+    if (event.isCancelled) {
+      throw new AppError('Event has been cancelled', 400, {
+        code: 'EVENT_CANCELLED',
+      });
+    }
+
+    const tickets = await Ticket.find({
+      event: event._id,
+      status: { $in: ['ACTIVE', 'TRANSFERRED', 'USED'] },
+      // Tickets mid-transfer or listed for resale can't be scanned
+      pendingTransfer: null,
+      resaleListing: null,
+    })
+      .select('qrData ticketType tier isUsed admissionState daysAdmitted')
+      .lean();
+
+    const generatedAt = new Date();
+    const signed = offlineManifest.sign({
+      version: 1,
+      event: {
+        id: event._id.toString(),
+        name: event.name,
+        date: event.date,
+        endDate: event.endDate,
+      },
+      generatedAt,
+      expiresAt: new Date(
+        generatedAt.getTime() +
+          offlineManifest.MANIFEST_TTL_HOURS * 60 * 60 * 1000
+      ),
+      hashAlgorithm: 'sha256',
+      tickets: tickets.map((t) => {
+        const type = admission.ticketTypeFor(t, event);
+        return {
+          h: admission.ticketHash(t.qrData),
+          tier: t.tier,
+          mode: (type && type.admissionMode) || 'SINGLE',
+          used: t.isUsed,
+          state: t.admissionState,
+          days: t.daysAdmitted,
+        };
+      }),
+    });
+
+    req.logger.info('Offline manifest issued', {
+      eventId: event._id,
+      staffId: req.user.id,
+      tickets: tickets.length,
+    });
+
+    res.json(signed);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Refusals that mean the holder was already let in by another scan
+const DUPLICATE_REASONS = [
+  'ALREADY_USED',
+  'ALREADY_INSIDE',
+  'NOT_INSIDE',
+  'ALREADY_ADMITTED_TODAY',
+];
+
+// Apply one offline scan and persist it only if no other scan was recorded
+// for the ticket in the meantime. Resolves to false on such a conflict.
+async function applyScan(ticket, scan, user) {
+  const recorded = ticket.validationHistory.length;
+  const entry = admission.admit(ticket, {
+    direction: scan.direction,
+    now: scan.scannedAt,
+    validatedBy: user.id,
+    gate: scan.gate,
+    location: scan.location,
+    source: 'OFFLINE',
+    deviceId: scan.deviceId,
+  });
+
+  const $set = { isUsed: true };
+  if (ticket.admissionState) $set.admissionState = ticket.admissionState;
+  if (ticket.daysAdmitted.length) $set.daysAdmitted = ticket.daysAdmitted;
+
+  const { admissionMode, ...historyEntry } = entry;
+  const update = await Ticket.updateOne(
+    { _id: ticket._id, validationHistory: { $size: recorded } },
+    { $set, $push: { validationHistory: historyEntry } }
+  );
+  return update.modifiedCount === 1 ? entry : null;
+}
+
+// Resolve one ticket's offline scans, earliest first, through the same
+// admission rules as live validation. Scans refused because the holder was
+// already admitted are duplicates; those from another device are flagged.
+async function resolveTicketScans(ticket, scans, user) {
+  const results = [];
+
+  for (const scan of scans) {
+    try {
+      let entry = await applyScan(ticket, scan, user);
+      if (!entry) {
+        // Scanned online while this batch was being processed
+        ({ ticket } = await admission.findTicketByQr(ticket.qrData));
+        entry = await applyScan(ticket, scan, user);
+      }
+      if (!entry) {
+        throw new AppError('Ticket changed during sync', 409, {
+          code: 'CONCURRENT_SCAN',
+        });
+      }
+      results.push({ ...scan, result: 'ACCEPTED', direction: entry.direction });
+    } catch (err) {
+      if (!(err instanceof AppError)) throw err;
+      const reason = err.details.code;
+
+      if (!DUPLICATE_REASONS.includes(reason)) {
+        results.push({ ...scan, result: 'REJECTED', reason, flagged: true });
+        continue;
+      }
+
+      const previous =
+        ticket.validationHistory[ticket.validationHistory.length - 1] || {};
+      const sameDevice =
+        previous.source === 'OFFLINE' && previous.deviceId === scan.deviceId;
+      results.push({
+        ...scan,
+        result: 'DUPLICATE',
+        reason: sameDevice ? 'REPEAT_SCAN' : reason,
+        flagged: !sameDevice,
+        conflict: {
+          deviceId: previous.deviceId || 'online',
+          scannedAt: previous.timestamp,
+          location: previous.location,
+        },
+      });
+    }
+  }
+
+  return results;
+}
+
+// POST /api/tickets/offline/sync - Upload scans recorded while offline
+exports.syncScans = async (req, res, next) => {
+  try {
+    const { eventId, deviceId, scans } = req.body;
+    const event = await loadEventForStaff(eventId, req.user);
+
+    // 1. Scans uploaded before keep their original result
+    const previous = await OfflineScan.find({
+      deviceId,
+      scanId: { $in: scans.map((s) => s.scanId) },
+    }).lean();
+    const seen = new Set(previous.map((s) => s.scanId));
+
+    // 2. Verify each new scan and group the admissible ones by ticket
+    const rejected = [];
+    const byTicket = new Map();
+    for (const scan of scans) {
+      if (seen.has(scan.scanId)) continue;
+      seen.add(scan.scanId);
+
+      const record = {
+        scanId: scan.scanId,
+        deviceId,
+        scannedAt: new Date(scan.scannedAt),
+        location: scan.location,
+        direction: scan.direction,
+      };
+
+      try {
+        const { ticket } = await admission.findTicketByQr(scan.qrData);
+        if (ticket.event._id.toString() !== event._id.toString()) {
+          throw new AppError('Ticket is for a different event', 400, {
+            code: 'WRONG_EVENT',
+          });
+        }
+        record.gate = admission.resolveGate(event, req.user, {
+          gateId: scan.gateId,
+          now: record.scannedAt,
+        });
+        admission.assertAdmissible(ticket);
+
+        record.ticket = ticket._id;
+        record.tier = ticket.tier;
+        const key = ticket._id.toString();
+        if (!byTicket.has(key)) byTicket.set(key, { ticket, scans: [] });
+        byTicket.get(key).scans.push(record);
+      } catch (err) {
+        if (!(err instanceof AppError)) throw err;
+        // The device admitted someone the server would have turned away
+        rejected.push({
+          ...record,
+          result: 'REJECTED',
+          reason: (err.details && err.details.code) || err.message,
+          flagged: true,
+        });
+      }
+    }
+
+    // 3. Resolve conflicts per ticket in scan order
+    const resolved = [];
+    for (const { ticket, scans: ticketScans } of byTicket.values()) {
+      ticketScans.sort((a, b) => a.scannedAt - b.scannedAt);
+      resolved.push(
+        ...(await resolveTicketScans(ticket, ticketScans, req.user))
+      );
+    }
+
+    const processed = [...resolved, ...rejected];
+    if (processed.length) {
+      await OfflineScan.insertMany(
+        processed.map((scan) => ({
+          ...scan,
+          gate: scan.gate && scan.gate._id,
+          event: event._id,
+          uploadedBy: req.user.id,
+        })),
+        { ordered: false }
+      );
+
+      // 4. Feed the live check-in stream at the time each scan was made
+      processed.forEach((scan) =>
+        checkinStream.record({
+          event: event._id,
+          result: scan.result === 'ACCEPTED' ? 'ACCEPTED' : 'REJECTED',
+          ticket: scan.ticket,
+          tier: scan.tier,
+          gate: scan.gate && scan.gate._id,
+          gateName: scan.gate && scan.gate.name,
+          direction: scan.direction,
+          reason: scan.reason,
+          source: 'OFFLINE',
+          scannedBy: req.user.id,
+          at: scan.scannedAt,
+        })
+      );
+    }
+
+    const results = [
+      ...processed,
+      ...previous.map((s) => ({ ...s, resynced: true })),
+    ].map((scan) => ({
+      scanId: scan.scanId,
+      ticketId: scan.ticket,
+      result: scan.result,
+      direction: scan.direction,
+      reason: scan.reason,
+      flagged: scan.flagged || false,
+      conflict: scan.conflict,
+      resynced: scan.resynced || false,
+    }));
+
+    const summary = { accepted: 0, duplicates: 0, rejected: 0, flagged: 0 };
+    results.forEach((r) => {
+      if (r.result === 'ACCEPTED') summary.accepted++;
+      if (r.result === 'DUPLICATE') summary.duplicates++;
+      if (r.result === 'REJECTED') summary.rejected++;
+      if (r.flagged) summary.flagged++;
+    });
+
+    req.logger.info('Offline scans synced', {
+      eventId: event._id,
+      deviceId,
+      staffId: req.user.id,
+      ...summary,
+    });
+
+    res.json({ summary, results });
+  } catch (err) {
+    next(err);
+  }
+};
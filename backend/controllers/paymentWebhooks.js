@@ -1,202 +1,480 @@
 const { AppError } = require('../middleware/errorHandler');
-const crypto = require('crypto');
 const Ticket = require('../models/Ticket');
-const Event = require('../models/Event');
-const User = require('../models/User');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const WebhookDelivery = require('../models/WebhookDelivery');
 const logger = require('../utils/logger');
+const holds = require('../utils/holds');
+const resale = require('../utils/resale');
+const seating = require('../utils/seating');
+const waitlist = require('../utils/waitlist');
+const providers = require('../providers');
 const mongoose = require('mongoose');
 
-exports.handlePaymentWebhook = async (req, res, next) => {
+// Orders whose hold was released before the payment came through
+const LAPSED_STATUSES = ['EXPIRED', 'FAILED'];
+const LATE_PAYMENT_REASON = 'HOLD_EXPIRED';
+
+// Return a charge that arrived after its order lapsed. The PENDING refund
+// entry is saved before the provider is called, so a crash in between
+// still leaves a record of the money that may have gone out.
+exports.refundLatePayment = async (payment, refund) => {
+  let result;
+  try {
+    result = await providers.getProvider(payment.provider).refund({
+      payment,
+      amount: refund.amount,
+      reason: refund.reason,
+    });
+  } catch (err) {
+    result = { status: 'FAILED', failureReason: err.message };
+  }
+
+  refund.status = result.status;
+  if (result.status === 'COMPLETED') {
+    refund.completedAt = new Date();
+    payment.setStatus(
+      payment.refundedAmount >= payment.amount
+        ? 'REFUNDED'
+        : 'PARTIALLY_REFUNDED',
+      `Refund ${refund.refundId} of ${refund.amount} (late payment)`
+    );
+  }
+  await payment.save();
+
+  if (result.status === 'FAILED') {
+    // Fails the delivery, so the provider's retry or an admin replay
+    // tries the refund again
+    throw new AppError('Refund of late payment failed', 502, {
+      code: 'LATE_PAYMENT_REFUND_FAILED',
+      transactionId: payment.transactionId,
+      reason: result.failureReason,
+    });
+  }
+  return refund;
+};
+
+// Settle an order from a normalized provider payment event (see
+// providers/paymentProvider.js). Resolves to a summary of what was settled.
+exports.processPaymentEvent = async (providerName, paymentEvent) => {
+  const {
+    transactionId,
+    status,
+    orderNumber,
+    amount,
+    currency,
+    fees,
+    paymentMethod,
+    customer,
+  } = paymentEvent;
+
+  // 1. Validate payload structure
+  if (
+    !transactionId ||
+    !status ||
+    !orderNumber ||
+    amount === undefined ||
+    !currency ||
+    !paymentMethod
+  ) {
+    throw new AppError('Missing required fields in webhook payload', 400, {
+      requiredFields: [
+        'transactionId',
+        'status',
+        'orderNumber',
+        'amount',
+        'currency',
+        'paymentMethod',
+      ],
+      code: 'MISSING_REQUIRED_FIELDS',
+    });
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    // 1. Verify required headers
-    if (!req.headers['idempotency-key']) {
-      throw new AppError('Idempotency key required', 400, {
-        code: 'MISSING_IDEMPOTENCY_KEY',
+    const order = await Order.findOne({ orderNumber }).session(session);
+    if (!order) {
+      throw new AppError('Order not found', 404, {
+        orderNumber,
+        code: 'ORDER_NOT_FOUND',
       });
     }
 
-    // 2. Verify webhook signature
-    const signature = req.headers['x-payment-signature'];
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET)
-      .update(JSON.stringify(req.body))
-      .digest('hex');
-
-    if (!signature || signature !== expectedSignature) {
-      throw new AppError('Invalid webhook signature', 401, {
-        code: 'INVALID_SIGNATURE',
+    // The ledger entry is opened when the payment is initiated; webhooks
+    // for charges we never initiated still get one
+    let payment = await Payment.findOne({ transactionId }).session(session);
+    if (!payment) {
+      payment = new Payment({
+        transactionId,
+        provider: providerName,
+        order: order._id,
+        tickets: order.tickets,
+        amount,
+        currency,
       });
     }
+    payment.fees = fees || 0;
+    payment.paymentMethod = paymentMethod;
+    payment.customer = {
+      email: customer?.email,
+      phone: customer?.phone,
+    };
 
-    // 3. Log raw payload (sanitized)
-    logger.info('Payment webhook received', {
-      event: 'payment_webhook',
-      transactionId: req.body?.transactionId,
-      status: req.body?.status,
-      ticketCount: req.body?.ticketIds?.length || 0,
-      paymentMethod: req.body?.paymentMethod,
-    });
+    // 2. Process based on payment status
+    if (status === 'success' && LAPSED_STATUSES.includes(order.paymentStatus)) {
+      // The charge went through after the hold lapsed and its tickets were
+      // released: keep the charge on record and give the money back
+      payment.amount = amount;
+      if (['PENDING', 'FAILED'].includes(payment.status)) {
+        payment.setStatus(
+          'COMPLETED',
+          `Order ${orderNumber} paid after its hold was released`
+        );
+      }
+      // Replays retry a refund that failed, never one that may have gone out
+      const refunded = payment.refunds.some(
+        (r) => r.reason === LATE_PAYMENT_REASON && r.status !== 'FAILED'
+      );
+      if (!refunded) {
+        payment.refunds.push({
+          refundId: new mongoose.Types.ObjectId().toString(),
+          amount,
+          reason: LATE_PAYMENT_REASON,
+          status: 'PENDING',
+        });
+      }
+      await payment.save({ session });
+      await session.commitTransaction();
 
-    // 4. Validate payload structure
-    const {
-      transactionId,
-      status,
-      ticketIds,
-      amount,
-      currency,
-      paymentMethod,
-      customer,
-    } = req.body;
-
-    if (
-      !transactionId ||
-      !status ||
-      !ticketIds?.length ||
-      !amount ||
-      !currency ||
-      !paymentMethod
-    ) {
-      throw new AppError('Missing required fields in webhook payload', 400, {
-        requiredFields: [
-          'transactionId',
-          'status',
-          'ticketIds',
-          'amount',
-          'currency',
-          'paymentMethod',
-        ],
-        code: 'MISSING_REQUIRED_FIELDS',
+      if (!refunded) {
+        await exports.refundLatePayment(
+          payment,
+          payment.refunds[payment.refunds.length - 1]
+        );
+      }
+
+      logger.warn('Late payment refunded', {
+        provider: providerName,
+        transactionId,
+        orderNumber,
+        paymentStatus: order.paymentStatus,
+        amount,
       });
+
+      return {
+        transactionId,
+        orderNumber,
+        status,
+        ticketCount: 0,
+        refunded: true,
+      };
     }
 
-    // 5. Process based on payment status
     if (status === 'success') {
-      // Get all tickets in single query
-      const tickets = await Ticket.find({ _id: { $in: ticketIds } }).session(
-        session
-      );
-
-      // Verify all tickets exist
-      if (tickets.length !== ticketIds.length) {
-        throw new AppError('Some tickets not found', 404, {
-          found: tickets.length,
-          requested: ticketIds.length,
-          code: 'TICKETS_NOT_FOUND',
-        });
-      }
-
-      // Check if tickets already have transaction IDs
-      const alreadyProcessed = tickets.some((t) => t.transactionId);
-      if (alreadyProcessed) {
-        throw new AppError('Some tickets already processed', 409, {
+      // Only PENDING orders can be settled
+      if (order.paymentStatus !== 'PENDING') {
+        throw new AppError('Order already processed', 409, {
+          orderNumber,
+          paymentStatus: order.paymentStatus,
           code: 'DUPLICATE_TRANSACTION',
         });
       }
 
-      // Calculate expected amount
-      const expectedAmount = tickets.reduce(
-        (sum, ticket) => sum + ticket.price,
-        0
-      );
-      if (amount !== expectedAmount) {
+      if (amount !== order.total || currency !== order.currency) {
         throw new AppError('Payment amount mismatch', 400, {
-          expected: expectedAmount,
-          received: amount,
+          expected: { amount: order.total, currency: order.currency },
+          received: { amount, currency },
           code: 'AMOUNT_MISMATCH',
         });
       }
 
-      // Update tickets and link to event
-      const updatePromises = tickets.map((ticket) =>
-        Ticket.updateOne(
-          { _id: ticket._id },
+      if (order.kind === 'RESALE') {
+        // The ticket already exists; it changes hands from the seller
+        await resale.completeSale(
+          order,
+          { providerName, transactionId, paymentMethod },
+          session
+        );
+      } else {
+        // Convert the holds into active tickets. Inventory was already taken
+        // when the hold was placed, so event counts don't change here.
+        const result = await Ticket.updateMany(
+          { order: order._id, status: 'PENDING' },
           {
             $set: {
+              status: 'ACTIVE',
               paymentStatus: 'confirmed',
               transactionId,
               paymentMethod,
               updatedAt: new Date(),
             },
+            $unset: { holdExpiresAt: 1 },
           }
-        ).session(session)
-      );
+        ).session(session);
 
-      // Update event ticket counts
-      const eventId = tickets[0].event;
-      const eventUpdate = Event.updateOne(
-        { _id: eventId },
-        { $inc: { 'ticketTypes.$[elem].sold': 1 } },
-        {
-          arrayFilters: [{ 'elem.name': { $in: tickets.map((t) => t.tier) } }],
-          session,
+        if (result.modifiedCount !== order.tickets.length) {
+          throw new AppError('Order tickets are no longer held', 409, {
+            orderNumber,
+            expected: order.tickets.length,
+            held: result.modifiedCount,
+            code: 'HOLD_EXPIRED',
+          });
         }
-      );
-
-      await Promise.all([...updatePromises, eventUpdate]);
+        await seating.confirm(order._id, session);
+        await waitlist.completeOffers(order._id, session);
+      }
 
-      // Create payment record (optional)
-      const paymentRecord = new Payment({
-        transactionId,
-        amount,
-        currency,
-        paymentMethod,
-        tickets: ticketIds,
-        customer: {
-          email: customer?.email,
-          phone: customer?.phone,
-        },
-        status: 'completed',
-      });
+      order.paymentStatus = 'PAID';
+      order.transactionId = transactionId;
+      order.paymentMethod = paymentMethod;
+      order.paidAt = new Date();
+      await order.save({ session });
 
-      await paymentRecord.save({ session });
+      // Record the charge in the payment ledger
+      payment.amount = amount;
+      payment.setStatus('COMPLETED', `Order ${orderNumber} paid`);
+      await payment.save({ session });
 
       await session.commitTransaction();
 
       logger.info('Payment processed successfully', {
+        provider: providerName,
         transactionId,
-        ticketCount: tickets.length,
+        orderNumber,
+        ticketCount: order.tickets.length,
         amount,
       });
     } else if (status === 'failed') {
-      // Handle failed payments
-      await Ticket.updateMany(
-        { _id: { $in: ticketIds } },
-        {
-          $set: {
-            paymentStatus: 'failed',
-            transactionId,
-            updatedAt: new Date(),
-          },
-        }
-      ).session(session);
+      // Handle failed payments: give the held inventory back straight away
+      // instead of waiting for the hold to expire
+      if (order.paymentStatus === 'PENDING') {
+        await holds.releaseHolds(
+          { order: order._id },
+          'PAYMENT_FAILED',
+          session
+        );
+        await holds.releaseOrderClaims({ _id: order._id }, session);
+        await Ticket.updateMany(
+          { order: order._id },
+          { $set: { paymentStatus: 'failed', transactionId } }
+        ).session(session);
+        order.paymentStatus = 'FAILED';
+        order.transactionId = transactionId;
+        await order.save({ session });
+      }
+
+      // Failed charges are kept in the ledger too. A charge that already
+      // settled is left as it is: a late or out-of-order failure mustn't
+      // rewrite it, so the mismatch is only logged for reconciliation.
+      if (payment.status === 'PENDING') {
+        payment.setStatus('FAILED', `Order ${orderNumber} failed`);
+        await payment.save({ session });
+      } else if (payment.status !== 'FAILED') {
+        logger.warn('Failure reported for a settled payment', {
+          provider: providerName,
+          transactionId,
+          orderNumber,
+          paymentStatus: payment.status,
+        });
+      }
 
       await session.commitTransaction();
 
-      logger.warn('Payment failed', { transactionId });
+      logger.warn('Payment failed', {
+        provider: providerName,
+        transactionId,
+        orderNumber,
+      });
+    } else {
+      await session.abortTransaction();
+    }
+
+    return {
+      transactionId,
+      orderNumber,
+      status,
+      ticketCount: order.tickets.length,
+    };
+  } catch (err) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Headers worth keeping with a stored delivery
+const STORED_HEADERS = [
+  'content-type',
+  'user-agent',
+  'x-payment-signature',
+  'x-request-id',
+];
+
+// Parse and settle a stored, signature-verified delivery, recording the
+// outcome on it. Used for live deliveries and admin replays alike. A
+// delivery already PROCESSED is refused untouched: its order is settled
+// and its status is what de-duplicates redeliveries.
+exports.processDelivery = async (delivery) => {
+  if (delivery.status === 'PROCESSED') {
+    throw new AppError('This delivery was already processed', 409, {
+      code: 'DELIVERY_ALREADY_PROCESSED',
+      processedAt: delivery.processedAt,
+    });
+  }
+  const provider = providers.getProvider(delivery.provider);
+  delivery.attempts += 1;
+
+  try {
+    const paymentEvent = provider.parseWebhook({
+      headers: delivery.headers,
+      rawBody: delivery.rawBody,
+      body: JSON.parse(delivery.rawBody),
+    });
+
+    const result = await exports.processPaymentEvent(
+      provider.name,
+      paymentEvent
+    );
+
+    delivery.status = 'PROCESSED';
+    delivery.result = result;
+    delivery.lastError = undefined;
+    delivery.processedAt = new Date();
+    await delivery.save();
+    return result;
+  } catch (err) {
+    delivery.status = 'FAILED';
+    delivery.lastError = {
+      message: err.message,
+      code: err.details?.code,
+      statusCode: err.statusCode,
+    };
+    await delivery.save();
+    throw err;
+  }
+};
+
+// Expects the raw request body (a Buffer) — app.js mounts express.raw for
+// webhook paths ahead of express.json so signatures cover the exact bytes
+exports.handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const provider = providers.getProvider(req.params.provider);
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+    // 1. Store the delivery before doing anything else with it
+    const delivery = new WebhookDelivery({
+      provider: provider.name,
+      headers: Object.fromEntries(
+        STORED_HEADERS.filter((h) => req.headers[h]).map((h) => [
+          h,
+          req.headers[h],
+        ])
+      ),
+      rawBody,
+    });
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (err) {
+      delivery.status = 'REJECTED';
+      delivery.lastError = { message: 'Malformed JSON body', statusCode: 400 };
+      await delivery.save();
+      throw new AppError('Malformed webhook payload', 400, {
+        code: 'MALFORMED_PAYLOAD',
+      });
+    }
+
+    // 2. Verify webhook signature over the raw bytes
+    const signature = provider.verifyWebhook({
+      headers: req.headers,
+      rawBody,
+      body,
+    });
+    delivery.signatureValid = signature.valid;
+    if (!signature.valid) {
+      delivery.status = 'REJECTED';
+      delivery.lastError = { code: signature.reason, statusCode: 401 };
+      await delivery.save();
+      throw new AppError('Invalid webhook signature', 401, {
+        code: 'INVALID_SIGNATURE',
+        reason: signature.reason,
+      });
     }
 
+    const paymentEvent = provider.parseWebhook({
+      headers: req.headers,
+      rawBody,
+      body,
+    });
+    delivery.eventId = paymentEvent.eventId;
+
+    // 3. Log raw payload (sanitized)
+    logger.info('Payment webhook received', {
+      event: 'payment_webhook',
+      provider: provider.name,
+      eventId: paymentEvent.eventId,
+      transactionId: paymentEvent.transactionId,
+      orderNumber: paymentEvent.orderNumber,
+      status: paymentEvent.status,
+      paymentMethod: paymentEvent.paymentMethod,
+    });
+
+    if (!paymentEvent.eventId) {
+      delivery.status = 'REJECTED';
+      delivery.lastError = { code: 'MISSING_EVENT_ID', statusCode: 400 };
+      await delivery.save();
+      throw new AppError('Webhook event id required', 400, {
+        code: 'MISSING_EVENT_ID',
+      });
+    }
+
+    // 4. De-duplicate redeliveries of an event we already processed
+    const original = await WebhookDelivery.findOne({
+      provider: provider.name,
+      eventId: paymentEvent.eventId,
+      status: 'PROCESSED',
+    });
+    if (original) {
+      delivery.status = 'DUPLICATE';
+      delivery.duplicateOf = original._id;
+      await delivery.save();
+
+      logger.info('Duplicate payment webhook ignored', {
+        provider: provider.name,
+        eventId: paymentEvent.eventId,
+      });
+      return res.status(200).json({
+        acknowledged: true,
+        duplicate: true,
+        timestamp: new Date().toISOString(),
+        ...original.result,
+      });
+    }
+
+    // 5. Settle the order
+    await delivery.save();
+    const result = await exports.processDelivery(delivery);
+
     // 6. Always acknowledge receipt
     res.status(200).json({
       acknowledged: true,
       timestamp: new Date().toISOString(),
-      transactionId,
-      ticketCount: ticketIds.length,
+      ...result,
     });
   } catch (err) {
-    await session.abortTransaction();
-
     logger.error('Payment webhook processing failed', {
       error: err.message,
       stack: err.stack,
-      transactionId: req.body?.transactionId,
-      code: err.code || 'UNKNOWN_ERROR',
+      provider: req.params.provider,
+      code: err.details?.code || 'UNKNOWN_ERROR',
     });
 
     next(err);
-  } finally {
-    session.endSession();
   }
 };
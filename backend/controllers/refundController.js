@@ -1,10 +1,55 @@
 const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
 const { AppError } = require('../middleware/errorHandler');
+const refunds = require('../utils/refunds');
+
+const summarize = (refund) => ({
+  refundId: refund._id,
+  status: refund.status,
+  approvalStatus: refund.approvalStatus,
+  amount: refund.amount,
+  fee: refund.fee,
+  currency: 'SZL',
+  policyViolations: refund.policyViolations,
+  requestedAt: refund.requestedAt,
+  processedAt: refund.processedAt,
+  failureReason: refund.failureReason,
+  paidOutManually: refund.paidOutManually,
+});
+
+// Load a ticket's pending refund for an organizer decision
+const loadRefundForDecision = async (req) => {
+  const ticket = await Ticket.findById(req.params.ticketId);
+  if (!ticket) {
+    throw new AppError('Ticket not found', 404);
+  }
+
+  const event = await Event.findById(ticket.event);
+  if (
+    req.user.role !== 'super_admin' &&
+    (!event || event.organizer.toString() !== req.user.id.toString())
+  ) {
+    throw new AppError('Only the event organizer can decide refunds', 403);
+  }
+
+  const refund = ticket.refundHistory.id(req.params.refundId);
+  if (!refund) {
+    throw new AppError('Refund not found', 404);
+  }
+  if (refund.approvalStatus !== 'AWAITING_APPROVAL') {
+    throw new AppError('Refund is not awaiting approval', 409, {
+      code: 'REFUND_ALREADY_DECIDED',
+      approvalStatus: refund.approvalStatus,
+    });
+  }
+
+  return { ticket, refund };
+};
 
 exports.processRefund = async (req, res, next) => {
   try {
     const { ticketId } = req.params;
-    const { reason } = req.body;
+    const { reason, amount } = req.body;
     const idempotencyKey = req.idempotencyKey;
     const userId = req.user.id;
 
@@ -21,7 +66,8 @@ exports.processRefund = async (req, res, next) => {
       return res.status(200).json({
         status: 'deduplicated',
         refundStatus: refund.status,
-        originalRequestAt: refund.processedAt,
+        originalRequestAt: refund.requestedAt,
+        refund: summarize(refund),
       });
     }
 
@@ -35,21 +81,151 @@ exports.processRefund = async (req, res, next) => {
       throw new AppError('You do not own this ticket', 403);
     }
 
-    // 3. Process refund using model method
-    await ticket.processRefund(reason, userId, idempotencyKey);
+    const event = await Event.findById(ticket.event);
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+    if (event.isCancelled) {
+      throw new AppError(
+        'Tickets for cancelled events are refunded automatically',
+        409,
+        { code: 'EVENT_CANCELLED' }
+      );
+    }
+
+    // 3. Record the request against the event's refund policy
+    const refund = refunds.requestRefund(ticket, event, {
+      reason,
+      amount,
+      requestedBy: userId,
+      idempotencyKey,
+    });
+
+    if (refund.approvalStatus === 'AWAITING_APPROVAL') {
+      await refunds.saveRequest(ticket, refund);
+      req.logger.info('Refund awaiting organizer approval', {
+        ticketId,
+        refundId: refund._id,
+        violations: refund.policyViolations,
+      });
+      return res.status(202).json({
+        status: 'awaiting_approval',
+        refund: summarize(refund),
+      });
+    }
 
-    // 4. Get the newly created refund record
-    const newRefund = ticket.refundHistory.find(
-      (r) => r.idempotencyKey === idempotencyKey
+    // 4. Within policy: pay out straight away
+    await refunds.executeRefund(ticket, refund, { processedBy: userId });
+
+    // Without a payment on record the organizer pays out by hand
+    if (refund.approvalStatus === 'AWAITING_APPROVAL') {
+      req.logger.info('Refund awaiting manual payout', {
+        ticketId,
+        refundId: refund._id,
+      });
+      return res.status(202).json({
+        status: 'awaiting_approval',
+        refund: summarize(refund),
+      });
+    }
+
+    res.status(refund.status === 'FAILED' ? 502 : 200).json({
+      status: refund.status.toLowerCase(),
+      refund: summarize(refund),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.approveRefund = async (req, res, next) => {
+  try {
+    const { ticket, refund } = await loadRefundForDecision(req);
+
+    // The organizer may settle on a different amount than was requested
+    if (req.body.amount !== undefined) {
+      const paid = refunds.paidAmount(ticket);
+      if (req.body.amount > paid) {
+        throw new AppError('Refund amount exceeds the ticket price', 400, {
+          code: 'AMOUNT_TOO_HIGH',
+          price: paid,
+        });
+      }
+      refund.amount = req.body.amount;
+    }
+    refund.approvalStatus = 'APPROVED';
+    refund.decidedBy = req.user.id;
+    refund.decidedAt = new Date();
+    refund.decisionNote = req.body.note;
+
+    await refunds.executeRefund(ticket, refund, {
+      processedBy: req.user.id,
+      paidOutManually: req.body.paidOutManually,
+    });
+
+    req.logger.info('Refund approved', {
+      ticketId: ticket._id,
+      refundId: refund._id,
+      approvedBy: req.user.id,
+      status: refund.status,
+      paidOutManually: refund.paidOutManually,
+    });
+
+    res.status(refund.status === 'FAILED' ? 502 : 200).json({
+      status: refund.status.toLowerCase(),
+      refund: summarize(refund),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+exports.rejectRefund = async (req, res, next) => {
+  try {
+    const { ticket, refund } = await loadRefundForDecision(req);
+
+    refund.approvalStatus = 'REJECTED';
+    refund.status = 'REJECTED';
+    refund.decidedBy = req.user.id;
+    refund.decidedAt = new Date();
+    refund.decisionNote = req.body.note;
+
+    // Only while undecided, so a concurrent approval that already sent the
+    // money can't be overwritten
+    const result = await Ticket.updateOne(
+      {
+        _id: ticket._id,
+        refundHistory: {
+          $elemMatch: {
+            _id: refund._id,
+            approvalStatus: 'AWAITING_APPROVAL',
+            submittedAt: null,
+          },
+        },
+      },
+      {
+        $set: {
+          'refundHistory.$.approvalStatus': refund.approvalStatus,
+          'refundHistory.$.status': refund.status,
+          'refundHistory.$.decidedBy': refund.decidedBy,
+          'refundHistory.$.decidedAt': refund.decidedAt,
+          'refundHistory.$.decisionNote': refund.decisionNote,
+        },
+      }
     );
+    if (result.modifiedCount === 0) {
+      throw new AppError('Refund was already decided', 409, {
+        code: 'REFUND_ALREADY_DECIDED',
+      });
+    }
 
-    res.status(200).json({
-      status: 'completed',
-      amount: ticket.price,
-      currency: 'SZL',
-      refundId: newRefund._id,
-      processedAt: newRefund.processedAt,
+    req.logger.info('Refund rejected', {
+      ticketId: ticket._id,
+      refundId: refund._id,
+      rejectedBy: req.user.id,
     });
+
+    res.json({ status: 'rejected', refund: summarize(refund) });
   } catch (err) {
     next(err);
   }
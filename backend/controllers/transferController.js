@@ -0,0 +1,327 @@
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Transfer = require('../models/Transfer');
+const { AppError } = require('../middleware/errorHandler');
+const transfers = require('../utils/transfers');
+const { notify, notifyContact } = require('../utils/notifications');
+
+const summarize = (transfer) => ({
+  transferId: transfer._id,
+  ticketId: transfer.ticket,
+  eventId: transfer.event,
+  from: transfer.from,
+  to: transfer.to,
+  recipientEmail: transfer.recipientEmail,
+  recipientPhone: transfer.recipientPhone,
+  isClaim: Boolean(transfer.recipientEmail || transfer.recipientPhone),
+  status: transfer.status,
+  message: transfer.message,
+  expiresAt: transfer.expiresAt,
+  respondedAt: transfer.respondedAt,
+  createdAt: transfer.createdAt,
+});
+
+// Load a pending transfer for the party allowed to act on it
+const loadTransfer = async (req, party) => {
+  const transfer = await Transfer.findById(req.params.transferId);
+  if (
+    !transfer ||
+    (!req.isGodMode &&
+      !(transfer[party] && transfer[party].equals(req.user.id)))
+  ) {
+    throw new AppError('Transfer not found', 404);
+  }
+  if (transfer.status !== 'PENDING') {
+    throw new AppError(`Transfer is ${transfer.status.toLowerCase()}`, 409, {
+      code: 'TRANSFER_CLOSED',
+      status: transfer.status,
+    });
+  }
+  return transfer;
+};
+
+// Claim links point at CLAIM_URL_BASE when the client app sets one
+const claimUrl = (token) =>
+  process.env.CLAIM_URL_BASE
+    ? `${process.env.CLAIM_URL_BASE.replace(/\/$/, '')}/${token}`
+    : undefined;
+
+// POST /api/tickets/transfer/:ticketId - Offer a ticket to a registered
+// user, or send a claim link to an email or phone without an account
+exports.offerTransfer = async (req, res, next) => {
+  try {
+    req.logger.info('Transfer initiated', {
+      ticketId: req.params.ticketId,
+      sender: req.user.id,
+      recipientEmail: req.body.email,
+      byPhone: Boolean(req.body.phone),
+    });
+
+    // 1. Only the holder may offer the ticket
+    const ticket = await Ticket.findById(req.params.ticketId);
+    if (!ticket) {
+      throw new AppError('Ticket not found', 404, { severity: 'high' });
+    }
+    if (!req.isGodMode && !ticket.owner.equals(req.user.id)) {
+      req.logger.warn('Ownership validation failed', {
+        expectedOwner: ticket.owner,
+        attemptingUser: req.user.id,
+      });
+      throw new AppError('You do not own this ticket', 403);
+    }
+
+    if (ticket.status === 'PENDING') {
+      throw new AppError(
+        'Cannot transfer a ticket before payment is confirmed',
+        409,
+        {
+          ticketId: ticket._id,
+          holdExpiresAt: ticket.holdExpiresAt,
+          solution: 'Complete payment before transferring this ticket',
+        }
+      );
+    }
+
+    const recipient = req.body.email
+      ? await User.findOne({ email: req.body.email.toLowerCase() })
+      : null;
+
+    // 2. Check the event's transfer policy and lock the ticket
+    const event = await Event.findById(ticket.event);
+    const { transfer, claimToken } = await transfers.offer(ticket, event, {
+      to: recipient ? recipient._id : undefined,
+      recipientEmail: recipient ? undefined : req.body.email,
+      recipientPhone: req.body.phone,
+      message: req.body.message,
+    });
+
+    // 3. Registered recipients answer from their inbox; anyone else is sent
+    // the claim link. Only if that fails does the sender get the link to
+    // pass on; it can't be shown again.
+    let claimSent = false;
+    if (recipient) {
+      await notify(recipient._id, {
+        type: 'TRANSFER_OFFERED',
+        title: `Ticket offered for ${event.name}`,
+        message: `${req.user.email} wants to transfer a ${
+          ticket.tier
+        } ticket to you. Accept before ${transfer.expiresAt.toISOString()}.`,
+        data: {
+          transferId: transfer._id,
+          ticketId: ticket._id,
+          eventId: event._id,
+        },
+      });
+    } else {
+      const link = claimUrl(claimToken) || claimToken;
+      claimSent = await notifyContact(
+        { email: req.body.email, phone: req.body.phone },
+        {
+          type: 'TRANSFER_CLAIM',
+          title: `A ticket for ${event.name}`,
+          message: `${req.user.email} sent you a ${ticket.tier} ticket for ${
+            event.name
+          }. Claim it before ${transfer.expiresAt.toISOString()}: ${link}`,
+        }
+      );
+    }
+
+    req.logger.info('Transfer offered', {
+      transferId: transfer._id,
+      ticketId: ticket._id,
+      recipient: recipient ? recipient.email : 'claim link',
+      claimSent,
+    });
+
+    res.status(201).json({
+      status: 'pending',
+      message: recipient
+        ? `Ticket offered to ${recipient.email}`
+        : `Claim link ${claimSent ? 'sent' : 'created'} for ${
+            req.body.email || req.body.phone
+          }`,
+      transfer: summarize(transfer),
+      claim: claimToken && {
+        sent: claimSent,
+        ...(!claimSent && { token: claimToken, url: claimUrl(claimToken) }),
+        expiresAt: transfer.expiresAt,
+      },
+    });
+  } catch (err) {
+    req.logger.error('Transfer failed', {
+      ticketId: req.params.ticketId,
+      error: err.message,
+    });
+    next(err);
+  }
+};
+
+// GET /api/tickets/transfers - Offers sent to or by the current user
+exports.listTransfers = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query =
+      req.query.direction === 'outgoing'
+        ? { from: req.user.id }
+        : { to: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const [items, total] = await Promise.all([
+      Transfer.find(query)
+        .populate('event', 'name date location')
+        .populate('from', 'email name')
+        .populate('to', 'email name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Transfer.countDocuments(query),
+    ]);
+
+    res.json({
+      transfers: items.map((t) => ({ ...summarize(t), event: t.event })),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/tickets/transfers/:transferId/accept
+exports.acceptTransfer = async (req, res, next) => {
+  try {
+    const transfer = await loadTransfer(req, 'to');
+    const ticket = await transfers.accept(transfer);
+
+    await notify(transfer.from, {
+      type: 'TRANSFER_ACCEPTED',
+      title: 'Ticket transfer accepted',
+      message: `${req.user.email} accepted your ${ticket.tier} ticket.`,
+      data: { transferId: transfer._id, ticketId: ticket._id },
+    });
+
+    req.logger.info('Transfer completed', {
+      transferId: transfer._id,
+      ticketId: ticket._id,
+      newOwner: transfer.to,
+    });
+
+    res.json({
+      success: true,
+      transfer: summarize(transfer),
+      ticketId: ticket._id,
+      newQRCode: ticket.qrCode,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/tickets/transfers/:transferId/decline
+exports.declineTransfer = async (req, res, next) => {
+  try {
+    const transfer = await transfers.close(
+      await loadTransfer(req, 'to'),
+      'DECLINED'
+    );
+
+    await notify(transfer.from, {
+      type: 'TRANSFER_DECLINED',
+      title: 'Ticket transfer declined',
+      message: `${req.user.email} declined your ticket. It is back in your wallet.`,
+      data: { transferId: transfer._id, ticketId: transfer.ticket },
+    });
+
+    req.logger.info('Transfer declined', { transferId: transfer._id });
+    res.json({ status: 'declined', transfer: summarize(transfer) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/tickets/transfers/:transferId/cancel - Sender withdraws the offer
+exports.cancelTransfer = async (req, res, next) => {
+  try {
+    const transfer = await transfers.close(
+      await loadTransfer(req, 'from'),
+      'CANCELLED'
+    );
+
+    // Claim links have nobody to tell until they are redeemed
+    if (transfer.to) {
+      await notify(transfer.to, {
+        type: 'TRANSFER_CANCELLED',
+        title: 'Ticket transfer withdrawn',
+        message: 'The sender withdrew their ticket offer.',
+        data: { transferId: transfer._id },
+      });
+    }
+
+    req.logger.info('Transfer cancelled', { transferId: transfer._id });
+    res.json({ status: 'cancelled', transfer: summarize(transfer) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/tickets/claims/lookup - What a claim link offers, shown before
+// the recipient signs in. The token travels in the body to stay out of logs.
+exports.lookupClaim = async (req, res, next) => {
+  try {
+    const transfer = await transfers.findClaim(req.body.token);
+    await transfer.populate([
+      { path: 'event', select: 'name date location' },
+      { path: 'ticket', select: 'tier' },
+      { path: 'from', select: 'email' },
+    ]);
+
+    res.json({
+      event: transfer.event,
+      tier: transfer.ticket && transfer.ticket.tier,
+      from: transfer.from && transfer.from.email,
+      message: transfer.message,
+      expiresAt: transfer.expiresAt,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /api/tickets/claims/accept - Redeem a claim link for the signed-in
+// user (registered or logged in after following the link)
+exports.acceptClaim = async (req, res, next) => {
+  try {
+    const transfer = await transfers.findClaim(req.body.token);
+    const ticket = await transfers.claim(transfer, req.user.id);
+
+    await notify(transfer.from, {
+      type: 'TRANSFER_ACCEPTED',
+      title: 'Ticket claimed',
+      message: `${req.user.email} claimed your ${ticket.tier} ticket.`,
+      data: { transferId: transfer._id, ticketId: ticket._id },
+    });
+
+    req.logger.info('Transfer claimed', {
+      transferId: transfer._id,
+      ticketId: ticket._id,
+      newOwner: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      transfer: summarize(transfer),
+      ticketId: ticket._id,
+      newQRCode: ticket.qrCode,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,196 @@
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const EventCancellation = require('../models/EventCancellation');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const refunds = require('../utils/refunds');
+const { notify } = require('../utils/notifications');
+
+const BATCH_SIZE = 50;
+// Keep going batch after batch for up to this long per run
+const RUN_BUDGET_MS = 60 * 1000;
+// How long a worker may hold a cancellation before another may take over
+const LEASE_MS = 5 * 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Refund one ticket in full, outside the event's refund policy, whether or
+// not it was scanned (multi-day and re-entry passes may have been). A request
+// already awaiting the organizer is approved in place rather than stacked.
+async function refundTicket(ticket, event, cancellation) {
+  let refund = ticket.refundHistory.find(
+    (r) => r.status === 'PENDING' && r.approvalStatus !== 'REJECTED'
+  );
+
+  if (refund && refund.approvalStatus !== 'AWAITING_APPROVAL') {
+    // Money is already on its way back through the provider
+    return { skipped: true };
+  }
+
+  if (refund) {
+    refund.amount = refunds.paidAmount(ticket);
+    refund.fee = 0;
+    refund.approvalStatus = 'APPROVED';
+    refund.decidedBy = cancellation.requestedBy;
+    refund.decidedAt = new Date();
+    refund.decisionNote = 'Event cancelled';
+    refund.adminOverride = true;
+  } else {
+    refund = refunds.requestRefund(ticket, event, {
+      reason: `Event cancelled: ${cancellation.reason}`,
+      requestedBy: cancellation.requestedBy,
+      idempotencyKey: `cancel-${event._id}-${ticket._id}`,
+      bypassPolicy: true,
+      includeUsed: true,
+    });
+  }
+
+  await refunds.executeRefund(ticket, refund, {
+    processedBy: cancellation.requestedBy,
+    includeUsed: true,
+  });
+
+  await AuditLog.create({
+    action: 'EVENT_CANCELLATION_REFUND',
+    userId: cancellation.requestedBy,
+    targetId: ticket._id.toString(),
+    metadata: {
+      event: event._id,
+      refundId: refund._id,
+      amount: refund.amount,
+      status: refund.status,
+      providerRefundId: refund.providerRefundId,
+      failureReason: refund.failureReason,
+    },
+  });
+
+  return { refund };
+}
+
+// Work through one batch of a cancellation's tickets, moving the cursor
+// after each so a crash never repeats a refund. Returns true when done.
+async function processBatch(cancellation) {
+  const event = await Event.findById(cancellation.event);
+
+  const query = {
+    event: cancellation.event,
+    status: { $in: refunds.PAID_STATUSES },
+  };
+  if (cancellation.cursor) query._id = { $gt: cancellation.cursor };
+
+  const tickets = await Ticket.find(query).sort({ _id: 1 }).limit(BATCH_SIZE);
+
+  for (const ticket of tickets) {
+    const inc = { 'progress.processed': 1 };
+    const update = { $set: { cursor: ticket._id }, $inc: inc };
+
+    try {
+      const { skipped, refund } = await refundTicket(
+        ticket,
+        event,
+        cancellation
+      );
+
+      if (skipped) {
+        inc['progress.skipped'] = 1;
+      } else {
+        // Tickets with no payment on record wait for a manual payout
+        const failed =
+          refund.status === 'FAILED' ||
+          refund.approvalStatus === 'AWAITING_APPROVAL';
+        if (failed) {
+          inc['progress.failed'] = 1;
+          update.$push = {
+            failures: {
+              ticket: ticket._id,
+              reason:
+                refund.failureReason ||
+                'No payment on record; awaiting manual payout',
+            },
+          };
+        } else {
+          inc['progress.refunded'] = 1;
+          inc['progress.refundedAmount'] = roundMoney(refund.amount);
+        }
+
+        await notify(ticket.owner, {
+          type: 'EVENT_CANCELLED',
+          title: `${event.name} has been cancelled`,
+          message: failed
+            ? `We could not refund your ${ticket.tier} ticket automatically. The organizer will be in touch.`
+            : `Your ${ticket.tier} ticket has been refunded (SZL ${refund.amount}).`,
+          data: {
+            event: event._id,
+            ticket: ticket._id,
+            refundId: refund._id,
+            refundStatus: refund.status,
+          },
+        });
+      }
+    } catch (err) {
+      inc['progress.failed'] = 1;
+      update.$push = { failures: { ticket: ticket._id, reason: err.message } };
+    }
+
+    update.$set.lockedUntil = new Date(Date.now() + LEASE_MS);
+    await EventCancellation.updateOne({ _id: cancellation._id }, update);
+    cancellation.cursor = ticket._id;
+  }
+
+  return tickets.length < BATCH_SIZE;
+}
+
+// Refunds the ticket holders of cancelled events in the background
+module.exports = {
+  name: 'eventCancellation',
+  intervalMs: 15 * 1000,
+
+  async run() {
+    const now = new Date();
+
+    // Claim a queued cancellation, or one whose worker died mid-run
+    const cancellation = await EventCancellation.findOneAndUpdate(
+      {
+        status: { $in: ['QUEUED', 'RUNNING'] },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          status: 'RUNNING',
+          lockedUntil: new Date(now.getTime() + LEASE_MS),
+        },
+      },
+      { new: true, sort: { createdAt: 1 } }
+    );
+    if (!cancellation) return;
+
+    if (!cancellation.startedAt) {
+      cancellation.startedAt = now;
+      cancellation.progress.total = await Ticket.countDocuments({
+        event: cancellation.event,
+        status: { $in: refunds.PAID_STATUSES },
+      });
+      await cancellation.save();
+    }
+
+    let done = false;
+    while (!done && Date.now() - now.getTime() < RUN_BUDGET_MS) {
+      done = await processBatch(cancellation);
+    }
+    const latest = await EventCancellation.findById(cancellation._id);
+
+    if (done) {
+      latest.status =
+        latest.progress.failed > 0 ? 'COMPLETED_WITH_ERRORS' : 'COMPLETED';
+      latest.finishedAt = new Date();
+      logger.info('Event cancellation refunds finished', {
+        eventId: latest.event,
+        status: latest.status,
+        progress: latest.progress,
+      });
+    }
+    // Release the lease so the next tick continues straight away
+    latest.lockedUntil = undefined;
+    await latest.save();
+  },
+};
@@ -0,0 +1,15 @@
+const logger = require('../utils/logger');
+const holds = require('../utils/holds');
+
+// Returns unpaid checkout holds to inventory once they expire
+module.exports = {
+  name: 'holdSweeper',
+  intervalMs: 60 * 1000,
+
+  async run() {
+    const released = await holds.releaseExpiredHolds();
+    if (released > 0) {
+      logger.info('Expired ticket holds released', { count: released });
+    }
+  },
+};
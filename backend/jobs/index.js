@@ -0,0 +1,45 @@
+const logger = require('../utils/logger');
+
+// Background jobs run in-process on a fixed interval
+const jobs = [
+  require('./holdSweeper'),
+  require('./eventCancellation'),
+  require('./transferExpiry'),
+  require('./resaleListings'),
+  require('./waitlistOffers'),
+];
+
+const timers = [];
+
+exports.startJobs = () => {
+  jobs.forEach((job) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      // Skip a tick rather than overlap with a slow previous run
+      if (running) return;
+      running = true;
+
+      try {
+        await job.run();
+      } catch (err) {
+        logger.error(`Background job ${job.name} failed`, {
+          error: err.message,
+          stack: err.stack,
+        });
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs);
+
+    // Don't keep the process alive just for background jobs
+    timer.unref();
+    timers.push(timer);
+  });
+
+  logger.info('Background jobs started', { jobs: jobs.map((j) => j.name) });
+};
+
+exports.stopJobs = () => {
+  timers.splice(0).forEach((timer) => clearInterval(timer));
+};
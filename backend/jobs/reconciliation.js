@@ -0,0 +1,160 @@
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const settlementCsv = require('../utils/settlementCsv');
+const logger = require('../utils/logger');
+
+// Settlement line types that represent a customer charge
+const CHARGE_TYPES = ['charge', 'payment', 'sale', 'collection'];
+
+// Ledger statuses a provider is expected to settle
+const SETTLED_STATUSES = ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// Compare parsed settlement rows against ledger payments. `expected` is the
+// set of ledger payments the file should contain, used to find charges the
+// provider never settled.
+function compare(rows, payments, expected = []) {
+  const discrepancies = [];
+  const matched = [];
+  let settledAmount = 0;
+
+  const charges = rows.filter((row) => CHARGE_TYPES.includes(row.type));
+  const byTransaction = new Map();
+
+  charges.forEach((row) => {
+    if (!row.transactionId || isNaN(row.amount)) {
+      discrepancies.push({ type: 'INVALID_LINE', lines: [row.line] });
+      return;
+    }
+    const group = byTransaction.get(row.transactionId) || [];
+    group.push(row);
+    byTransaction.set(row.transactionId, group);
+  });
+
+  const ledger = new Map(payments.map((p) => [p.transactionId, p]));
+
+  byTransaction.forEach((group, transactionId) => {
+    const lines = group.map((row) => row.line);
+
+    if (group.length > 1) {
+      discrepancies.push({ type: 'DUPLICATE', transactionId, lines });
+    }
+
+    const payment = ledger.get(transactionId);
+    if (!payment) {
+      discrepancies.push({
+        type: 'MISSING_IN_LEDGER',
+        transactionId,
+        lines,
+        actual: { amount: group[0].amount, currency: group[0].currency },
+      });
+      return;
+    }
+
+    const row = group[0];
+    const amountDiffers = Math.abs(row.amount - payment.amount) > 0.005;
+    const currencyDiffers = row.currency && row.currency !== payment.currency;
+    if (amountDiffers || currencyDiffers) {
+      discrepancies.push({
+        type: 'AMOUNT_MISMATCH',
+        transactionId,
+        lines,
+        expected: { amount: payment.amount, currency: payment.currency },
+        actual: { amount: row.amount, currency: row.currency },
+      });
+    }
+
+    if (!SETTLED_STATUSES.includes(payment.status)) {
+      discrepancies.push({
+        type: 'STATUS_MISMATCH',
+        transactionId,
+        lines,
+        expected: payment.status,
+        actual: 'SETTLED',
+      });
+    }
+
+    matched.push(transactionId);
+    settledAmount += row.amount;
+  });
+
+  expected
+    .filter((payment) => !byTransaction.has(payment.transactionId))
+    .forEach((payment) => {
+      discrepancies.push({
+        type: 'MISSING_IN_SETTLEMENT',
+        transactionId: payment.transactionId,
+        expected: { amount: payment.amount, currency: payment.currency },
+      });
+    });
+
+  return {
+    matched,
+    discrepancies,
+    summary: {
+      lines: rows.length,
+      matched: matched.length,
+      skipped: rows.length - charges.length,
+      discrepancies: discrepancies.length,
+      settledAmount: Math.round(settledAmount * 100) / 100,
+    },
+  };
+}
+
+// Import a provider settlement file and store the reconciliation report
+async function run({
+  csv,
+  provider,
+  fileName,
+  periodStart,
+  periodEnd,
+  importedBy,
+}) {
+  const rows = settlementCsv.parse(csv);
+
+  const transactionIds = [
+    ...new Set(rows.map((row) => row.transactionId).filter(Boolean)),
+  ];
+  const payments = await Payment.find({
+    transactionId: { $in: transactionIds },
+  })
+    .select('transactionId amount currency status')
+    .lean();
+
+  let expected = [];
+  if (periodStart && periodEnd) {
+    expected = await Payment.find({
+      provider,
+      status: { $in: SETTLED_STATUSES },
+      createdAt: { $gte: periodStart, $lte: periodEnd },
+    })
+      .select('transactionId amount currency status')
+      .lean();
+  }
+
+  const result = compare(rows, payments, expected);
+
+  const report = await ReconciliationReport.create({
+    provider,
+    fileName,
+    importedBy,
+    periodStart,
+    periodEnd,
+    summary: result.summary,
+    discrepancies: result.discrepancies,
+  });
+
+  await Payment.updateMany(
+    { transactionId: { $in: result.matched }, settledAt: { $exists: false } },
+    { $set: { settledAt: new Date(), settlementReport: report._id } }
+  );
+
+  logger.info('Settlement reconciliation completed', {
+    reportId: report._id,
+    provider,
+    ...result.summary,
+  });
+
+  return report;
+}
+
+module.exports = { compare, run };
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const ResaleListing = require('../models/ResaleListing');
+const logger = require('../utils/logger');
+const resale = require('../utils/resale');
+const { notify } = require('../utils/notifications');
+
+// Takes listings down at their event's resale cutoff and pays sellers
+// whose tickets have sold
+module.exports = {
+  name: 'resaleListings',
+  intervalMs: 60 * 1000,
+
+  async run(now = new Date()) {
+    // 1. Delist at the cutoff
+    const session = await mongoose.startSession();
+    let delisted = 0;
+    try {
+      await session.withTransaction(async () => {
+        delisted = await resale.delist(
+          { status: 'ACTIVE', delistAt: { $lte: now } },
+          'CUTOFF',
+          session
+        );
+      });
+    } finally {
+      session.endSession();
+    }
+    if (delisted > 0) {
+      logger.info('Resale listings delisted at cutoff', { count: delisted });
+    }
+
+    // 2. Pay out sold listings
+    const due = await ResaleListing.find({ 'payout.status': 'DUE' })
+      .select('_id')
+      .limit(50)
+      .lean();
+
+    for (const { _id } of due) {
+      const listing = await resale.payOut(_id);
+      if (!listing) continue;
+
+      logger.info('Resale payout processed', {
+        listingId: listing._id,
+        status: listing.payout.status,
+        amount: listing.sellerPayout,
+      });
+      if (listing.payout.status !== 'FAILED') {
+        await notify(listing.seller, {
+          type: 'RESALE_SOLD',
+          title: 'Your resale ticket sold',
+          message: `Your ${listing.tier} ticket sold for ${listing.currency} ${listing.price}. ${listing.currency} ${listing.sellerPayout} is on its way to you.`,
+          data: { listingId: listing._id, eventId: listing.event },
+        });
+      }
+    }
+  },
+};
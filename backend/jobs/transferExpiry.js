@@ -0,0 +1,43 @@
+const Transfer = require('../models/Transfer');
+const logger = require('../utils/logger');
+const transfers = require('../utils/transfers');
+const { notify } = require('../utils/notifications');
+
+// Closes transfer offers nobody answered in time and hands the tickets back
+module.exports = {
+  name: 'transferExpiry',
+  intervalMs: 60 * 1000,
+
+  async run(now = new Date()) {
+    const expired = await Transfer.find({
+      status: 'PENDING',
+      expiresAt: { $lte: now },
+    })
+      .limit(200)
+      .lean();
+
+    let count = 0;
+    for (const transfer of expired) {
+      try {
+        await transfers.close(transfer, 'EXPIRED', { now });
+      } catch (err) {
+        // Accepted or withdrawn in the meantime
+        if (err.details && err.details.code === 'TRANSFER_CLOSED') continue;
+        throw err;
+      }
+      count++;
+
+      await notify(transfer.from, {
+        type: 'TRANSFER_EXPIRED',
+        title: 'Ticket transfer expired',
+        message:
+          'Your ticket offer was not accepted in time. It is back in your wallet.',
+        data: { transferId: transfer._id, ticketId: transfer.ticket },
+      });
+    }
+
+    if (count > 0) {
+      logger.info('Expired ticket transfers closed', { count });
+    }
+  },
+};
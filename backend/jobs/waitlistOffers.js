@@ -0,0 +1,26 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const logger = require('../utils/logger');
+const waitlist = require('../utils/waitlist');
+
+// Lapses unused waitlist offers and offers any returned inventory (expired
+// holds, refunds, lapsed offers, added capacity) to the next in line
+module.exports = {
+  name: 'waitlistOffers',
+  intervalMs: 30 * 1000,
+
+  async run(now = new Date()) {
+    const expiredFor = await waitlist.expireOffers(now);
+    if (expiredFor.length) {
+      logger.info('Waitlist offers expired', { events: expiredFor.length });
+    }
+
+    const events = await WaitlistEntry.distinct('event', { status: 'WAITING' });
+    let offers = 0;
+    for (const eventId of events) {
+      offers += await waitlist.fillOffers(eventId, now);
+    }
+    if (offers > 0) {
+      logger.info('Waitlist offers made', { count: offers });
+    }
+  },
+};
@@ -0,0 +1,49 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+const qrProcessor = require('../utils/qrProcessor');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!['image/png', 'image/jpeg'].includes(file.mimetype)) {
+      return cb(
+        new AppError('Only PNG or JPEG images are accepted', 400, {
+          mimetype: file.mimetype,
+        })
+      );
+    }
+    cb(null, true);
+  },
+}).single('image');
+
+// Accept a photo or screenshot of a ticket (multipart field `image`) in
+// place of `qrData`: the decoded QR text is put in req.body.qrData so the
+// rest of the route treats both the same way
+module.exports = (req, res, next) => {
+  upload(req, res, async (err) => {
+    try {
+      if (err instanceof multer.MulterError) {
+        throw new AppError(`Image upload failed: ${err.message}`, 400, {
+          code: err.code,
+        });
+      }
+      if (err) throw err;
+      if (!req.file) return next();
+
+      const result = await qrProcessor.decodeQR(req.file.buffer);
+      if (result.error) {
+        throw new AppError('Could not read a QR code from the image', 400, {
+          reason: result.error,
+          solution: 'Retake the photo with the whole QR code in frame',
+        });
+      }
+
+      req.body.qrData = result.data;
+      req.qrSource = 'image';
+      next();
+    } catch (uploadErr) {
+      next(uploadErr);
+    }
+  });
+};
@@ -6,4 +6,11 @@ const adminLimiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
 });
 
-module.exports = adminLimiter;
+// Claim lookups are public; tokens can't be guessed, but nobody gets to try
+const claimLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: 'Too many claim lookups from this IP, please try again later.',
+});
+
+module.exports = { adminLimiter, claimLookupLimiter };
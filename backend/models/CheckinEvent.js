@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// One entry per scan at the gate, accepted or refused, feeding the live
+// check-in stream. The _id doubles as the SSE event id for replay.
+const CheckinEventSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true,
+  },
+  result: {
+    type: String,
+    enum: ['ACCEPTED', 'REJECTED'],
+    required: true,
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+  },
+  tier: {
+    type: String,
+  },
+  // Guest-list check-ins have no ticket; `guests` people came in at once
+  guestListEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GuestListEntry',
+  },
+  guests: {
+    type: Number,
+  },
+  gate: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  gateName: {
+    type: String,
+  },
+  direction: {
+    type: String,
+    enum: ['IN', 'OUT'],
+  },
+  // Refusal reason code from utils/admission.js
+  reason: {
+    type: String,
+  },
+  source: {
+    type: String,
+    enum: ['ONLINE', 'OFFLINE'],
+    default: 'ONLINE',
+  },
+  scannedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+CheckinEventSchema.index({ event: 1, _id: 1 }, { name: 'event_stream' });
+// Only needed around event night
+CheckinEventSchema.index(
+  { at: 1 },
+  { name: 'checkin_event_ttl', expireAfterSeconds: 14 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('CheckinEvent', CheckinEventSchema);
@@ -13,6 +13,10 @@ const EventSchema = new mongoose.Schema(
       required: true,
       index: true, // Frequently filtered
     },
+    // Last day of a multi-day event; single-day events leave it unset
+    endDate: {
+      type: Date,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -35,10 +39,32 @@ const EventSchema = new mongoose.Schema(
     ticketTypes: {
       type: [
         {
-          name: { type: String, required: true }, // e.g. "VIP", "Early Bird"
+          name: { type: String, required: true }, // e.g. "VIP", "General"
+          // Charged when no price phase applies
           price: { type: Number, required: true },
           capacity: { type: Number, required: true },
-          available: { type: Number }, // Auto-calculated
+          available: { type: Number, min: 0 }, // Seeded on save
+          // SINGLE admits once; REENTRY alternates scan-in/scan-out;
+          // MULTI_DAY admits once on each day of the event
+          admissionMode: {
+            type: String,
+            enum: ['SINGLE', 'REENTRY', 'MULTI_DAY'],
+            default: 'SINGLE',
+          },
+          // Purchases are refused outside this window when set
+          salesStart: { type: Date },
+          salesEnd: { type: Date },
+          // Prices in order, e.g. Early Bird, Regular, At the door. Each
+          // phase lasts until `endsAt` or until `untilSold` units have sold,
+          // whichever comes first (see utils/pricing.js).
+          pricePhases: [
+            {
+              name: { type: String, required: true, trim: true },
+              price: { type: Number, required: true, min: 0 },
+              endsAt: { type: Date },
+              untilSold: { type: Number, min: 1 },
+            },
+          ],
         },
       ],
       validate: {
@@ -51,12 +77,179 @@ const EventSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Entrances and checkpoints where tickets are scanned
+    gates: [
+      {
+        name: { type: String, required: true, trim: true },
+        description: { type: String },
+        // Ticket types admitted here; empty admits every type
+        ticketTypes: [mongoose.Schema.Types.ObjectId],
+        isActive: { type: Boolean, default: true },
+      },
+    ],
+    // Staff allowed to scan tickets for this event
+    staffAssignments: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        // Gates this staff member may scan at; empty means any gate
+        gates: [mongoose.Schema.Types.ObjectId],
+        // Optional shift window outside which their scans are refused
+        shiftStart: { type: Date },
+        shiftEnd: { type: Date },
+        assignedAt: { type: Date, default: Date.now },
+        assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      },
+    ],
+    // Cancelled events stop selling and admitting; ticket holders are
+    // refunded by the cancellation job (see models/EventCancellation.js)
+    isCancelled: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancellationReason: {
+      type: String,
+    },
+    // Date the event was first scheduled for, set on its first reschedule
+    originalDate: {
+      type: Date,
+    },
+    // Each reschedule opens a window for holders to opt out with a full
+    // refund, whatever the refund policy says
+    postponements: [
+      {
+        previousDate: { type: Date, required: true },
+        newDate: { type: Date, required: true },
+        reason: { type: String, required: true },
+        postponedAt: { type: Date, default: Date.now },
+        postponedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        optOutDeadline: { type: Date, required: true },
+      },
+    ],
+    // Terms for attendee-initiated refunds. Requests outside them aren't
+    // refused outright but wait for the organizer's approval.
+    refundPolicy: {
+      allowRefunds: { type: Boolean, default: true },
+      // Refunds close this many hours before the event starts
+      deadlineHours: { type: Number, default: 48, min: 0 },
+      feeType: {
+        type: String,
+        enum: ['NONE', 'PERCENTAGE', 'FIXED'],
+        default: 'NONE',
+      },
+      feeValue: { type: Number, default: 0, min: 0 },
+      // Ticket type names sold as non-refundable
+      nonRefundableTiers: [String],
+      // Approve in-policy requests without waiting for the organizer
+      autoApprove: { type: Boolean, default: true },
+    },
+    // Terms for holder-to-holder transfers
+    transferPolicy: {
+      enabled: { type: Boolean, default: true },
+      // Completed transfers allowed per ticket; null for no limit
+      maxTransfers: { type: Number, default: null, min: 0 },
+      // Transfers close this many hours before doors
+      cutoffHours: { type: Number, default: 0, min: 0 },
+    },
+    // Terms for the official resale marketplace
+    resalePolicy: {
+      enabled: { type: Boolean, default: true },
+      // Highest asking price as a percentage of face value
+      maxPricePercent: { type: Number, default: 100, min: 0 },
+      // Organizer's cut of each resale, as a percentage of the price
+      royaltyPercent: { type: Number, default: 0, min: 0, max: 100 },
+      // Listings come down this many hours before the event
+      cutoffHours: { type: Number, default: 2, min: 0 },
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Units of each ticket type held by tickets already issued, keyed by type
+// id. Legacy tickets only carry the tier name.
+EventSchema.statics.issuedCounts = async function (event, session = null) {
+  const issued = await mongoose
+    .model('Ticket')
+    .aggregate([
+      {
+        $match: {
+          event: event._id,
+          status: { $nin: ['REFUNDED', 'RELEASED', 'REVOKED'] },
+        },
+      },
+      {
+        $group: {
+          _id: { ticketType: '$ticketType', tier: '$tier' },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .session(session);
+
+  const counts = new Map(event.ticketTypes.map((t) => [t._id.toString(), 0]));
+  issued.forEach(({ _id, count }) => {
+    const type = event.ticketTypes.find((t) =>
+      _id.ticketType ? t._id.equals(_id.ticketType) : t.name === _id.tier
+    );
+    if (type) {
+      const key = type._id.toString();
+      counts.set(key, counts.get(key) + count);
+    }
+  });
+  return counts;
+};
+
+// Seed inventory for ticket types that have none. On events saved before
+// inventory was tracked, tickets already sold count against capacity.
+EventSchema.pre('save', async function () {
+  const missing = this.ticketTypes.filter(
+    (type) => type.available === undefined || type.available === null
+  );
+  if (!missing.length) return;
+
+  const counts = this.isNew
+    ? new Map()
+    : await this.constructor.issuedCounts(this, this.$session());
+  missing.forEach((type) => {
+    type.available = Math.max(
+      0,
+      type.capacity - (counts.get(type._id.toString()) || 0)
+    );
+  });
+});
+
+// Postponement summary for API responses; works on lean documents too
+EventSchema.statics.postponementStatus = function (event, now = new Date()) {
+  const postponements = event.postponements || [];
+  if (!postponements.length) return { isPostponed: false };
+
+  const latest = postponements[postponements.length - 1];
+  return {
+    isPostponed: true,
+    originalDate: event.originalDate,
+    previousDate: latest.previousDate,
+    newDate: latest.newDate,
+    reason: latest.reason,
+    postponedAt: latest.postponedAt,
+    optOutDeadline: latest.optOutDeadline,
+    optOutOpen: now <= new Date(latest.optOutDeadline),
+    count: postponements.length,
+  };
+};
+
 // Core Indexes (Phase 2)
 EventSchema.index({ organizer: 1 }, { name: 'organizer_index' });
 
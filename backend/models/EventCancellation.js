@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Progress of the mass refund that follows an event cancellation. The
+// cursor lets the background job pick up where it left off after a
+// restart without refunding anyone twice.
+const EventCancellationSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+      unique: true,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['QUEUED', 'RUNNING', 'COMPLETED', 'COMPLETED_WITH_ERRORS'],
+      default: 'QUEUED',
+    },
+    // _id of the last ticket handled; tickets are processed in _id order
+    cursor: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Held by the worker processing this cancellation
+    lockedUntil: {
+      type: Date,
+    },
+    progress: {
+      total: { type: Number, default: 0 },
+      processed: { type: Number, default: 0 },
+      refunded: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      refundedAmount: { type: Number, default: 0 },
+    },
+    failures: [
+      {
+        ticket: { type: mongoose.Schema.Types.ObjectId, ref: 'Ticket' },
+        reason: String,
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    startedAt: {
+      type: Date,
+    },
+    finishedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+EventCancellationSchema.index(
+  { status: 1, lockedUntil: 1 },
+  { name: 'cancellation_queue' }
+);
+
+module.exports = mongoose.model('EventCancellation', EventCancellationSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A name on an event's guest list. Guests get in by name search at the
+// gate instead of a QR code, together with up to `plusOnes` companions.
+const GuestListEntrySchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    plusOnes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // People admitted so far, the guest included
+    admitted: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    checkIns: [
+      {
+        count: { type: Number, required: true, min: 1 },
+        at: { type: Date, default: Date.now },
+        checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        gate: { type: mongoose.Schema.Types.ObjectId },
+      },
+    ],
+    note: {
+      type: String,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: ['ACTIVE', 'REMOVED'],
+      default: 'ACTIVE',
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+GuestListEntrySchema.index(
+  { event: 1, status: 1, name: 1 },
+  { name: 'guest_list_by_name' }
+);
+
+module.exports = mongoose.model('GuestListEntry', GuestListEntrySchema);
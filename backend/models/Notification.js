@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// In-app messages to a user about their tickets (cancellations, refunds,
+// schedule changes). Delivery beyond the inbox is left to the client.
+const NotificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Ids the client needs to link through (event, ticket, refund...)
+    data: {
+      type: Object,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+NotificationSchema.index({ user: 1, createdAt: -1 }, { name: 'user_inbox' });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// A scan recorded by a gate device while offline and uploaded later. The
+// stored result makes re-uploading the same batch harmless.
+const OfflineScanSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    deviceId: {
+      type: String,
+      required: true,
+    },
+    // Id the device gave the scan; unique per device
+    scanId: {
+      type: String,
+      required: true,
+    },
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+    },
+    scannedAt: {
+      type: Date,
+      required: true,
+    },
+    location: {
+      type: String,
+      default: 'Unknown',
+    },
+    direction: {
+      type: String,
+      enum: ['IN', 'OUT'],
+    },
+    gate: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    result: {
+      type: String,
+      enum: ['ACCEPTED', 'DUPLICATE', 'REJECTED'],
+      required: true,
+    },
+    reason: {
+      type: String,
+    },
+    // Duplicates from a different device or gate than the admission, or
+    // rejected codes a device let through, need someone to look at them
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    // The admission this scan lost to
+    conflict: {
+      deviceId: String,
+      scannedAt: Date,
+      location: String,
+    },
+  },
+  { timestamps: true }
+);
+
+OfflineScanSchema.index(
+  { deviceId: 1, scanId: 1 },
+  { unique: true, name: 'device_scan_unique' }
+);
+OfflineScanSchema.index(
+  { event: 1, flagged: 1 },
+  { name: 'event_flagged_scans' }
+);
+
+module.exports = mongoose.model('OfflineScan', OfflineScanSchema);
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const OrderSchema = new mongoose.Schema(
+  {
+    orderNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    // RESALE orders buy an existing ticket from its resale listing
+    kind: {
+      type: String,
+      enum: ['PRIMARY', 'RESALE'],
+      default: 'PRIMARY',
+    },
+    resaleListing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ResaleListing',
+    },
+    // One line per ticket type bought, priced at purchase time
+    items: [
+      {
+        ticketType: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        unitPrice: {
+          type: Number,
+          required: true,
+        },
+        // Price phase the unit price came from, if any
+        phase: {
+          type: String,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        // Promo discount off each unit; lineTotal is net of it
+        discount: {
+          type: Number,
+          default: 0,
+        },
+        lineTotal: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
+    tickets: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket',
+      },
+    ],
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    // Promo code applied at checkout; subtotal is already net of `amount`
+    discount: {
+      promoCode: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+      },
+      code: {
+        type: String,
+      },
+      amount: {
+        type: Number,
+        default: 0,
+      },
+    },
+    fees: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: 'SZL',
+    },
+    paymentStatus: {
+      type: String,
+      enum: ['PENDING', 'PAID', 'FAILED', 'EXPIRED', 'REFUNDED'],
+      default: 'PENDING',
+    },
+    paymentProvider: {
+      type: String,
+    },
+    transactionId: {
+      type: String,
+    },
+    paymentMethod: {
+      type: String,
+    },
+    paidAt: {
+      type: Date,
+    },
+    // When the order's ticket holds lapse if still unpaid
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+OrderSchema.index({ buyer: 1, createdAt: -1 }, { name: 'buyer_orders' });
+OrderSchema.index(
+  { event: 1, paymentStatus: 1 },
+  { name: 'event_orders_by_status' }
+);
+OrderSchema.index(
+  { transactionId: 1 },
+  { name: 'order_transaction', sparse: true }
+);
+OrderSchema.index(
+  { 'discount.promoCode': 1, buyer: 1 },
+  { name: 'promo_redemptions', sparse: true }
+);
+
+// Human-friendly reference, e.g. ESW-250704-8K3F2Q
+OrderSchema.statics.generateOrderNumber = function () {
+  const date = new Date().toISOString().slice(2, 10).replace(/-/g, '');
+  const suffix = crypto
+    .randomBytes(4)
+    .readUInt32BE()
+    .toString(36)
+    .toUpperCase()
+    .padStart(6, '0')
+    .slice(-6);
+  return `ESW-${date}-${suffix}`;
+};
+
+module.exports = mongoose.model('Order', OrderSchema);
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+
+const PaymentSchema = new mongoose.Schema(
+  {
+    transactionId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      default: 'default',
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      index: true,
+    },
+    tickets: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket',
+      },
+    ],
+    // Gross amount charged to the customer
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: 'SZL',
+    },
+    // Processing fees withheld by the provider
+    fees: {
+      type: Number,
+      default: 0,
+    },
+    paymentMethod: {
+      type: String,
+    },
+    customer: {
+      email: String,
+      phone: String,
+    },
+    status: {
+      type: String,
+      enum: [
+        'PENDING',
+        'COMPLETED',
+        'FAILED',
+        'PARTIALLY_REFUNDED',
+        'REFUNDED',
+      ],
+      default: 'PENDING',
+    },
+    refunds: [
+      {
+        refundId: {
+          type: String,
+          required: true,
+        },
+        ticket: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Ticket',
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+        reason: {
+          type: String,
+        },
+        status: {
+          type: String,
+          enum: ['PENDING', 'COMPLETED', 'FAILED'],
+          default: 'PENDING',
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+        completedAt: {
+          type: Date,
+        },
+      },
+    ],
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          required: true,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        note: {
+          type: String,
+        },
+      },
+    ],
+    // Set once the charge has been matched in a provider settlement file
+    settledAt: {
+      type: Date,
+    },
+    settlementReport: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReconciliationReport',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  }
+);
+
+// Indexes
+PaymentSchema.index(
+  { provider: 1, status: 1, createdAt: 1 },
+  { name: 'provider_payments_by_date' }
+);
+
+// Virtuals
+PaymentSchema.virtual('refundedAmount').get(function () {
+  return this.refunds
+    .filter((r) => r.status === 'COMPLETED')
+    .reduce((sum, r) => sum + r.amount, 0);
+});
+
+PaymentSchema.virtual('netAmount').get(function () {
+  return this.amount - this.fees - this.refundedAmount;
+});
+
+// Methods
+PaymentSchema.methods.setStatus = function (status, note) {
+  this.status = status;
+  this.statusHistory.push({ status, at: new Date(), note });
+};
+
+// Record a refund against this charge and move the payment status along
+PaymentSchema.methods.recordRefund = function (refund) {
+  this.refunds.push(refund);
+
+  if (refund.status === 'COMPLETED') {
+    this.setStatus(
+      this.refundedAmount >= this.amount ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+      `Refund ${refund.refundId} of ${refund.amount}`
+    );
+  }
+};
+
+// Statics
+// Record a ticket's refund against the charge that paid for it
+PaymentSchema.statics.recordTicketRefund = async function (
+  ticket,
+  refund,
+  session = null
+) {
+  if (!ticket.transactionId) return null;
+
+  const payment = await this.findOne({
+    transactionId: ticket.transactionId,
+  }).session(session);
+  if (!payment) return null;
+
+  payment.recordRefund({
+    refundId: refund._id.toString(),
+    ticket: ticket._id,
+    amount: refund.amount,
+    reason: refund.reason,
+    status: refund.status,
+    completedAt: refund.status === 'COMPLETED' ? refund.processedAt : undefined,
+  });
+  await payment.save({ session });
+  return payment;
+};
+
+module.exports = mongoose.model('Payment', PaymentSchema);
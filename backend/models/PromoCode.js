@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Discount code for an event, optionally limited to some ticket types.
+// `redemptions` counts checkouts that used the code and is taken
+// atomically against `maxRedemptions`; unpaid checkouts give it back.
+const PromoCodeSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+    discountType: {
+      type: String,
+      enum: ['PERCENTAGE', 'FIXED'],
+      required: true,
+    },
+    // Percent off, or amount off each ticket
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Event.ticketTypes ids the code applies to; empty for all
+    ticketTypes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+    maxRedemptions: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    maxPerUser: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    validFrom: {
+      type: Date,
+    },
+    validUntil: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    redemptions: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PromoCodeSchema.index(
+  { event: 1, code: 1 },
+  { name: 'event_promo_code', unique: true }
+);
+
+module.exports = mongoose.model('PromoCode', PromoCodeSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const ReconciliationReportSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    fileName: {
+      type: String,
+    },
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Ledger window checked for charges missing from the settlement file
+    periodStart: {
+      type: Date,
+    },
+    periodEnd: {
+      type: Date,
+    },
+    summary: {
+      lines: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      discrepancies: { type: Number, default: 0 },
+      settledAmount: { type: Number, default: 0 },
+    },
+    discrepancies: [
+      {
+        type: {
+          type: String,
+          enum: [
+            'INVALID_LINE',
+            'DUPLICATE',
+            'MISSING_IN_LEDGER',
+            'MISSING_IN_SETTLEMENT',
+            'AMOUNT_MISMATCH',
+            'STATUS_MISMATCH',
+          ],
+          required: true,
+        },
+        transactionId: String,
+        lines: [Number],
+        expected: mongoose.Schema.Types.Mixed,
+        actual: mongoose.Schema.Types.Mixed,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ReconciliationReportSchema.index(
+  { provider: 1, createdAt: -1 },
+  { name: 'provider_reports' }
+);
+
+module.exports = mongoose.model(
+  'ReconciliationReport',
+  ReconciliationReportSchema
+);
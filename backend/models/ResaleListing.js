@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// A ticket offered for resale on the platform. While ACTIVE or RESERVED the
+// ticket is locked (Ticket.resaleListing); a sale is paid for through a
+// RESALE order and the seller is paid out afterwards.
+const ResaleListingSchema = new mongoose.Schema(
+  {
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tier: {
+      type: String,
+      required: true,
+    },
+    // Original ticket price, the basis for the cap
+    faceValue: {
+      type: Number,
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'SZL',
+    },
+    // Split of the price, fixed when listed
+    platformFee: {
+      type: Number,
+      default: 0,
+    },
+    royalty: {
+      type: Number,
+      default: 0,
+    },
+    sellerPayout: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['ACTIVE', 'RESERVED', 'SOLD', 'CANCELLED', 'DELISTED'],
+      default: 'ACTIVE',
+    },
+    // Resale closes at the event's cutoff
+    delistAt: {
+      type: Date,
+      required: true,
+    },
+    delistReason: {
+      type: String,
+      enum: ['SELLER', 'CUTOFF', 'EVENT_CANCELLED'],
+    },
+    delistedAt: {
+      type: Date,
+    },
+    // Checkout in progress (RESERVED) or completed (SOLD)
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    reservedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    soldAt: {
+      type: Date,
+    },
+    // Where the seller wants their share sent
+    payoutDetails: {
+      method: {
+        type: String,
+        enum: ['mobile_money'],
+        default: 'mobile_money',
+      },
+      phone: {
+        type: String,
+        required: true,
+      },
+    },
+    payout: {
+      status: {
+        type: String,
+        enum: ['NOT_DUE', 'DUE', 'PROCESSING', 'COMPLETED', 'FAILED'],
+        default: 'NOT_DUE',
+      },
+      provider: String,
+      payoutId: String,
+      attempts: { type: Number, default: 0 },
+      failureReason: String,
+      paidAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ResaleListingSchema.index(
+  { event: 1, status: 1, price: 1 },
+  { name: 'event_listings_by_price' }
+);
+ResaleListingSchema.index({ seller: 1, createdAt: -1 });
+ResaleListingSchema.index({ order: 1 }, { sparse: true });
+ResaleListingSchema.index(
+  { delistAt: 1 },
+  {
+    name: 'active_listing_cutoff',
+    partialFilterExpression: { status: 'ACTIVE' },
+  }
+);
+ResaleListingSchema.index(
+  { 'payout.status': 1 },
+  {
+    name: 'payouts_due',
+    partialFilterExpression: { 'payout.status': 'DUE' },
+  }
+);
+
+module.exports = mongoose.model('ResaleListing', ResaleListingSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A seat taken by a ticket. The unique index on (event, seat) is what
+// stops two checkouts from getting the same seat. Holds start HELD with
+// the ticket's checkout hold and become SOLD once it is paid; they are
+// removed when the ticket's unit goes back on sale.
+const SeatHoldSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    // Seat subdocument id in the event's SeatMap
+    seat: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    label: {
+      type: String,
+      required: true,
+    },
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    status: {
+      type: String,
+      enum: ['HELD', 'SOLD'],
+      default: 'HELD',
+    },
+    expiresAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SeatHoldSchema.index(
+  { event: 1, seat: 1 },
+  { name: 'one_hold_per_seat', unique: true }
+);
+SeatHoldSchema.index({ ticket: 1 }, { name: 'seat_hold_ticket' });
+SeatHoldSchema.index({ order: 1 }, { name: 'seat_hold_order' });
+
+module.exports = mongoose.model('SeatHold', SeatHoldSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Reserved-seating layout for an event. Each price zone sells through one
+// of the event's ticket types, so seat prices, price phases and inventory
+// come from that type; the seat itself is taken by a SeatHold.
+const SeatMapSchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+      unique: true,
+    },
+    zones: [
+      {
+        name: { type: String, required: true, trim: true },
+        // Event.ticketTypes entry the zone's seats are sold as
+        ticketType: { type: mongoose.Schema.Types.ObjectId, required: true },
+        color: { type: String },
+      },
+    ],
+    sections: [
+      {
+        name: { type: String, required: true, trim: true },
+        // Zone for seats that don't name their own
+        zone: { type: mongoose.Schema.Types.ObjectId },
+        rows: [
+          {
+            label: { type: String, required: true, trim: true },
+            seats: [
+              {
+                number: { type: String, required: true, trim: true },
+                // SeatMap.zones entry; defaults to the section's zone
+                zone: { type: mongoose.Schema.Types.ObjectId },
+                accessible: { type: Boolean, default: false },
+                // Kill seats, camera positions etc. are never sold
+                blocked: { type: Boolean, default: false },
+              },
+            ],
+          },
+        ],
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('SeatMap', SeatMapSchema);
@@ -13,23 +13,101 @@ const TicketSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      index: true,
+    },
+    // Signed token (see utils/qrToken.js); legacy tickets still carry the
+    // old `ESWATICKET:` payload. Re-issued with a new version on transfer.
     qrData: {
       type: String,
       required: true,
-      immutable: true,
+    },
+    qrVersion: {
+      type: Number,
+      default: 1,
     },
     isUsed: {
       type: Boolean,
       default: false,
     },
+    // Id of the Event.ticketTypes entry this ticket was sold from
+    ticketType: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Price and tier name are snapshots taken at purchase time, so later
+    // edits to the event's ticket types don't rewrite past sales
     price: {
       type: Number,
       required: true,
     },
     tier: {
       type: String,
-      enum: ['VIP', 'Early Bird', 'General'],
-      default: 'General',
+      required: true,
+      trim: true,
+    },
+    // What the holder paid when they bought the ticket on resale. Refunds
+    // are paid against this instead of the face value in `price`.
+    resalePrice: {
+      type: Number,
+    },
+    // Complimentary tickets are issued by the organizer at no charge. They
+    // still take a unit of their ticket type but aren't revenue.
+    isComp: {
+      type: Boolean,
+      default: false,
+    },
+    comp: {
+      issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      // Guest the ticket is meant for when they have no account; the
+      // organizer holds the ticket and passes its QR on
+      recipientName: {
+        type: String,
+      },
+      recipientEmail: {
+        type: String,
+      },
+      note: {
+        type: String,
+      },
+      revokedAt: {
+        type: Date,
+      },
+    },
+    // Assigned seat for reserved-seating events (see models/SeatMap.js)
+    seat: {
+      seatId: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      label: {
+        type: String,
+      },
+      section: {
+        type: String,
+      },
+      row: {
+        type: String,
+      },
+      number: {
+        type: String,
+      },
+    },
+    // Promo discount taken off the list price; `price` is what was paid
+    discount: {
+      promoCode: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+      },
+      code: {
+        type: String,
+      },
+      amount: {
+        type: Number,
+      },
     },
     transferHistory: [
       {
@@ -47,8 +125,29 @@ const TicketSchema = new mongoose.Schema(
           type: Date,
           required: true,
         },
+        transfer: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Transfer',
+        },
+        // Set when the ticket changed hands through a resale
+        resaleListing: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ResaleListing',
+        },
       },
     ],
+    // Open transfer offer; the ticket can't be refunded, re-offered or
+    // scanned until it is accepted, declined, cancelled or expires
+    pendingTransfer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transfer',
+    },
+    // Listed for resale; locked the same way as a pending transfer until
+    // sold or delisted
+    resaleListing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ResaleListing',
+    },
     validationHistory: [
       {
         timestamp: {
@@ -64,40 +163,147 @@ const TicketSchema = new mongoose.Schema(
           type: String,
           default: 'Unknown',
         },
+        // Event.gates entry the scan was made at
+        gate: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        direction: {
+          type: String,
+          enum: ['IN', 'OUT'],
+          default: 'IN',
+        },
+        // Event day (YYYY-MM-DD, event timezone) the scan counted towards
+        day: {
+          type: String,
+        },
+        // OFFLINE scans were made on a gate device and synced later
+        source: {
+          type: String,
+          enum: ['ONLINE', 'OFFLINE'],
+          default: 'ONLINE',
+        },
+        deviceId: {
+          type: String,
+        },
       },
     ],
+    // Re-entry tickets: whether the holder is currently inside the venue
+    admissionState: {
+      type: String,
+      enum: ['INSIDE', 'OUTSIDE'],
+    },
+    // Multi-day passes: event days (YYYY-MM-DD) already admitted
+    daysAdmitted: [String],
+    // PENDING tickets are checkout holds awaiting payment; RELEASED ones
+    // were never paid for and their inventory has been returned. REVOKED
+    // comps were withdrawn by the organizer.
     status: {
       type: String,
-      enum: ['ACTIVE', 'REFUNDED', 'USED', 'TRANSFERRED'],
+      enum: [
+        'PENDING',
+        'ACTIVE',
+        'REFUNDED',
+        'USED',
+        'TRANSFERRED',
+        'RELEASED',
+        'REVOKED',
+      ],
       default: 'ACTIVE',
     },
+    holdExpiresAt: {
+      type: Date,
+    },
+    holdReleaseReason: {
+      type: String,
+      enum: ['EXPIRED', 'PAYMENT_FAILED', 'EVENT_CANCELLED'],
+    },
+    paymentStatus: {
+      type: String,
+      enum: ['pending', 'confirmed', 'failed', 'refunded'],
+    },
+    transactionId: {
+      type: String,
+    },
+    paymentMethod: {
+      type: String,
+    },
+    // Refund requests and their outcome. status tracks the money
+    // (PENDING until the provider confirms), approvalStatus the decision.
     refundHistory: [
       {
         idempotencyKey: {
           type: String,
           required: true,
         },
+        requestedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
         processedAt: {
           type: Date,
-          required: true,
         },
         processedBy: {
           type: mongoose.Schema.Types.ObjectId,
           ref: 'User',
-          required: true,
         },
         amount: {
           type: Number,
           required: true,
         },
+        // Cancellation fee withheld under the event's refund policy
+        fee: {
+          type: Number,
+          default: 0,
+        },
         reason: {
           type: String,
           required: true,
         },
+        // Policy rules the request breaks; these need organizer approval
+        policyViolations: [String],
+        approvalStatus: {
+          type: String,
+          enum: ['AWAITING_APPROVAL', 'AUTO_APPROVED', 'APPROVED', 'REJECTED'],
+          default: 'AUTO_APPROVED',
+        },
+        decidedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        decidedAt: {
+          type: Date,
+        },
+        decisionNote: {
+          type: String,
+        },
+        adminOverride: {
+          type: Boolean,
+          default: false,
+        },
+        // Set once the refund has been sent to the provider; a PENDING
+        // refund with it may already have moved money
+        submittedAt: {
+          type: Date,
+        },
+        providerRefundId: {
+          type: String,
+        },
+        // The organizer paid the holder back outside the platform, for a
+        // ticket with no payment on record
+        paidOutManually: {
+          type: Boolean,
+        },
+        failureReason: {
+          type: String,
+        },
         status: {
           type: String,
-          enum: ['PENDING', 'COMPLETED', 'FAILED'],
-          default: 'COMPLETED',
+          enum: ['PENDING', 'COMPLETED', 'FAILED', 'REJECTED'],
+          default: 'PENDING',
         },
       },
     ],
@@ -119,58 +325,29 @@ TicketSchema.index(
   { owner: 1, event: 1 },
   { name: 'user_tickets_with_events' }
 );
-
-// Methods
-TicketSchema.methods.transferTicket = async function (
-  newOwnerId,
-  currentUserId
-) {
-  // Validate ownership
-  if (this.owner.toString() !== currentUserId.toString()) {
-    throw new Error('You do not own this ticket');
-  }
-
-  // Check if ticket is usable
-  if (this.isUsed) {
-    throw new Error('Cannot transfer used ticket');
-  }
-
-  // Update ticket
-  this.transferHistory.push({
-    from: this.owner,
-    to: newOwnerId,
-    date: new Date(),
-  });
-
-  this.owner = newOwnerId;
-  this.status = 'TRANSFERRED';
-  return this.save();
-};
-
-TicketSchema.methods.processRefund = async function (
-  refundReason,
-  processedBy,
-  idempotencyKey
-) {
-  if (this.isUsed) {
-    throw new Error('Cannot refund used ticket');
+TicketSchema.index(
+  { transactionId: 1 },
+  { name: 'ticket_transaction', sparse: true }
+);
+TicketSchema.index(
+  { 'refundHistory.approvalStatus': 1, event: 1 },
+  {
+    name: 'refunds_awaiting_approval',
+    partialFilterExpression: {
+      'refundHistory.approvalStatus': 'AWAITING_APPROVAL',
+    },
   }
-
-  if (this.status === 'REFUNDED') {
-    throw new Error('Ticket already refunded');
+);
+TicketSchema.index(
+  { holdExpiresAt: 1 },
+  {
+    name: 'pending_hold_expiry',
+    partialFilterExpression: { status: 'PENDING' },
   }
-
-  this.status = 'REFUNDED';
-  this.refundHistory.push({
-    idempotencyKey,
-    processedAt: new Date(),
-    processedBy,
-    amount: this.price,
-    reason: refundReason,
-    status: 'COMPLETED',
-  });
-
-  return this.save();
-};
+);
+TicketSchema.index(
+  { event: 1, createdAt: -1 },
+  { name: 'event_comps', partialFilterExpression: { isComp: true } }
+);
 
 module.exports = mongoose.model('Ticket', TicketSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A ticket offered by its holder to another user. Ownership only moves
+// when the recipient accepts; while the offer is PENDING the ticket is
+// locked (Ticket.pendingTransfer). Offers to people without an account
+// are claim invitations: `to` stays empty until someone redeems the claim
+// token, of which only a hash is kept.
+const TransferSchema = new mongoose.Schema(
+  {
+    ticket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ticket',
+      required: true,
+    },
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: function () {
+        return !this.claimTokenHash;
+      },
+    },
+    // Where the sender says the claim invitation is going
+    recipientEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    recipientPhone: {
+      type: String,
+      trim: true,
+    },
+    claimTokenHash: {
+      type: String,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'CANCELLED', 'EXPIRED'],
+      default: 'PENDING',
+    },
+    message: {
+      type: String,
+      maxlength: 500,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One open offer per ticket
+TransferSchema.index(
+  { ticket: 1 },
+  {
+    name: 'one_pending_transfer_per_ticket',
+    unique: true,
+    partialFilterExpression: { status: 'PENDING' },
+  }
+);
+TransferSchema.index(
+  { claimTokenHash: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { claimTokenHash: { $type: 'string' } },
+  }
+);
+TransferSchema.index({ to: 1, status: 1, createdAt: -1 });
+TransferSchema.index({ from: 1, status: 1, createdAt: -1 });
+TransferSchema.index(
+  { expiresAt: 1 },
+  {
+    name: 'pending_transfer_expiry',
+    partialFilterExpression: { status: 'PENDING' },
+  }
+);
+
+module.exports = mongoose.model('Transfer', TransferSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A place in line for a sold-out ticket type. Returned inventory is offered
+// to the earliest WAITING entries; an OFFERED entry holds its units until
+// the offer is used for a purchase or lapses.
+const WaitlistEntrySchema = new mongoose.Schema(
+  {
+    event: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+      required: true,
+    },
+    ticketType: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    tier: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: ['WAITING', 'OFFERED', 'PURCHASED', 'EXPIRED', 'LEFT'],
+      default: 'WAITING',
+    },
+    offeredAt: {
+      type: Date,
+    },
+    offerExpiresAt: {
+      type: Date,
+    },
+    // Checkout using the offer. It becomes PURCHASED once the order is
+    // paid; if the order is released instead, the offer is open again.
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// FIFO order within a ticket type
+WaitlistEntrySchema.index(
+  { event: 1, ticketType: 1, status: 1, createdAt: 1 },
+  { name: 'waitlist_queue' }
+);
+WaitlistEntrySchema.index(
+  { event: 1, ticketType: 1, user: 1 },
+  {
+    name: 'one_waiting_entry_per_user',
+    unique: true,
+    partialFilterExpression: { status: 'WAITING' },
+  }
+);
+WaitlistEntrySchema.index(
+  { offerExpiresAt: 1 },
+  {
+    name: 'open_offer_expiry',
+    partialFilterExpression: { status: 'OFFERED' },
+  }
+);
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Inbox of every payment webhook delivery received, kept with its exact raw
+// body so a delivery can be inspected and re-processed later
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    // Provider's id for the event, used to de-duplicate redeliveries
+    eventId: {
+      type: String,
+    },
+    headers: {
+      type: Object,
+    },
+    rawBody: {
+      type: String,
+      default: '',
+    },
+    signatureValid: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['RECEIVED', 'PROCESSED', 'FAILED', 'REJECTED', 'DUPLICATE'],
+      default: 'RECEIVED',
+    },
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    lastError: {
+      message: String,
+      code: String,
+      statusCode: Number,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: { createdAt: 'receivedAt', updatedAt: true },
+  }
+);
+
+// Indexes
+WebhookDeliverySchema.index(
+  { provider: 1, eventId: 1, status: 1 },
+  { name: 'provider_event_dedup' }
+);
+WebhookDeliverySchema.index(
+  { status: 1, receivedAt: -1 },
+  { name: 'deliveries_by_status' }
+);
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
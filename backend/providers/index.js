@@ -0,0 +1,73 @@
+const { AppError } = require('../middleware/errorHandler');
+const PaymentProvider = require('./paymentProvider');
+const SandboxProvider = require('./sandbox');
+
+// Registry of payment provider adapters, keyed by provider name
+const providers = new Map();
+
+const registerProvider = (provider) => {
+  if (!(provider instanceof PaymentProvider)) {
+    throw new Error('Payment providers must extend PaymentProvider');
+  }
+  providers.set(provider.name, provider);
+};
+
+// Look up an adapter, falling back to the configured default provider
+const getProvider = (name = process.env.PAYMENT_PROVIDER || 'sandbox') => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new AppError(`Unknown payment provider: ${name}`, 400, {
+      code: 'UNKNOWN_PROVIDER',
+      available: [...providers.keys()],
+    });
+  }
+  return provider;
+};
+
+const listProviders = () => [...providers.keys()];
+
+// Checkout always falls back on the default provider, so the server refuses
+// to start unless it is registered
+const assertDefaultProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || 'sandbox';
+  if (!providers.has(name)) {
+    throw new Error(
+      `Default payment provider "${name}" is not registered ` +
+        `(available: ${listProviders().join(', ') || 'none'}). Set ` +
+        'PAYMENT_PROVIDER to a registered provider, or ENABLE_SANDBOX_PAYMENTS ' +
+        'and SANDBOX_WEBHOOK_SECRET to use the sandbox'
+    );
+  }
+  return name;
+};
+
+// The sandbox confirms payments without taking money, so it only runs
+// where it is switched on explicitly, and only with its own webhook secret
+const sandboxEnabled = () => providers.has('sandbox');
+
+if (process.env.ENABLE_SANDBOX_PAYMENTS === 'true') {
+  if (!process.env.SANDBOX_WEBHOOK_SECRET) {
+    throw new Error(
+      'SANDBOX_WEBHOOK_SECRET must be set when ENABLE_SANDBOX_PAYMENTS is on'
+    );
+  }
+  registerProvider(
+    new SandboxProvider({
+      webhookUrl: process.env.SANDBOX_WEBHOOK_URL,
+      secret: process.env.SANDBOX_WEBHOOK_SECRET,
+      outcome: process.env.SANDBOX_PAYMENT_OUTCOME,
+      delayMs: process.env.SANDBOX_PAYMENT_DELAY_MS
+        ? parseInt(process.env.SANDBOX_PAYMENT_DELAY_MS, 10)
+        : undefined,
+    })
+  );
+}
+
+module.exports = {
+  PaymentProvider,
+  registerProvider,
+  getProvider,
+  listProviders,
+  assertDefaultProvider,
+  sandboxEnabled,
+};
@@ -0,0 +1,50 @@
+// Base class for payment provider adapters. Each adapter turns our order
+// into a charge on its gateway and translates the gateway's webhooks back
+// into one normalized payment event:
+//
+//   {
+//     eventId,        // provider's id for this delivery (for de-duplication)
+//     transactionId,  // provider's id for the charge
+//     orderNumber,    // our Order.orderNumber, echoed back as the reference
+//     status,         // 'success' | 'failed' | 'pending'
+//     amount, currency, fees, paymentMethod,
+//     customer: { email, phone },
+//   }
+//
+// Webhook methods receive a delivery — { headers, rawBody, body } — rather
+// than the Express request, so stored deliveries can be re-processed.
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Start collecting `order.total` from the customer.
+  // Resolves to { transactionId, status, instructions?, redirectUrl? }
+  async initiatePayment({ order, customer, options }) {
+    throw new Error(`${this.name} provider does not implement initiatePayment`);
+  }
+
+  // Resolves to { valid, reason } for the delivery's signature
+  verifyWebhook(delivery) {
+    throw new Error(`${this.name} provider does not implement verifyWebhook`);
+  }
+
+  // Translate a verified delivery into a normalized payment event
+  parseWebhook(delivery) {
+    throw new Error(`${this.name} provider does not implement parseWebhook`);
+  }
+
+  // Return `amount` of a completed charge to the customer.
+  // Resolves to { refundId, status: 'PENDING' | 'COMPLETED' | 'FAILED' }
+  async refund({ payment, amount, reason }) {
+    throw new Error(`${this.name} provider does not implement refund`);
+  }
+
+  // Send `amount` to a payee, e.g. a resale seller's mobile money wallet.
+  // Resolves to { payoutId, status: 'PENDING' | 'COMPLETED' | 'FAILED' }
+  async payout({ amount, currency, recipient, reference }) {
+    throw new Error(`${this.name} provider does not implement payout`);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,135 @@
+const { v4: uuidv4 } = require('uuid');
+const PaymentProvider = require('./paymentProvider');
+const logger = require('../utils/logger');
+const webhookSignature = require('../utils/webhookSignature');
+
+const OUTCOMES = ['success', 'failed', 'timeout'];
+
+// Local stand-in for a real gateway. It never talks to the network: after a
+// short delay it calls our own payment webhook with a signed success or
+// failure, so the purchase-to-confirmation flow can be run end to end.
+// Pass { outcome, delayMs } as payment options to steer a single checkout;
+// 'timeout' never calls back, leaving the hold to expire.
+// Only registered with ENABLE_SANDBOX_PAYMENTS=true and a
+// SANDBOX_WEBHOOK_SECRET (see providers/index.js).
+class SandboxProvider extends PaymentProvider {
+  constructor({ webhookUrl, secret, outcome, delayMs } = {}) {
+    super('sandbox');
+    this.webhookUrl =
+      webhookUrl ||
+      `http://127.0.0.1:${
+        process.env.PORT || 5000
+      }/api/tickets/webhook/payment/sandbox`;
+    this.secret = secret;
+    this.outcome = outcome || 'success';
+    this.delayMs = delayMs === undefined ? 2000 : delayMs;
+  }
+
+  sign(rawBody, timestamp) {
+    return webhookSignature.sign(rawBody, this.secret, timestamp);
+  }
+
+  async initiatePayment({ order, customer = {}, options = {} }) {
+    const outcome = OUTCOMES.includes(options.outcome)
+      ? options.outcome
+      : this.outcome;
+    const delayMs =
+      options.delayMs === undefined ? this.delayMs : options.delayMs;
+    const transactionId = `sbx_${uuidv4()}`;
+
+    if (outcome !== 'timeout') {
+      const timer = setTimeout(() => {
+        this.deliver({
+          eventId: `sbx_evt_${uuidv4()}`,
+          transactionId,
+          orderNumber: order.orderNumber,
+          status: outcome,
+          amount: order.total,
+          currency: order.currency,
+          fees: 0,
+          paymentMethod: options.paymentMethod || 'sandbox',
+          customer: { email: customer.email, phone: customer.phone },
+        }).catch((err) =>
+          logger.error('Sandbox webhook delivery failed', {
+            transactionId,
+            error: err.message,
+          })
+        );
+      }, delayMs);
+      timer.unref();
+    }
+
+    return {
+      transactionId,
+      status: 'PENDING',
+      instructions: `Sandbox payment will report '${outcome}' in ${delayMs}ms`,
+    };
+  }
+
+  async deliver(payload) {
+    const body = JSON.stringify(payload);
+    const response = await fetch(this.webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Payment-Signature': this.sign(body),
+      },
+      body,
+    });
+
+    logger.info('Sandbox webhook delivered', {
+      transactionId: payload.transactionId,
+      status: payload.status,
+      responseStatus: response.status,
+    });
+  }
+
+  verifyWebhook(delivery) {
+    return webhookSignature.verify(
+      delivery.rawBody,
+      delivery.headers['x-payment-signature'],
+      this.secret
+    );
+  }
+
+  parseWebhook(delivery) {
+    const {
+      eventId,
+      transactionId,
+      orderNumber,
+      status,
+      amount,
+      currency,
+      fees,
+      paymentMethod,
+      customer,
+    } = delivery.body;
+    return {
+      eventId,
+      transactionId,
+      orderNumber,
+      status,
+      amount,
+      currency,
+      fees: fees || 0,
+      paymentMethod,
+      customer: customer || {},
+    };
+  }
+
+  async refund({ payment, amount }) {
+    if (amount > payment.amount) {
+      return { refundId: `sbx_rf_${uuidv4()}`, status: 'FAILED' };
+    }
+    return { refundId: `sbx_rf_${uuidv4()}`, status: 'COMPLETED' };
+  }
+
+  async payout({ amount, recipient }) {
+    if (!(amount > 0) || !recipient || !recipient.phone) {
+      return { payoutId: `sbx_po_${uuidv4()}`, status: 'FAILED' };
+    }
+    return { payoutId: `sbx_po_${uuidv4()}`, status: 'COMPLETED' };
+  }
+}
+
+module.exports = SandboxProvider;
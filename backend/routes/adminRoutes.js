@@ -5,10 +5,16 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Ticket = require('../models/Ticket');
 const Event = require('../models/Event');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const reconciliation = require('../jobs/reconciliation');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const AuditLog = require('../models/AuditLog');
+const { processDelivery } = require('../controllers/paymentWebhooks');
 const validate = require('../middleware/validate');
 const auth = require('../middleware/auth');
-const adminLimiter = require('../middleware/rateLimiter');
+const { adminLimiter } = require('../middleware/rateLimiter');
 const { AppError } = require('../middleware/errorHandler');
+const refunds = require('../utils/refunds');
 
 // Apply to all admin routes
 router.use(adminLimiter);
@@ -48,6 +54,7 @@ const forceRefundSchema = Joi.object({
   ticketId: Joi.string().hex().length(24).required(),
   reason: Joi.string().max(500).required(),
   refundAmount: Joi.number().min(0),
+  paidOutManually: Joi.boolean(),
   notifyUser: Joi.boolean().default(true),
 });
 
@@ -70,6 +77,36 @@ const updateRoleSchema = Joi.object({
     .required(),
 });
 
+// Reconciliation import schema for provider settlement files
+// periodStart/periodEnd bound the ledger window checked for unsettled charges
+const reconciliationImportSchema = Joi.object({
+  provider: Joi.string().max(50),
+  fileName: Joi.string().max(200),
+  periodStart: Joi.date(),
+  periodEnd: Joi.date().min(Joi.ref('periodStart')),
+}).and('periodStart', 'periodEnd');
+
+const reconciliationListSchema = Joi.object({
+  provider: Joi.string().max(50),
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(10),
+});
+
+// Webhook inbox schema for browsing stored payment webhook deliveries
+const webhookListSchema = Joi.object({
+  provider: Joi.string().max(30),
+  status: Joi.string().valid(
+    'RECEIVED',
+    'PROCESSED',
+    'FAILED',
+    'REJECTED',
+    'DUPLICATE'
+  ),
+  eventId: Joi.string().max(200),
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(20),
+});
+
 // 1. GET /api/admin/users - List users with filtering
 // This endpoint allows super admins to search for users by email or role
 // It supports pagination with page and limit query parameters
@@ -120,51 +157,59 @@ router.post(
   requireSuperAdmin,
   validate(forceRefundSchema),
   async (req, res, next) => {
-    const { ticketId, reason, refundAmount, notifyUser } = req.body;
-    const session = await mongoose.startSession();
+    const { ticketId, reason, refundAmount, paidOutManually } = req.body;
 
     try {
-      session.startTransaction();
-
-      const ticket = await Ticket.findById(ticketId)
-        .populate('event')
-        .session(session);
-
+      const ticket = await Ticket.findById(ticketId).populate('event');
       if (!ticket) {
-        await session.abortTransaction();
         return next(new AppError('Ticket not found', 404));
       }
 
       if (ticket.status === 'REFUNDED') {
-        await session.abortTransaction();
         return next(new AppError('Ticket already refunded', 400));
       }
 
-      // Process refund
-      ticket.status = 'REFUNDED';
-      ticket.refundHistory.push({
+      // Override the event's refund policy, but still move the money
+      // through the provider that took the payment
+      const refund = refunds.requestRefund(ticket, ticket.event, {
+        reason,
+        amount: refundAmount,
+        requestedBy: req.user.id,
         idempotencyKey: `admin-${Date.now()}`,
-        processedAt: new Date(),
+        bypassPolicy: true,
+      });
+      await refunds.executeRefund(ticket, refund, {
         processedBy: req.user.id,
-        amount: refundAmount || ticket.price,
-        reason: reason,
-        status: 'COMPLETED',
-        adminOverride: true,
+        paidOutManually,
       });
 
-      await ticket.save({ session });
-      await session.commitTransaction();
+      if (refund.approvalStatus === 'AWAITING_APPROVAL') {
+        return res.status(202).json({
+          success: false,
+          message:
+            'No payment on record; refund the holder directly and resend with paidOutManually',
+          ticketId: ticket._id,
+          refundId: refund._id,
+          refundStatus: refund.status,
+        });
+      }
+      if (refund.status === 'FAILED') {
+        return next(
+          new AppError(`Refund failed: ${refund.failureReason}`, 502, {
+            refundId: refund._id,
+          })
+        );
+      }
 
       res.json({
         success: true,
-        message: `Ticket refunded for ${refundAmount || ticket.price}`,
+        message: `Ticket refunded for ${refund.amount}`,
         ticketId: ticket._id,
+        refundId: refund._id,
+        refundStatus: refund.status,
       });
     } catch (err) {
-      await session.abortTransaction();
       next(err);
-    } finally {
-      session.endSession();
     }
   }
 );
@@ -181,7 +226,11 @@ router.get(
     try {
       const { startDate, endDate, eventId, groupBy } = req.query;
 
-      const match = {};
+      // Unpaid checkout holds and complimentary tickets aren't sales
+      const match = {
+        status: { $nin: ['PENDING', 'RELEASED', 'REVOKED'] },
+        isComp: { $ne: true },
+      };
       const group = {
         _id: null,
         totalSales: { $sum: '$price' },
@@ -435,6 +484,205 @@ router.get(
     }
   }
 );
+// 7. POST /api/admin/reconciliation - Import a provider settlement file
+// The CSV is sent as the raw request body (text/csv) and matched against the
+// payment ledger by transaction id
+router.post(
+  '/reconciliation',
+  auth,
+  requireSuperAdmin,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  validate(reconciliationImportSchema, { query: true }),
+  async (req, res, next) => {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        throw new AppError('Settlement CSV body required', 400, {
+          solution: 'Send the file with Content-Type: text/csv',
+        });
+      }
+
+      const { provider, fileName, periodStart, periodEnd } = req.query;
+
+      let report;
+      try {
+        report = await reconciliation.run({
+          csv: req.body,
+          provider: provider || 'default',
+          fileName,
+          periodStart: periodStart && new Date(periodStart),
+          periodEnd: periodEnd && new Date(periodEnd),
+          importedBy: req.user.id,
+        });
+      } catch (err) {
+        if (err.message.startsWith('Settlement file')) {
+          throw new AppError(err.message, 400);
+        }
+        throw err;
+      }
+
+      res.status(201).json(report);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// 8. GET /api/admin/reconciliation - List reconciliation reports
+router.get(
+  '/reconciliation',
+  auth,
+  requireSuperAdmin,
+  validate(reconciliationListSchema, { query: true }),
+  async (req, res, next) => {
+    try {
+      const { provider } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const query = {};
+      if (provider) query.provider = provider;
+
+      const reports = await ReconciliationReport.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-discrepancies')
+        .populate('importedBy', 'email name')
+        .lean();
+
+      const count = await ReconciliationReport.countDocuments(query);
+
+      res.json({
+        reports,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// 9. GET /api/admin/reconciliation/:reportId - Full report with discrepancies
+router.get(
+  '/reconciliation/:reportId',
+  auth,
+  requireSuperAdmin,
+  async (req, res, next) => {
+    try {
+      const report = await ReconciliationReport.findById(req.params.reportId)
+        .populate('importedBy', 'email name')
+        .lean();
+      if (!report) throw new AppError('Report not found', 404);
+
+      res.json(report);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// 10. GET /api/admin/webhooks - Browse the payment webhook inbox
+router.get(
+  '/webhooks',
+  auth,
+  requireSuperAdmin,
+  validate(webhookListSchema, { query: true }),
+  async (req, res, next) => {
+    try {
+      const { provider, status, eventId } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const query = {};
+      if (provider) query.provider = provider;
+      if (status) query.status = status;
+      if (eventId) query.eventId = eventId;
+
+      const deliveries = await WebhookDelivery.find(query)
+        .sort({ receivedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-rawBody')
+        .lean();
+
+      const count = await WebhookDelivery.countDocuments(query);
+
+      res.json({
+        deliveries,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// 11. POST /api/admin/webhooks/:deliveryId/replay - Re-process a delivery
+// Only deliveries whose signature was valid on receipt can be replayed; the
+// signature isn't checked again since its timestamp will have aged out.
+// Processed deliveries are settled already and are never run twice.
+router.post(
+  '/webhooks/:deliveryId/replay',
+  auth,
+  requireSuperAdmin,
+  async (req, res, next) => {
+    try {
+      const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+      if (!delivery) throw new AppError('Webhook delivery not found', 404);
+
+      if (delivery.status === 'PROCESSED') {
+        throw new AppError('This delivery was already processed', 409, {
+          code: 'DELIVERY_ALREADY_PROCESSED',
+          status: delivery.status,
+          processedAt: delivery.processedAt,
+        });
+      }
+      if (!delivery.signatureValid || delivery.status === 'DUPLICATE') {
+        throw new AppError('This delivery cannot be replayed', 409, {
+          status: delivery.status,
+          duplicateOf: delivery.duplicateOf,
+          solution: delivery.duplicateOf
+            ? 'Replay the original delivery instead'
+            : 'Only deliveries with a valid signature can be replayed',
+        });
+      }
+
+      await AuditLog.create({
+        action: 'WEBHOOK_REPLAY',
+        userId: req.user.id,
+        targetId: delivery._id.toString(),
+        metadata: {
+          provider: delivery.provider,
+          eventId: delivery.eventId,
+          previousStatus: delivery.status,
+        },
+        ipAddress: req.ip,
+      });
+
+      const result = await processDelivery(delivery);
+
+      res.json({
+        success: true,
+        deliveryId: delivery._id,
+        attempts: delivery.attempts,
+        result,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // Add these new routes at the bottom (before module.exports):
 
 // 💀 Delete ALL data
@@ -2,9 +2,11 @@ const express = require('express');
 const router = express.Router();
 const Event = require('../models/Event');
 const Ticket = require('../models/Ticket');
+const PromoCode = require('../models/PromoCode');
 const auth = require('../middleware/auth');
 const validate = require('../middleware/validate');
 const { AppError } = require('../middleware/errorHandler');
+const promos = require('../utils/promos');
 const Joi = require('joi');
 
 const dashboardSchema = Joi.object({
@@ -39,9 +41,11 @@ router.get(
           summary: {
             totalSales: 0,
             totalTickets: 0,
+            compTickets: 0,
             attendanceRate: 0,
             upcomingEvents: 0,
           },
+          promoCodes: [],
         });
       }
 
@@ -64,12 +68,27 @@ router.get(
 
       // Get ticket statistics
       const ticketStats = await Ticket.aggregate([
-        { $match: { event: { $in: eventIds }, ...dateRange } },
+        {
+          $match: {
+            event: { $in: eventIds },
+            // Unpaid checkout holds aren't sales
+            status: { $nin: ['PENDING', 'RELEASED', 'REVOKED'] },
+            ...dateRange,
+          },
+        },
         {
           $group: {
             _id: null,
-            totalSales: { $sum: '$price' },
-            totalTickets: { $sum: 1 },
+            // Comps are admissions, not revenue
+            totalSales: {
+              $sum: { $cond: [{ $eq: ['$isComp', true] }, 0, '$price'] },
+            },
+            totalTickets: {
+              $sum: { $cond: [{ $eq: ['$isComp', true] }, 0, 1] },
+            },
+            compTickets: {
+              $sum: { $cond: [{ $eq: ['$isComp', true] }, 1, 0] },
+            },
             usedTickets: {
               $sum: { $cond: [{ $eq: ['$isUsed', true] }, 1, 0] },
             },
@@ -80,6 +99,7 @@ router.get(
       const stats = ticketStats[0] || {
         totalSales: 0,
         totalTickets: 0,
+        compTickets: 0,
         usedTickets: 0,
       };
 
@@ -89,17 +109,43 @@ router.get(
         date: { $gte: new Date() },
       });
 
+      // Redemptions per promo code
+      const codes = await PromoCode.find({ event: { $in: eventIds } })
+        .select('event code discountType discountValue redemptions isActive')
+        .lean();
+      const usage = await promos.usage(codes.map((c) => c._id));
+
       res.json({
         events,
         summary: {
           totalSales: stats.totalSales,
           totalTickets: stats.totalTickets,
+          compTickets: stats.compTickets,
           attendanceRate:
-            stats.totalTickets > 0
-              ? Math.round((stats.usedTickets / stats.totalTickets) * 100)
+            stats.totalTickets + stats.compTickets > 0
+              ? Math.round(
+                  (stats.usedTickets /
+                    (stats.totalTickets + stats.compTickets)) *
+                    100
+                )
               : 0,
           upcomingEvents,
         },
+        promoCodes: codes.map((promo) => ({
+          promoCodeId: promo._id,
+          eventId: promo.event,
+          code: promo.code,
+          discountType: promo.discountType,
+          discountValue: promo.discountValue,
+          isActive: promo.isActive,
+          redemptions: promo.redemptions,
+          ...(usage.get(promo._id.toString()) || {
+            orders: 0,
+            tickets: 0,
+            discountTotal: 0,
+            revenue: 0,
+          }),
+        })),
       });
     } catch (err) {
       next(err);
@@ -3,14 +3,93 @@ const router = express.Router();
 const Event = require('../models/Event');
 const auth = require('../middleware/auth');
 const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const EventCancellation = require('../models/EventCancellation');
+const ResaleListing = require('../models/ResaleListing');
+const PromoCode = require('../models/PromoCode');
+const SeatMap = require('../models/SeatMap');
+const SeatHold = require('../models/SeatHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const GuestListEntry = require('../models/GuestListEntry');
+const AuditLog = require('../models/AuditLog');
+const validate = require('../middleware/validate');
 const { AppError } = require('../middleware/errorHandler');
+const inventory = require('../utils/inventory');
+const holds = require('../utils/holds');
+const refunds = require('../utils/refunds');
+const checkout = require('../utils/checkout');
+const guestList = require('../utils/guestList');
+const resale = require('../utils/resale');
+const waitlist = require('../utils/waitlist');
+const promos = require('../utils/promos');
+const pricing = require('../utils/pricing');
+const seating = require('../utils/seating');
+const attendeeExport = require('../utils/attendeeExport');
+const { notify, notifyMany } = require('../utils/notifications');
+const checkinStream = require('../utils/checkinStream');
 const Joi = require('joi');
 const mongoose = require('mongoose');
 
 // Validation schemas
+const transferPolicySchema = Joi.object({
+  enabled: Joi.boolean(),
+  maxTransfers: Joi.number().integer().min(0).allow(null),
+  cutoffHours: Joi.number().min(0),
+});
+
+const resalePolicySchema = Joi.object({
+  enabled: Joi.boolean(),
+  maxPricePercent: Joi.number().min(0),
+  royaltyPercent: Joi.number().min(0).max(100),
+  cutoffHours: Joi.number().min(0),
+});
+
+const refundPolicySchema = Joi.object({
+  allowRefunds: Joi.boolean(),
+  deadlineHours: Joi.number().min(0),
+  feeType: Joi.string().valid('NONE', 'PERCENTAGE', 'FIXED'),
+  feeValue: Joi.number()
+    .min(0)
+    .when('feeType', {
+      is: 'PERCENTAGE',
+      then: Joi.number().max(100),
+    }),
+  nonRefundableTiers: Joi.array().items(Joi.string().trim().max(50)),
+  autoApprove: Joi.boolean(),
+});
+
+// Phases run in the order given; each ends at `endsAt` or once
+// `untilSold` units have sold
+const pricePhaseSchema = Joi.object({
+  name: Joi.string().trim().required().max(50),
+  price: Joi.number().required().min(0),
+  endsAt: Joi.date(),
+  untilSold: Joi.number().integer().min(1),
+});
+
+const ticketTypeFields = {
+  name: Joi.string().trim().required().max(50),
+  price: Joi.number().required().min(0),
+  capacity: Joi.number().required().min(1),
+  admissionMode: Joi.string().valid('SINGLE', 'REENTRY', 'MULTI_DAY'),
+  salesStart: Joi.date().allow(null),
+  salesEnd: Joi.date()
+    .allow(null)
+    .when('salesStart', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('salesStart')),
+    }),
+  pricePhases: Joi.array()
+    .items(pricePhaseSchema)
+    .max(10)
+    .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase()),
+};
+
 const eventSchema = Joi.object({
   name: Joi.string().required().max(100),
   date: Joi.date().required().greater('now'),
+  endDate: Joi.date().min(Joi.ref('date')),
   isActive: Joi.boolean().default(true),
   location: Joi.object({
     venue: Joi.string().required(),
@@ -18,20 +97,19 @@ const eventSchema = Joi.object({
     coordinates: Joi.array().items(Joi.number()).length(2),
   }).required(),
   ticketTypes: Joi.array()
-    .items(
-      Joi.object({
-        name: Joi.string().required(),
-        price: Joi.number().required().min(0),
-        capacity: Joi.number().required().min(1),
-      })
-    )
+    .items(Joi.object(ticketTypeFields))
     .min(1)
+    .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
     .required(),
+  refundPolicy: refundPolicySchema,
+  transferPolicy: transferPolicySchema,
+  resalePolicy: resalePolicySchema,
 });
 
 const updateEventSchema = Joi.object({
   name: Joi.string().max(100),
   date: Joi.date().greater('now'),
+  endDate: Joi.date().allow(null),
   isActive: Joi.boolean(),
   location: Joi.object({
     venue: Joi.string(),
@@ -41,14 +119,227 @@ const updateEventSchema = Joi.object({
   ticketTypes: Joi.array()
     .items(
       Joi.object({
-        name: Joi.string().required(),
-        price: Joi.number().required().min(0),
-        capacity: Joi.number().required().min(1),
+        _id: Joi.string().hex().length(24),
+        ...ticketTypeFields,
       })
     )
-    .min(1),
+    .min(1)
+    .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase()),
+  refundPolicy: refundPolicySchema.min(1),
+  transferPolicy: transferPolicySchema.min(1),
+  resalePolicy: resalePolicySchema.min(1),
 }).min(1);
 
+const waitlistJoinSchema = Joi.object({
+  ticketTypeId: Joi.string().hex().length(24),
+  tier: Joi.string().trim().max(50),
+  quantity: Joi.number().integer().min(1).max(10).default(1),
+}).xor('ticketTypeId', 'tier');
+
+const promoCodeSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z0-9_-]{3,30}$/)
+    .required(),
+  description: Joi.string().max(200).allow(''),
+  discountType: Joi.string().valid('PERCENTAGE', 'FIXED').required(),
+  discountValue: Joi.number()
+    .precision(2)
+    .positive()
+    .when('discountType', { is: 'PERCENTAGE', then: Joi.number().max(100) })
+    .required(),
+  // Empty or omitted for every ticket type
+  ticketTypes: Joi.array().items(Joi.string().hex().length(24)).unique(),
+  maxRedemptions: Joi.number().integer().min(1).allow(null),
+  maxPerUser: Joi.number().integer().min(1).allow(null),
+  validFrom: Joi.date().allow(null),
+  validUntil: Joi.date()
+    .allow(null)
+    .when('validFrom', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('validFrom')),
+    }),
+  isActive: Joi.boolean(),
+});
+
+// The code itself is what buyers were given, so it can't be renamed
+const updatePromoCodeSchema = promoCodeSchema
+  .fork(['discountType', 'discountValue'], (field) => field.optional())
+  .fork('code', (code) => code.forbidden())
+  .min(1);
+
+// Zones and seats refer to zones by name; seats keep their id when `_id`
+// is sent back or their label is unchanged
+const seatMapSchema = Joi.object({
+  zones: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().trim().max(50).required(),
+        ticketTypeId: Joi.string().hex().length(24).required(),
+        color: Joi.string().max(20),
+      })
+    )
+    .min(1)
+    .max(50)
+    .unique('name')
+    .required(),
+  sections: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().trim().max(50).required(),
+        zone: Joi.string().trim().max(50),
+        rows: Joi.array()
+          .items(
+            Joi.object({
+              label: Joi.string().trim().max(10).required(),
+              seats: Joi.array()
+                .items(
+                  Joi.object({
+                    _id: Joi.string().hex().length(24),
+                    number: Joi.string().trim().max(10).required(),
+                    zone: Joi.string().trim().max(50),
+                    accessible: Joi.boolean(),
+                    blocked: Joi.boolean(),
+                  })
+                )
+                .min(1)
+                .max(500)
+                .required(),
+            })
+          )
+          .min(1)
+          .max(200)
+          .required(),
+      })
+    )
+    .min(1)
+    .max(100)
+    .unique('name')
+    .required(),
+});
+
+// Comps go to a user by id or email, or to a bare name/email the
+// organizer passes the tickets on to
+const compSchema = Joi.object({
+  ticketTypeId: Joi.string().hex().length(24),
+  tier: Joi.string().trim().max(50),
+  quantity: Joi.number().integer().min(1).max(50).default(1),
+  seats: Joi.array().items(Joi.string().hex().length(24)).unique().max(50),
+  userId: Joi.string().hex().length(24),
+  email: Joi.string().email(),
+  name: Joi.string().trim().max(100),
+  note: Joi.string().max(500),
+})
+  .xor('ticketTypeId', 'tier')
+  .or('userId', 'email', 'name')
+  .without('userId', ['email', 'name']);
+
+const compListSchema = Joi.object({
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(20),
+});
+
+const guestEntrySchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  email: Joi.string().email(),
+  plusOnes: Joi.number().integer().min(0).max(20).default(0),
+  note: Joi.string().max(500).allow(''),
+});
+
+const updateGuestEntrySchema = guestEntrySchema
+  .fork(['name', 'plusOnes'], (field) =>
+    field.optional().prefs({ noDefaults: true })
+  )
+  .min(1);
+
+const guestListQuerySchema = Joi.object({
+  q: Joi.string().trim().max(100),
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(50),
+});
+
+// List filters are comma-separated, e.g. ?status=ACTIVE,USED
+const commaList = (item) =>
+  Joi.string().pattern(new RegExp(`^(${item})(,(${item}))*$`));
+
+const attendeeExportSchema = Joi.object({
+  format: Joi.string().valid('csv', 'xlsx').default('csv'),
+  columns: commaList(Object.keys(attendeeExport.COLUMNS).join('|')),
+  status: commaList(Ticket.schema.path('status').enumValues.join('|')),
+  ticketType: commaList('[0-9a-fA-F]{24}'),
+});
+
+const eventOrdersSchema = Joi.object({
+  paymentStatus: Joi.string().valid(
+    'PENDING',
+    'PAID',
+    'FAILED',
+    'EXPIRED',
+    'REFUNDED'
+  ),
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(20),
+});
+
+const eventRefundsSchema = Joi.object({
+  approvalStatus: Joi.string().valid(
+    'AWAITING_APPROVAL',
+    'AUTO_APPROVED',
+    'APPROVED',
+    'REJECTED'
+  ),
+  status: Joi.string().valid('PENDING', 'COMPLETED', 'FAILED', 'REJECTED'),
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(20),
+});
+
+const staffScopeSchema = {
+  gates: Joi.array().items(Joi.string().hex().length(24)).unique(),
+  shiftStart: Joi.date().allow(null),
+  shiftEnd: Joi.date()
+    .allow(null)
+    .when('shiftStart', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('shiftStart')),
+    }),
+};
+
+const assignStaffSchema = Joi.object({
+  userId: Joi.string().hex().length(24),
+  email: Joi.string().email(),
+  ...staffScopeSchema,
+}).xor('userId', 'email');
+
+const updateStaffSchema = Joi.object(staffScopeSchema).min(1);
+
+const gateSchema = Joi.object({
+  name: Joi.string().trim().max(50).required(),
+  description: Joi.string().max(200).allow(''),
+  ticketTypes: Joi.array().items(Joi.string().hex().length(24)).unique(),
+  isActive: Joi.boolean(),
+});
+
+const updateGateSchema = gateSchema
+  .fork('name', (name) => name.optional())
+  .min(1);
+
+const rescheduleEventSchema = Joi.object({
+  date: Joi.date().required().greater('now'),
+  reason: Joi.string().trim().max(500).required(),
+  // Days holders get to ask for a full refund instead
+  optOutDays: Joi.number().integer().min(0).max(90).default(14),
+});
+
+const cancelEventSchema = Joi.object({
+  reason: Joi.string().trim().max(500).required(),
+});
+
+// Ids that don't belong to any entry of the event's `field` array
+const unknownIds = (event, field, ids = []) =>
+  ids.filter(
+    (id) => !event[field].some((entry) => entry._id.toString() === id)
+  );
+
 // Middleware to check event ownership
 const checkEventOwnership = async (req, res, next) => {
   try {
@@ -57,6 +348,8 @@ const checkEventOwnership = async (req, res, next) => {
       throw new AppError('Event not found', 404);
     }
 
+    req.event = event;
+
     // Super admin bypasses ownership check
     if (req.isGodMode) return next(); // 👈 God Mode bypass
 
@@ -65,7 +358,6 @@ const checkEventOwnership = async (req, res, next) => {
       throw new AppError('Not authorized to access this event', 403);
     }
 
-    req.event = event;
     next();
   } catch (err) {
     next(err);
@@ -103,9 +395,21 @@ router.get('/active', async (req, res, next) => {
     const events = await Event.find({ isActive: true })
       .sort({ date: 1 })
       .select('name date location ticketTypes organizer')
-      .populate('organizer', 'name email');
+      .populate('organizer', 'name email')
+      .lean();
 
-    res.json({ events });
+    // Current price phase per ticket type, with the next price and when
+    // it takes over
+    const now = new Date();
+    res.json({
+      events: events.map((event) => ({
+        ...event,
+        ticketTypes: event.ticketTypes.map((type) => ({
+          ...type,
+          pricing: pricing.quote(type, { now }),
+        })),
+      })),
+    });
   } catch (err) {
     next(err);
   }
@@ -132,7 +436,10 @@ router.get('/:id', auth, async (req, res, next) => {
       throw new AppError('Event not available', 404);
     }
 
-    res.json(event);
+    res.json({
+      ...event.toJSON(),
+      postponement: Event.postponementStatus(event),
+    });
   } catch (err) {
     next(err);
   }
@@ -158,9 +465,13 @@ router.patch('/:id', auth, checkEventOwnership, async (req, res, next) => {
     const allowedUpdates = [
       'name',
       'date',
+      'endDate',
       'isActive',
       'location',
       'ticketTypes',
+      'refundPolicy',
+      'transferPolicy',
+      'resalePolicy',
     ];
     const isValidOperation = updates.every((update) =>
       allowedUpdates.includes(update)
@@ -170,11 +481,58 @@ router.patch('/:id', auth, checkEventOwnership, async (req, res, next) => {
       throw new AppError('Invalid updates!', 400);
     }
 
-    const event = req.event;
-    updates.forEach((update) => (event[update] = req.body[update]));
+    // Re-read inside the transaction so concurrent sales aren't overwritten
+    const event = await Event.findById(req.params.id).session(session);
+    if (event.isCancelled) {
+      throw new AppError('Cancelled events cannot be edited', 409);
+    }
+
+    // Once tickets are out, moving the date has to go through reschedule
+    // so holders are told and can opt out
+    if (
+      updates.includes('date') &&
+      (await Ticket.exists({
+        event: event._id,
+        status: { $nin: ['RELEASED', 'REFUNDED', 'REVOKED'] },
+      }).session(session))
+    ) {
+      throw new AppError('Event has tickets sold', 409, {
+        solution: `Use POST /api/events/${event._id}/reschedule to change the date`,
+      });
+    }
+    updates.forEach((update) => {
+      if (update === 'ticketTypes') {
+        event.ticketTypes = inventory.mergeTicketTypes(
+          event.ticketTypes,
+          req.body.ticketTypes
+        );
+      } else if (
+        ['refundPolicy', 'transferPolicy', 'resalePolicy'].includes(update)
+      ) {
+        // Only the supplied policy fields change
+        Object.entries(req.body[update]).forEach(([key, value]) => {
+          event.set(`${update}.${key}`, value);
+        });
+      } else {
+        event[update] = req.body[update];
+      }
+    });
+    if (event.endDate && event.endDate < event.date) {
+      throw new AppError('endDate cannot be before the event date', 400);
+    }
     await event.save({ session });
 
     await session.commitTransaction();
+
+    // Added capacity goes to the waitlist first
+    if (updates.includes('ticketTypes')) {
+      waitlist.fillOffers(event._id).catch((err) =>
+        req.logger.error('Waitlist offers failed', {
+          eventId: event._id,
+          error: err.message,
+        })
+      );
+    }
     res.json(event);
   } catch (err) {
     await session.abortTransaction();
@@ -222,4 +580,1510 @@ router.get(
   }
 );
 
+// Export Attendee List
+// Streams from a cursor so large events are never held in memory
+router.get(
+  '/:id/attendees/export',
+  auth,
+  checkEventOwnership,
+  validate(attendeeExportSchema, { query: true }),
+  async (req, res, next) => {
+    const list = (value) =>
+      value ? [...new Set(value.split(','))] : undefined;
+    try {
+      if (!['organizer', 'super_admin'].includes(req.user.role)) {
+        throw new AppError('Not authorized to export attendees', 403);
+      }
+
+      const format = req.query.format || 'csv';
+      const columns = list(req.query.columns) || attendeeExport.DEFAULT_COLUMNS;
+      const ticketTypes = list(req.query.ticketType);
+      if (ticketTypes) {
+        const unknown = ticketTypes.filter(
+          (id) => !req.event.ticketTypes.id(id)
+        );
+        if (unknown.length) {
+          throw new AppError('Ticket type not found on this event', 400, {
+            code: 'UNKNOWN_TICKET_TYPE',
+            ticketTypes: unknown,
+          });
+        }
+      }
+
+      const rows = attendeeExport.cursor(req.event._id, {
+        statuses: list(req.query.status),
+        // Aggregation pipelines don't cast ids
+        ticketTypes:
+          ticketTypes &&
+          ticketTypes.map((id) => new mongoose.Types.ObjectId(id)),
+      });
+      const context = {
+        gates: new Map(req.event.gates.map((g) => [g._id.toString(), g.name])),
+      };
+
+      res.setHeader(
+        'Content-Type',
+        format === 'xlsx'
+          ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+          : 'text/csv; charset=utf-8'
+      );
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="attendees-${req.event._id}.${format}"`
+      );
+
+      req.logger.info('Attendee export started', {
+        eventId: req.event._id,
+        format,
+        columns,
+        userId: req.user.id,
+      });
+
+      if (format === 'xlsx') {
+        await attendeeExport.writeXlsx(res, rows, columns, context);
+      } else {
+        await attendeeExport.writeCsv(res, rows, columns, context);
+      }
+    } catch (err) {
+      // Once rows are streaming the status can't change; cut the download
+      // short so the client doesn't keep a truncated file as complete
+      if (res.headersSent) {
+        req.logger.error('Attendee export failed', {
+          eventId: req.event._id,
+          error: err.message,
+        });
+        return res.destroy(err);
+      }
+      next(err);
+    }
+  }
+);
+
+// Get Orders for Event (organizer view)
+router.get(
+  '/:id/orders',
+  auth,
+  checkEventOwnership,
+  validate(eventOrdersSchema, { query: true }),
+  async (req, res, next) => {
+    try {
+      if (!['organizer', 'super_admin'].includes(req.user.role)) {
+        throw new AppError('Not authorized to view event orders', 403);
+      }
+
+      const { paymentStatus } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const query = { event: req.event._id };
+      if (paymentStatus) query.paymentStatus = paymentStatus;
+
+      const orders = await Order.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('buyer', 'email name')
+        .select('-tickets')
+        .lean();
+
+      const count = await Order.countDocuments(query);
+
+      // Totals per payment status across all of the event's primary
+      // sales; resales are summarized separately with their royalties
+      const totals = await Order.aggregate([
+        { $match: { event: req.event._id, kind: { $ne: 'RESALE' } } },
+        {
+          $group: {
+            _id: '$paymentStatus',
+            orders: { $sum: 1 },
+            tickets: { $sum: { $sum: '$items.quantity' } },
+            revenue: { $sum: '$total' },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]);
+      const [resaleTotals] = await ResaleListing.aggregate([
+        { $match: { event: req.event._id, status: 'SOLD' } },
+        {
+          $group: {
+            _id: null,
+            sold: { $sum: 1 },
+            volume: { $sum: '$price' },
+            royalties: { $sum: '$royalty' },
+          },
+        },
+      ]);
+
+      res.json({
+        orders,
+        totals,
+        resale: resaleTotals
+          ? {
+              sold: resaleTotals.sold,
+              volume: resaleTotals.volume,
+              royalties: resaleTotals.royalties,
+            }
+          : { sold: 0, volume: 0, royalties: 0 },
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Get Refund Requests for Event (organizer view)
+router.get(
+  '/:id/refunds',
+  auth,
+  checkEventOwnership,
+  validate(eventRefundsSchema, { query: true }),
+  async (req, res, next) => {
+    try {
+      if (!['organizer', 'super_admin'].includes(req.user.role)) {
+        throw new AppError('Not authorized to view event refunds', 403);
+      }
+
+      const { approvalStatus, status } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const refundMatch = {};
+      if (approvalStatus)
+        refundMatch['refundHistory.approvalStatus'] = approvalStatus;
+      if (status) refundMatch['refundHistory.status'] = status;
+
+      const [result] = await Ticket.aggregate([
+        {
+          $match: {
+            event: req.event._id,
+            'refundHistory.0': { $exists: true },
+          },
+        },
+        { $unwind: '$refundHistory' },
+        { $match: refundMatch },
+        { $sort: { 'refundHistory.requestedAt': -1 } },
+        {
+          $facet: {
+            refunds: [
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              {
+                $project: {
+                  _id: 0,
+                  ticketId: '$_id',
+                  owner: 1,
+                  tier: 1,
+                  price: 1,
+                  refund: '$refundHistory',
+                },
+              },
+            ],
+            count: [{ $count: 'total' }],
+          },
+        },
+      ]);
+
+      const count = result.count.length ? result.count[0].total : 0;
+
+      res.json({
+        refunds: result.refunds,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Get Gates for Event
+router.get('/:id/gates', auth, checkEventOwnership, (req, res) => {
+  res.json({ gates: req.event.gates });
+});
+
+// Add Gate
+router.post(
+  '/:id/gates',
+  auth,
+  checkEventOwnership,
+  validate(gateSchema),
+  async (req, res, next) => {
+    try {
+      const event = req.event;
+      if (
+        event.gates.some(
+          (g) => g.name.toLowerCase() === req.body.name.toLowerCase()
+        )
+      ) {
+        throw new AppError('A gate with this name already exists', 409);
+      }
+
+      const missingTypes = unknownIds(
+        event,
+        'ticketTypes',
+        req.body.ticketTypes
+      );
+      if (missingTypes.length) {
+        throw new AppError('Ticket type not found on this event', 400, {
+          ticketTypes: missingTypes,
+        });
+      }
+
+      event.gates.push(req.body);
+      await event.save();
+
+      res.status(201).json({ gate: event.gates[event.gates.length - 1] });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Update Gate
+router.patch(
+  '/:id/gates/:gateId',
+  auth,
+  checkEventOwnership,
+  validate(updateGateSchema),
+  async (req, res, next) => {
+    try {
+      const event = req.event;
+      const gate = event.gates.id(req.params.gateId);
+      if (!gate) {
+        throw new AppError('Gate not found', 404);
+      }
+
+      const missingTypes = unknownIds(
+        event,
+        'ticketTypes',
+        req.body.ticketTypes
+      );
+      if (missingTypes.length) {
+        throw new AppError('Ticket type not found on this event', 400, {
+          ticketTypes: missingTypes,
+        });
+      }
+
+      gate.set(req.body);
+      await event.save();
+
+      res.json({ gate });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Remove Gate
+// Scans already recorded keep the gate id. Staff limited to the gate must
+// be moved first, as an empty gate list would let them scan anywhere.
+router.delete(
+  '/:id/gates/:gateId',
+  auth,
+  checkEventOwnership,
+  async (req, res, next) => {
+    try {
+      const event = req.event;
+      const gate = event.gates.id(req.params.gateId);
+      if (!gate) {
+        throw new AppError('Gate not found', 404);
+      }
+
+      const assigned = event.staffAssignments.filter((a) =>
+        a.gates.some((id) => id.toString() === req.params.gateId)
+      );
+      if (assigned.length) {
+        throw new AppError('Staff are still assigned to this gate', 409, {
+          staff: assigned.map((a) => a.user),
+          solution: 'Reassign them or set isActive to false instead',
+        });
+      }
+
+      gate.deleteOne();
+      await event.save();
+
+      res.status(204).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Get Staff Assigned to Event
+router.get('/:id/staff', auth, checkEventOwnership, async (req, res, next) => {
+  try {
+    await req.event.populate('staffAssignments.user', 'email name role');
+    res.json({ staff: req.event.staffAssignments });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Assign Staff to Event
+router.post(
+  '/:id/staff',
+  auth,
+  checkEventOwnership,
+  validate(assignStaffSchema),
+  async (req, res, next) => {
+    try {
+      const staff = await User.findOne(
+        req.body.userId ? { _id: req.body.userId } : { email: req.body.email }
+      );
+      if (!staff) {
+        throw new AppError('User not found', 404, {
+          solution: 'Staff must register before they can be assigned',
+        });
+      }
+      if (staff.role !== 'staff') {
+        throw new AppError('Only staff accounts can be assigned', 400, {
+          role: staff.role,
+        });
+      }
+
+      const missingGates = unknownIds(req.event, 'gates', req.body.gates);
+      if (missingGates.length) {
+        throw new AppError('Gate not found for this event', 400, {
+          gates: missingGates,
+        });
+      }
+
+      // $addToSet can't compare subdocuments with timestamps, so guard on
+      // the user id instead
+      const result = await Event.updateOne(
+        { _id: req.event._id, 'staffAssignments.user': { $ne: staff._id } },
+        {
+          $push: {
+            staffAssignments: {
+              user: staff._id,
+              gates: req.body.gates || [],
+              shiftStart: req.body.shiftStart,
+              shiftEnd: req.body.shiftEnd,
+              assignedAt: new Date(),
+              assignedBy: req.user.id,
+            },
+          },
+        }
+      );
+      if (result.modifiedCount === 0) {
+        throw new AppError('Staff member is already assigned', 409);
+      }
+
+      req.logger.info('Staff assigned to event', {
+        eventId: req.event._id,
+        staffId: staff._id,
+        assignedBy: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        staff: { id: staff._id, email: staff.email, name: staff.name },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Change a Staff Member's Gates or Shift
+router.patch(
+  '/:id/staff/:userId',
+  auth,
+  checkEventOwnership,
+  validate(updateStaffSchema),
+  async (req, res, next) => {
+    try {
+      const assignment = req.event.staffAssignments.find(
+        (a) => a.user.toString() === req.params.userId
+      );
+      if (!assignment) {
+        throw new AppError('Staff member is not assigned', 404);
+      }
+
+      const missingGates = unknownIds(req.event, 'gates', req.body.gates);
+      if (missingGates.length) {
+        throw new AppError('Gate not found for this event', 400, {
+          gates: missingGates,
+        });
+      }
+
+      Object.entries(req.body).forEach(([key, value]) => {
+        assignment[key] = value === null ? undefined : value;
+      });
+      if (
+        assignment.shiftStart &&
+        assignment.shiftEnd &&
+        assignment.shiftEnd <= assignment.shiftStart
+      ) {
+        throw new AppError('shiftEnd must be after shiftStart', 400);
+      }
+      await req.event.save();
+
+      res.json({ staff: assignment });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Remove Staff from Event
+router.delete(
+  '/:id/staff/:userId',
+  auth,
+  checkEventOwnership,
+  async (req, res, next) => {
+    try {
+      const result = await Event.updateOne(
+        { _id: req.event._id },
+        { $pull: { staffAssignments: { user: req.params.userId } } }
+      );
+      if (result.modifiedCount === 0) {
+        throw new AppError('Staff member is not assigned', 404);
+      }
+
+      res.status(204).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Reschedule Event
+// Tickets stay valid for the new date; holders are notified and may ask
+// for a full refund until the opt-out deadline
+router.post(
+  '/:id/reschedule',
+  auth,
+  checkEventOwnership,
+  validate(rescheduleEventSchema),
+  async (req, res, next) => {
+    try {
+      if (!['organizer', 'super_admin'].includes(req.user.role)) {
+        throw new AppError('Not authorized to reschedule this event', 403);
+      }
+
+      const { date, reason, optOutDays = 14 } = req.body;
+      const event = req.event;
+
+      if (event.isCancelled) {
+        throw new AppError('Cancelled events cannot be rescheduled', 409);
+      }
+
+      const newDate = new Date(date);
+      if (newDate.getTime() === event.date.getTime()) {
+        throw new AppError('Event is already scheduled for that date', 400);
+      }
+
+      const postponedAt = new Date();
+      const optOutDeadline = new Date(
+        postponedAt.getTime() + optOutDays * 24 * 60 * 60 * 1000
+      );
+
+      const previousDate = event.date;
+      if (!event.originalDate) event.originalDate = previousDate;
+      event.postponements.push({
+        previousDate,
+        newDate,
+        reason,
+        postponedAt,
+        postponedBy: req.user.id,
+        optOutDeadline,
+      });
+      // Multi-day events keep their length
+      if (event.endDate) {
+        event.endDate = new Date(
+          event.endDate.getTime() + (newDate - previousDate)
+        );
+      }
+      event.date = newDate;
+      await event.save();
+
+      const holders = await Ticket.distinct('owner', {
+        event: event._id,
+        status: { $in: refunds.REFUNDABLE_STATUSES },
+      });
+      const notified = await notifyMany(holders, {
+        type: 'EVENT_POSTPONED',
+        title: `${event.name} has been rescheduled`,
+        message: `${
+          event.name
+        } now takes place on ${newDate.toISOString()}. Your ticket remains valid; if you can't attend you can request a full refund until ${optOutDeadline.toISOString()}.`,
+        data: {
+          event: event._id,
+          previousDate,
+          newDate,
+          optOutDeadline,
+        },
+      });
+
+      req.logger.info('Event rescheduled', {
+        eventId: event._id,
+        newDate,
+        optOutDeadline,
+        notified,
+      });
+
+      res.json({
+        event,
+        postponement: Event.postponementStatus(event),
+        notified,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Cancel Event
+// Stops sales and admission straight away; holders are refunded in full
+// by the eventCancellation background job
+router.post(
+  '/:id/cancel',
+  auth,
+  checkEventOwnership,
+  validate(cancelEventSchema),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      if (!['organizer', 'super_admin'].includes(req.user.role)) {
+        throw new AppError('Not authorized to cancel this event', 403);
+      }
+
+      const event = await Event.findById(req.params.id).session(session);
+      if (event.isCancelled) {
+        const cancellation = await EventCancellation.findOne({
+          event: event._id,
+        }).session(session);
+        throw new AppError('Event is already cancelled', 409, {
+          cancelledAt: event.cancelledAt,
+          refundStatus: cancellation && cancellation.status,
+        });
+      }
+
+      event.isCancelled = true;
+      event.isActive = false;
+      event.cancelledAt = new Date();
+      event.cancelledBy = req.user.id;
+      event.cancellationReason = req.body.reason;
+      await event.save({ session });
+
+      // Unpaid checkouts are dropped rather than refunded
+      const releasedHolds = await holds.releaseHolds(
+        { event: event._id },
+        'EVENT_CANCELLED',
+        session
+      );
+      await holds.releaseOrderClaims({ event: event._id }, session);
+      await Order.updateMany(
+        { event: event._id, paymentStatus: 'PENDING' },
+        { $set: { paymentStatus: 'FAILED' } },
+        { session }
+      );
+      // Resale listings come down before their tickets are refunded
+      const delisted = await resale.delist(
+        { event: event._id, status: { $in: ['ACTIVE', 'RESERVED'] } },
+        'EVENT_CANCELLED',
+        session
+      );
+
+      const [cancellation] = await EventCancellation.create(
+        [
+          {
+            event: event._id,
+            requestedBy: req.user.id,
+            reason: req.body.reason,
+          },
+        ],
+        { session }
+      );
+
+      await AuditLog.create(
+        [
+          {
+            action: 'EVENT_CANCELLED',
+            userId: req.user.id,
+            targetId: event._id.toString(),
+            metadata: { reason: req.body.reason, releasedHolds, delisted },
+            ipAddress: req.ip,
+          },
+        ],
+        { session }
+      );
+
+      await session.commitTransaction();
+
+      req.logger.info('Event cancelled', {
+        eventId: event._id,
+        cancelledBy: req.user.id,
+        releasedHolds,
+      });
+
+      res.status(202).json({ event, cancellation });
+    } catch (err) {
+      await session.abortTransaction();
+      next(err);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// Get Cancellation Refund Progress
+router.get(
+  '/:id/cancellation',
+  auth,
+  checkEventOwnership,
+  async (req, res, next) => {
+    try {
+      const cancellation = await EventCancellation.findOne({
+        event: req.event._id,
+      })
+        .populate('requestedBy', 'email name')
+        .lean();
+      if (!cancellation) {
+        throw new AppError('Event has not been cancelled', 404);
+      }
+
+      const { total, processed } = cancellation.progress;
+      res.json({
+        cancellation,
+        percentComplete: total
+          ? Math.min(100, Math.round((processed / total) * 100))
+          : 100,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Waitlist
+// Join the line for a sold-out ticket type
+router.post(
+  '/:id/waitlist',
+  auth,
+  validate(waitlistJoinSchema),
+  async (req, res, next) => {
+    try {
+      const event = await Event.findById(req.params.id);
+      if (!event || event.isCancelled) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const entry = await waitlist.join(event, req.user.id, req.body);
+      req.logger.info('Joined waitlist', {
+        eventId: event._id,
+        tier: entry.tier,
+        entryId: entry._id,
+      });
+
+      res.status(201).json({
+        entry,
+        position: await waitlist.position(entry),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// The signed-in user's places in line and open offers
+router.get('/:id/waitlist/me', auth, async (req, res, next) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      event: req.params.id,
+      user: req.user.id,
+      status: { $in: ['WAITING', 'OFFERED'] },
+    }).sort({ createdAt: 1 });
+
+    res.json(
+      await Promise.all(
+        entries.map(async (entry) => ({
+          ...entry.toObject(),
+          position: await waitlist.position(entry),
+        }))
+      )
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Leave the line, giving up any open offer
+router.delete('/:id/waitlist/:entryId', auth, async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      _id: req.params.entryId,
+      event: req.params.id,
+      user: req.user.id,
+      status: { $in: ['WAITING', 'OFFERED'] },
+    });
+    if (!entry) {
+      throw new AppError('Waitlist entry not found', 404);
+    }
+
+    const hadOffer = entry.status === 'OFFERED';
+    await waitlist.leave(entry);
+    if (hadOffer) {
+      waitlist.fillOffers(entry.event).catch((err) =>
+        req.logger.error('Waitlist offers failed', {
+          eventId: entry.event,
+          error: err.message,
+        })
+      );
+    }
+
+    res.json({ status: 'left', entryId: entry._id });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Waitlist size per ticket type (organizer view)
+router.get(
+  '/:id/waitlist',
+  auth,
+  checkEventOwnership,
+  async (req, res, next) => {
+    try {
+      const counts = await waitlist.summary(req.event._id);
+      res.json({
+        ticketTypes: req.event.ticketTypes.map((type) => ({
+          ticketTypeId: type._id,
+          name: type.name,
+          available: type.available,
+          ...(counts.find((c) => c.ticketTypeId.equals(type._id)) || {
+            waiting: 0,
+            waitingTickets: 0,
+            offered: 0,
+            purchased: 0,
+            expired: 0,
+            left: 0,
+          }),
+        })),
+        offerMinutes: waitlist.WAITLIST_OFFER_MINUTES,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Issue Complimentary Tickets
+// Zero-priced and tagged isComp; they take units of the ticket type (and
+// seats) like a sale. Tickets for people without an account are held by
+// the organizer, who passes the QR codes on.
+router.post(
+  '/:id/comps',
+  auth,
+  checkEventOwnership,
+  validate(compSchema),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+      // 1. Resolve who gets the tickets
+      let recipient = null;
+      if (req.body.userId) {
+        recipient = await User.findById(req.body.userId);
+        if (!recipient) {
+          throw new AppError('User not found', 404);
+        }
+      } else if (req.body.email) {
+        recipient = await User.findOne({ email: req.body.email.toLowerCase() });
+      }
+      const comp = {
+        issuedBy: req.user.id,
+        recipientName: recipient ? undefined : req.body.name,
+        recipientEmail: recipient ? undefined : req.body.email,
+        note: req.body.note,
+      };
+
+      // 2. Take the units and issue the tickets
+      let tickets;
+      await session.withTransaction(async () => {
+        const event = await Event.findById(req.params.id).session(session);
+        tickets = await checkout.issueComps(
+          event,
+          {
+            ticketTypeId: req.body.ticketTypeId,
+            tier: req.body.tier,
+            quantity: req.body.seats
+              ? req.body.seats.length
+              : req.body.quantity || 1,
+            seats: req.body.seats,
+          },
+          recipient ? recipient._id : req.user.id,
+          comp,
+          session
+        );
+      });
+
+      if (recipient) {
+        await notify(recipient._id, {
+          type: 'COMP_ISSUED',
+          title: `Complimentary tickets for ${req.event.name}`,
+          message: `You have been given ${tickets.length} ${tickets[0].tier} ticket(s).`,
+          data: {
+            eventId: req.event._id,
+            ticketIds: tickets.map((t) => t._id),
+          },
+        });
+      }
+
+      req.logger.info('Comps issued', {
+        eventId: req.event._id,
+        issuedBy: req.user.id,
+        recipient: recipient ? recipient._id : req.body.email || req.body.name,
+        count: tickets.length,
+      });
+
+      res.status(201).json({
+        count: tickets.length,
+        heldByOrganizer: !recipient,
+        tickets,
+      });
+    } catch (err) {
+      next(err);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// List Complimentary Tickets
+router.get(
+  '/:id/comps',
+  auth,
+  checkEventOwnership,
+  validate(compListSchema, { query: true }),
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const query = { event: req.event._id, isComp: true };
+
+      const [comps, total] = await Promise.all([
+        Ticket.find(query)
+          .select('owner ticketType tier seat comp status isUsed createdAt')
+          .populate('owner', 'email name')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Ticket.countDocuments(query),
+      ]);
+
+      res.json({
+        comps,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Revoke Complimentary Ticket
+// Unused comps only; the unit (and seat) goes back on sale
+router.delete(
+  '/:id/comps/:ticketId',
+  auth,
+  checkEventOwnership,
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+      let ticket;
+      await session.withTransaction(async () => {
+        ticket = await Ticket.findOne({
+          _id: req.params.ticketId,
+          event: req.event._id,
+          isComp: true,
+        }).session(session);
+        if (!ticket) {
+          throw new AppError('Complimentary ticket not found', 404);
+        }
+
+        const revoked = await Ticket.updateOne(
+          {
+            _id: ticket._id,
+            status: { $in: ['ACTIVE', 'TRANSFERRED'] },
+            isUsed: false,
+            pendingTransfer: null,
+            resaleListing: null,
+          },
+          { $set: { status: 'REVOKED', 'comp.revokedAt': new Date() } },
+          { session }
+        );
+        if (revoked.modifiedCount !== 1) {
+          throw new AppError('Ticket can no longer be revoked', 409, {
+            code: 'COMP_NOT_REVOCABLE',
+            status: ticket.isUsed ? 'USED' : ticket.status,
+          });
+        }
+        await inventory.releaseTickets([ticket], session);
+      });
+
+      if (!ticket.owner.equals(req.user.id)) {
+        await notify(ticket.owner, {
+          type: 'COMP_REVOKED',
+          title: `Ticket for ${req.event.name} withdrawn`,
+          message: `Your complimentary ${ticket.tier} ticket was withdrawn by the organizer.`,
+          data: { eventId: req.event._id, ticketId: ticket._id },
+        });
+      }
+
+      // The returned unit goes to the front of the waitlist, if any
+      waitlist.fillOffers(req.event._id).catch((err) =>
+        req.logger.error('Waitlist offers failed', {
+          eventId: req.event._id,
+          error: err.message,
+        })
+      );
+
+      res.json({ ticketId: ticket._id, status: 'REVOKED' });
+    } catch (err) {
+      next(err);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// Guest List (organizer view)
+router.get(
+  '/:id/guest-list',
+  auth,
+  checkEventOwnership,
+  validate(guestListQuerySchema, { query: true }),
+  async (req, res, next) => {
+    try {
+      const { q } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const query = q
+        ? guestList.searchFilter(req.event._id, q)
+        : { event: req.event._id, status: 'ACTIVE' };
+
+      const [entries, total, totals] = await Promise.all([
+        GuestListEntry.find(query)
+          .sort({ name: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        GuestListEntry.countDocuments(query),
+        GuestListEntry.aggregate([
+          { $match: { event: req.event._id, status: 'ACTIVE' } },
+          {
+            $group: {
+              _id: null,
+              entries: { $sum: 1 },
+              invited: { $sum: { $add: ['$plusOnes', 1] } },
+              admitted: { $sum: '$admitted' },
+            },
+          },
+        ]),
+      ]);
+
+      const { _id, ...summary } = totals[0] || {
+        entries: 0,
+        invited: 0,
+        admitted: 0,
+      };
+      res.json({
+        guests: entries.map((entry) => ({
+          ...entry,
+          remaining: guestList.remaining(entry),
+        })),
+        summary,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Add Guest
+router.post(
+  '/:id/guest-list',
+  auth,
+  checkEventOwnership,
+  validate(guestEntrySchema),
+  async (req, res, next) => {
+    try {
+      const entry = await GuestListEntry.create({
+        ...req.body,
+        event: req.event._id,
+        addedBy: req.user.id,
+      });
+      res.status(201).json({ guest: entry });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Update Guest
+router.patch(
+  '/:id/guest-list/:entryId',
+  auth,
+  checkEventOwnership,
+  validate(updateGuestEntrySchema),
+  async (req, res, next) => {
+    try {
+      const entry = await GuestListEntry.findOne({
+        _id: req.params.entryId,
+        event: req.event._id,
+        status: 'ACTIVE',
+      });
+      if (!entry) {
+        throw new AppError('Guest not found', 404);
+      }
+
+      entry.set(req.body);
+      if (entry.plusOnes + 1 < entry.admitted) {
+        throw new AppError(
+          `${entry.admitted} people are already admitted on this entry`,
+          400,
+          { admitted: entry.admitted }
+        );
+      }
+      await entry.save();
+
+      res.json({ guest: entry });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Remove Guest
+// Kept as REMOVED so past check-ins still show who came in
+router.delete(
+  '/:id/guest-list/:entryId',
+  auth,
+  checkEventOwnership,
+  async (req, res, next) => {
+    try {
+      const entry = await GuestListEntry.findOneAndUpdate(
+        { _id: req.params.entryId, event: req.event._id },
+        { $set: { status: 'REMOVED' } },
+        { new: true }
+      );
+      if (!entry) {
+        throw new AppError('Guest not found', 404);
+      }
+
+      res.json({ guest: entry });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Promo codes with paid usage (organizer view)
+router.get(
+  '/:id/promo-codes',
+  auth,
+  checkEventOwnership,
+  async (req, res, next) => {
+    try {
+      const codes = await PromoCode.find({ event: req.event._id })
+        .sort({ createdAt: -1 })
+        .lean();
+      const usage = await promos.usage(codes.map((c) => c._id));
+
+      res.json({
+        promoCodes: codes.map((promo) => ({
+          ...promo,
+          usage: usage.get(promo._id.toString()) || {
+            orders: 0,
+            tickets: 0,
+            discountTotal: 0,
+            revenue: 0,
+          },
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Create Promo Code
+router.post(
+  '/:id/promo-codes',
+  auth,
+  checkEventOwnership,
+  validate(promoCodeSchema),
+  async (req, res, next) => {
+    try {
+      const event = req.event;
+      const missingTypes = unknownIds(
+        event,
+        'ticketTypes',
+        req.body.ticketTypes
+      );
+      if (missingTypes.length) {
+        throw new AppError('Ticket type not found on this event', 400, {
+          ticketTypes: missingTypes,
+        });
+      }
+
+      const code = req.body.code.toUpperCase();
+      if (await PromoCode.exists({ event: event._id, code })) {
+        throw new AppError('A promo code with this code already exists', 409, {
+          code: 'PROMO_CODE_TAKEN',
+        });
+      }
+
+      const promo = await PromoCode.create({
+        ...req.body,
+        code,
+        event: event._id,
+        createdBy: req.user.id,
+      });
+
+      req.logger.info('Promo code created', {
+        eventId: event._id,
+        promoCodeId: promo._id,
+        code,
+      });
+
+      res.status(201).json({ promoCode: promo });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Update Promo Code
+// Changes apply to checkouts from now on; tickets sold keep their discount
+router.patch(
+  '/:id/promo-codes/:promoId',
+  auth,
+  checkEventOwnership,
+  validate(updatePromoCodeSchema),
+  async (req, res, next) => {
+    try {
+      const promo = await PromoCode.findOne({
+        _id: req.params.promoId,
+        event: req.event._id,
+      });
+      if (!promo) {
+        throw new AppError('Promo code not found', 404);
+      }
+
+      const missingTypes = unknownIds(
+        req.event,
+        'ticketTypes',
+        req.body.ticketTypes
+      );
+      if (missingTypes.length) {
+        throw new AppError('Ticket type not found on this event', 400, {
+          ticketTypes: missingTypes,
+        });
+      }
+
+      promo.set(req.body);
+      if (promo.discountType === 'PERCENTAGE' && promo.discountValue > 100) {
+        throw new AppError('Percentage discount cannot exceed 100', 400);
+      }
+      if (
+        promo.validFrom &&
+        promo.validUntil &&
+        promo.validUntil <= promo.validFrom
+      ) {
+        throw new AppError('validUntil must be after validFrom', 400);
+      }
+      await promo.save();
+
+      res.json({ promoCode: promo });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Deactivate Promo Code
+// Kept rather than deleted so past orders still name it
+router.delete(
+  '/:id/promo-codes/:promoId',
+  auth,
+  checkEventOwnership,
+  async (req, res, next) => {
+    try {
+      const promo = await PromoCode.findOneAndUpdate(
+        { _id: req.params.promoId, event: req.event._id },
+        { $set: { isActive: false } },
+        { new: true }
+      );
+      if (!promo) {
+        throw new AppError('Promo code not found', 404);
+      }
+
+      res.json({ promoCode: promo });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Seat Availability (public)
+// Every seat with its status, and the current price of each zone
+router.get('/:id/seats', async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id).select(
+      'name date isActive ticketTypes'
+    );
+    if (!event || !event.isActive) {
+      throw new AppError('Event not found', 404);
+    }
+    const seatMap = await seating.findMap(event._id);
+    if (!seatMap) {
+      throw new AppError('Event has no reserved seating', 404, {
+        code: 'NO_SEAT_MAP',
+      });
+    }
+
+    const seats = await seating.availability(seatMap);
+    const summary = { AVAILABLE: 0, HELD: 0, SOLD: 0, BLOCKED: 0 };
+    seats.forEach((seat) => summary[seat.status]++);
+
+    const now = new Date();
+    res.json({
+      eventId: event._id,
+      zones: seatMap.zones.map((zone) => {
+        const type = event.ticketTypes.id(zone.ticketType);
+        return {
+          name: zone.name,
+          color: zone.color,
+          ticketTypeId: zone.ticketType,
+          tier: type && type.name,
+          pricing: type && pricing.quote(type, { now }),
+        };
+      }),
+      summary,
+      seats,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Create or Replace Seat Map
+// Ticket types sold through zones get their capacity set to the number of
+// sellable seats. Seats that are held or sold can't be removed or blocked.
+router.put(
+  '/:id/seat-map',
+  auth,
+  checkEventOwnership,
+  validate(seatMapSchema),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+    try {
+      let seatMap;
+      await session.withTransaction(async () => {
+        const event = await Event.findById(req.params.id).session(session);
+        if (event.isCancelled) {
+          throw new AppError('Cancelled events cannot be edited', 409);
+        }
+
+        const existing = await seating.findMap(event._id, session);
+        seatMap = existing || new SeatMap({ event: event._id });
+        seatMap.set(seating.buildLayout(existing, req.body));
+        seatMap.updatedBy = req.user.id;
+        seating.assertValidMap(seatMap, event);
+
+        const index = seating.seatIndex(seatMap);
+        const taken = await SeatHold.find({ event: event._id })
+          .select('seat label')
+          .session(session);
+        const lost = taken.filter((hold) => {
+          const seat = index.get(hold.seat.toString());
+          return !seat || seat.blocked;
+        });
+        if (lost.length) {
+          throw new AppError('Seats with tickets cannot be removed', 409, {
+            code: 'SEATS_IN_USE',
+            seats: lost.slice(0, 20).map((h) => h.label),
+          });
+        }
+
+        const counts = seating.seatCounts(seatMap);
+        const zoned = new Set(
+          seatMap.zones.map((zone) => zone.ticketType.toString())
+        );
+        event.ticketTypes = inventory.mergeTicketTypes(
+          event.ticketTypes,
+          event.ticketTypes.map((type) => {
+            const id = type._id.toString();
+            return {
+              ...type.toObject(),
+              capacity: zoned.has(id) ? counts.get(id) || 0 : type.capacity,
+            };
+          })
+        );
+        await event.save({ session });
+        await seatMap.save({ session });
+      });
+
+      req.logger.info('Seat map saved', {
+        eventId: req.params.id,
+        seats: seating.seatIndex(seatMap).size,
+      });
+
+      res.json({ seatMap });
+    } catch (err) {
+      next(err);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+// Live Check-in Stream (Server-Sent Events)
+// EventSource can't set headers, so the stream also takes ?token= with a
+// short-lived stream token from POST /:id/checkins/stream-token
+const streamAuth = async (req, res, next) => {
+  if (req.header('x-auth-token')) return auth(req, res, next);
+
+  const claims = checkinStream.verifyStreamToken(
+    req.query.token,
+    req.params.id
+  );
+  if (!claims) return res.status(401).json({ error: 'INVALID_TOKEN' });
+  try {
+    req.user = await User.findById(claims.sub);
+    if (!req.user) return res.status(401).json({ error: 'USER_NOT_FOUND' });
+    req.isGodMode = claims.isGodMode;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Issue Check-in Stream Token
+router.post(
+  '/:id/checkins/stream-token',
+  auth,
+  checkEventOwnership,
+  (req, res) => {
+    res.json(
+      checkinStream.issueStreamToken(req.user, req.event._id, {
+        isGodMode: req.isGodMode,
+      })
+    );
+  }
+);
+
+router.get(
+  '/:id/checkins/stream',
+  streamAuth,
+  checkEventOwnership,
+  async (req, res, next) => {
+    const eventId = req.event._id;
+    const lastEventId = req.header('last-event-id') || req.query.lastEventId;
+
+    let snapshot;
+    try {
+      snapshot = await checkinStream.stats(eventId);
+    } catch (err) {
+      return next(err);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 3000\n\n');
+
+    const send = (type, data, id) => {
+      if (id) res.write(`id: ${id}\n`);
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let lastSent = lastEventId ? `${lastEventId}` : '';
+    const sendScan = (scan) => {
+      const id = scan._id.toString();
+      if (id <= lastSent) return;
+      lastSent = id;
+      send(
+        scan.result === 'ACCEPTED' ? 'checkin' : 'rejected',
+        {
+          ticketId: scan.ticket,
+          tier: scan.tier,
+          guestListEntry: scan.guestListEntry,
+          guests: scan.guests,
+          gate: scan.gate ? { id: scan.gate, name: scan.gateName } : null,
+          direction: scan.direction,
+          reason: scan.reason,
+          source: scan.source,
+          at: scan.at,
+        },
+        id
+      );
+    };
+
+    // Subscribe before replaying so scans recorded meanwhile aren't lost
+    let pending = [];
+    const unsubscribe = checkinStream.subscribe(eventId, (scan) =>
+      pending ? pending.push(scan) : sendScan(scan)
+    );
+    const unwatchStats = checkinStream.watchStats(eventId, (stats) =>
+      send('stats', stats)
+    );
+
+    req.on('close', () => {
+      unwatchStats();
+      unsubscribe();
+    });
+
+    send('snapshot', snapshot);
+    try {
+      if (lastEventId) {
+        (await checkinStream.replay(eventId, lastEventId)).forEach(sendScan);
+      }
+    } catch (err) {
+      req.logger.error('Check-in replay failed', {
+        eventId,
+        lastEventId,
+        error: err.message,
+      });
+    }
+    pending.forEach(sendScan);
+    pending = null;
+
+    req.logger.info('Check-in stream opened', {
+      eventId,
+      userId: req.user.id,
+      resumedFrom: lastEventId,
+    });
+  }
+);
+
 module.exports = router;
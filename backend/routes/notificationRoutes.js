@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Notification = require('../models/Notification');
+const validate = require('../middleware/validate');
+const auth = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+
+const notificationListSchema = Joi.object({
+  unread: Joi.boolean(),
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(20),
+});
+
+// GET /api/notifications - The signed-in user's inbox, newest first
+router.get(
+  '/',
+  auth,
+  validate(notificationListSchema, { query: true }),
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const query = { user: req.user.id };
+      if (req.query.unread === 'true') {
+        query.readAt = null;
+      }
+
+      const notifications = await Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+
+      const [count, unread] = await Promise.all([
+        Notification.countDocuments(query),
+        Notification.countDocuments({ user: req.user.id, readAt: null }),
+      ]);
+
+      res.json({
+        notifications,
+        unread,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// PATCH /api/notifications/:id/read - Mark a notification as read
+router.patch('/:id/read', auth, async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      throw new AppError('Notification not found', 404);
+    }
+
+    res.json({ notification });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Order = require('../models/Order');
+const validate = require('../middleware/validate');
+const auth = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+
+const orderListSchema = Joi.object({
+  paymentStatus: Joi.string().valid(
+    'PENDING',
+    'PAID',
+    'FAILED',
+    'EXPIRED',
+    'REFUNDED'
+  ),
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(10),
+});
+
+// GET /api/orders - The signed-in buyer's orders, newest first
+router.get(
+  '/',
+  auth,
+  validate(orderListSchema, { query: true }),
+  async (req, res, next) => {
+    try {
+      const { paymentStatus } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+
+      const query = { buyer: req.user.id };
+      if (paymentStatus) query.paymentStatus = paymentStatus;
+
+      const orders = await Order.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('event', 'name date location')
+        .lean();
+
+      const count = await Order.countDocuments(query);
+
+      res.json({
+        orders,
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// GET /api/orders/:id - A single order with its tickets
+router.get('/:id', auth, async (req, res, next) => {
+  try {
+    if (!/^[a-f\d]{24}$/i.test(req.params.id)) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const order = await Order.findById(req.params.id)
+      .populate('event', 'name date location')
+      .populate('tickets', '-transferHistory -validationHistory')
+      .lean();
+
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    // Buyers only see their own orders
+    if (!req.isGodMode && order.buyer.toString() !== req.user.id.toString()) {
+      throw new AppError('Order not found', 404);
+    }
+
+    res.json(order);
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const ResaleListing = require('../models/ResaleListing');
+const validate = require('../middleware/validate');
+const auth = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const checkout = require('../utils/checkout');
+const resale = require('../utils/resale');
+const providers = require('../providers');
+const paymentSchemas = require('../schemas/paymentSchemas');
+
+const listingSchema = Joi.object({
+  ticketId: Joi.string().hex().length(24).required(),
+  // Giving a ticket away is a transfer; a resale always has a charge
+  price: Joi.number().precision(2).positive().required(),
+  payout: Joi.object({
+    method: Joi.string().valid('mobile_money').default('mobile_money'),
+    phone: Joi.string()
+      .pattern(/^\+?\d{8,15}$/)
+      .required(),
+  }).required(),
+});
+
+const browseSchema = Joi.object({
+  eventId: Joi.string().hex().length(24),
+  tier: Joi.string().trim().max(50),
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(20),
+});
+
+const purchaseSchema = Joi.object({
+  payment: paymentSchemas.paymentOptions,
+});
+
+// What buyers see of a listing
+const publicListing = (listing) => ({
+  id: listing._id,
+  event: listing.event,
+  tier: listing.tier,
+  faceValue: listing.faceValue,
+  price: listing.price,
+  currency: listing.currency,
+  availableUntil: listing.delistAt,
+  listedAt: listing.createdAt,
+});
+
+// GET /api/resale/listings - Tickets on sale, cheapest first (public)
+router.get(
+  '/listings',
+  validate(browseSchema, { query: true }),
+  async (req, res, next) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const query = { status: 'ACTIVE', delistAt: { $gt: new Date() } };
+      if (req.query.eventId) query.event = req.query.eventId;
+      if (req.query.tier) query.tier = req.query.tier;
+
+      const [listings, total] = await Promise.all([
+        ResaleListing.find(query)
+          .populate('event', 'name date location')
+          .sort({ price: 1, createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        ResaleListing.countDocuments(query),
+      ]);
+
+      res.json({
+        listings: listings.map(publicListing),
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// GET /api/resale/listings/mine - The seller's listings and payouts
+router.get('/listings/mine', auth, async (req, res, next) => {
+  try {
+    const listings = await ResaleListing.find({ seller: req.user.id })
+      .populate('event', 'name date')
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(listings);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// POST /api/resale/listings - List a held ticket at or below the cap
+router.post(
+  '/listings',
+  auth,
+  validate(listingSchema),
+  async (req, res, next) => {
+    try {
+      const ticket = await Ticket.findById(req.body.ticketId);
+      if (!ticket) {
+        throw new AppError('Ticket not found', 404);
+      }
+      if (!ticket.owner.equals(req.user.id)) {
+        throw new AppError('You do not own this ticket', 403);
+      }
+      const event = await Event.findById(ticket.event);
+
+      const listing = await resale.list(ticket, event, {
+        price: req.body.price,
+        payoutDetails: req.body.payout,
+      });
+
+      req.logger.info('Resale listing created', {
+        listingId: listing._id,
+        ticketId: ticket._id,
+        price: listing.price,
+      });
+
+      res.status(201).json({
+        listing: publicListing(listing),
+        sellerPayout: listing.sellerPayout,
+        platformFee: listing.platformFee,
+        royalty: listing.royalty,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// DELETE /api/resale/listings/:id - Seller takes the ticket off sale
+router.delete('/listings/:id', auth, async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const listing = await ResaleListing.findById(req.params.id).session(
+      session
+    );
+    if (!listing || !listing.seller.equals(req.user.id)) {
+      throw new AppError('Listing not found', 404);
+    }
+    if (listing.status !== 'ACTIVE') {
+      throw new AppError(`Listing is ${listing.status.toLowerCase()}`, 409, {
+        code: 'LISTING_UNAVAILABLE',
+        status: listing.status,
+      });
+    }
+
+    await resale.delist(
+      { _id: listing._id, status: 'ACTIVE' },
+      'SELLER',
+      session
+    );
+    await session.commitTransaction();
+
+    req.logger.info('Resale listing cancelled', { listingId: listing._id });
+    res.json({ status: 'cancelled', listingId: listing._id });
+  } catch (err) {
+    await session.abortTransaction();
+    next(err);
+  } finally {
+    session.endSession();
+  }
+});
+
+// POST /api/resale/listings/:id/purchase - Buy a listed ticket through the
+// normal checkout: the listing is held while payment is collected and the
+// ticket is re-issued to the buyer when the payment webhook confirms it
+router.post(
+  '/listings/:id/purchase',
+  auth,
+  validate(purchaseSchema),
+  async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const paymentOptions = req.body.payment || {};
+      const provider = providers.getProvider(paymentOptions.provider);
+
+      const listing = await ResaleListing.findById(req.params.id).session(
+        session
+      );
+      if (!listing) {
+        throw new AppError('Listing not found', 404);
+      }
+
+      const order = await resale.placeOrder(listing, req.user.id, session);
+      await session.commitTransaction();
+
+      const payment = await checkout.initiatePayment(
+        provider,
+        order,
+        { email: req.user.email, phone: paymentOptions.phone },
+        paymentOptions
+      );
+
+      req.logger.info('Resale purchase initiated', {
+        listingId: listing._id,
+        orderNumber: order.orderNumber,
+        provider: payment.provider,
+        transactionId: payment.transactionId,
+      });
+
+      res.status(201).json({ success: true, order, payment });
+    } catch (err) {
+      // Payment initiation runs after the commit
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      next(err);
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+module.exports = router;
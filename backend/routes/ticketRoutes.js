@@ -6,27 +6,110 @@ const { AppError } = require('../middleware/errorHandler');
 const Ticket = require('../models/Ticket');
 const Event = require('../models/Event');
 const User = require('../models/User');
-const QRCode = require('qrcode');
 const validate = require('../middleware/validate');
 const auth = require('../middleware/auth');
 const staffAuth = require('../middleware/staffAuth');
+const qrImageUpload = require('../middleware/qrImageUpload');
+const { claimLookupLimiter } = require('../middleware/rateLimiter');
 const { handlePaymentWebhook } = require('../controllers/paymentWebhooks');
-const { processRefund } = require('../controllers/refundController');
+const offlineSync = require('../controllers/offlineSync');
+const guestListController = require('../controllers/guestListController');
+const {
+  processRefund,
+  approveRefund,
+  rejectRefund,
+} = require('../controllers/refundController');
+const {
+  offerTransfer,
+  listTransfers,
+  acceptTransfer,
+  declineTransfer,
+  cancelTransfer,
+  lookupClaim,
+  acceptClaim,
+} = require('../controllers/transferController');
+const checkout = require('../utils/checkout');
+const admission = require('../utils/admission');
+const checkinStream = require('../utils/checkinStream');
+const providers = require('../providers');
+const paymentSchemas = require('../schemas/paymentSchemas');
 
 // Validation Schemas
+const seatsSchema = Joi.array().items(Joi.string().hex().length(24)).unique();
+
 const purchaseSchema = Joi.object({
   eventId: Joi.string().hex().length(24).required(),
-  tier: Joi.string().valid('VIP', 'Early Bird', 'General').default('General'),
+  ticketTypeId: Joi.string().hex().length(24),
+  tier: Joi.string().trim().max(50),
   quantity: Joi.number().integer().min(1).max(10).default(1),
+  // Buy with tickets a waitlist offer reserved
+  offerId: Joi.string().hex().length(24),
+  promoCode: Joi.string().trim().max(50),
+  // Seat ids for reserved seating; the quantity is taken from them
+  seats: seatsSchema.max(10),
+  payment: paymentSchemas.paymentOptions,
+}).xor('ticketTypeId', 'tier');
+
+// Recipients without an account get a claim link instead
+const transferSchema = Joi.object({
+  email: Joi.string().email(),
+  phone: Joi.string().pattern(/^\+?\d{8,15}$/),
+  message: Joi.string().max(500),
+}).xor('email', 'phone');
+
+const claimSchema = Joi.object({
+  token: Joi.string().max(100).required(),
 });
 
-const transferSchema = Joi.object({
-  email: Joi.string().email().required(),
+const transferListSchema = Joi.object({
+  direction: Joi.string().valid('incoming', 'outgoing').default('incoming'),
+  status: Joi.string().valid(
+    'PENDING',
+    'ACCEPTED',
+    'DECLINED',
+    'CANCELLED',
+    'EXPIRED'
+  ),
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(20),
 });
 
 const validateSchema = Joi.object({
   qrData: Joi.string().required(),
   location: Joi.string().max(100),
+  gateId: Joi.string().hex().length(24),
+  // Re-entry tickets toggle in/out when omitted
+  direction: Joi.string().valid('IN', 'OUT'),
+});
+
+const offlineSyncSchema = Joi.object({
+  eventId: Joi.string().hex().length(24).required(),
+  deviceId: Joi.string().max(100).required(),
+  scans: Joi.array()
+    .items(
+      Joi.object({
+        scanId: Joi.string().max(100).required(),
+        qrData: Joi.string().required(),
+        scannedAt: Joi.date().iso().max('now').required(),
+        location: Joi.string().max(100),
+        gateId: Joi.string().hex().length(24),
+        direction: Joi.string().valid('IN', 'OUT'),
+      })
+    )
+    .min(1)
+    .max(500)
+    .required(),
+});
+
+const guestSearchSchema = Joi.object({
+  eventId: Joi.string().hex().length(24).required(),
+  q: Joi.string().trim().min(2).max(100).required(),
+});
+
+const guestCheckInSchema = Joi.object({
+  // Guest plus companions coming in together
+  count: Joi.number().integer().min(1).max(21).default(1),
+  gateId: Joi.string().hex().length(24),
 });
 
 const batchPurchaseSchema = Joi.object({
@@ -34,12 +117,16 @@ const batchPurchaseSchema = Joi.object({
   tickets: Joi.array()
     .items(
       Joi.object({
-        tier: Joi.string().valid('VIP', 'Early Bird', 'General').required(),
+        ticketTypeId: Joi.string().hex().length(24),
+        tier: Joi.string().trim().max(50),
         quantity: Joi.number().integer().min(1).max(5).default(1),
-      })
+        seats: seatsSchema.max(5),
+      }).xor('ticketTypeId', 'tier')
     )
     .min(1)
     .max(5),
+  promoCode: Joi.string().trim().max(50),
+  payment: paymentSchemas.paymentOptions,
 });
 
 const searchSchema = Joi.object({
@@ -50,49 +137,17 @@ const searchSchema = Joi.object({
 
 const refundSchema = Joi.object({
   reason: Joi.string().max(500).required(),
+  // Omit for the full amount the event's policy allows
+  amount: Joi.number().precision(2).min(0),
 });
 
-// Helper functions
-const validateTicketOwnership = (ticket, userId, logger) => {
-  if (!ticket) {
-    logger.error('Ticket not found');
-    throw new AppError('Ticket not found', 404, { severity: 'high' });
-  }
-  if (req.isGodMode) return; // 👈 God Mode bypass
-  if (ticket.owner.toString() !== userId.toString()) {
-    logger.warn('Ownership validation failed', {
-      expectedOwner: ticket.owner,
-      attemptingUser: userId,
-    });
-    throw new AppError('You do not own this ticket', 403);
-  }
-};
-
-async function createSingleTicket(eventId, userId, tier, session = null) {
-  const price = { VIP: 500, 'Early Bird': 300, General: 200 }[tier];
-  const qrData = `ESWATICKET:${eventId}:${userId}:${Date.now()}`;
-  const qrCode = await QRCode.toDataURL(qrData);
-
-  const ticket = new Ticket({
-    event: eventId,
-    owner: userId,
-    price,
-    tier,
-    qrData,
-    qrCode,
-    transferHistory: [
-      {
-        from: userId,
-        to: userId,
-        date: new Date(),
-      },
-    ],
-  });
-
-  const options = session ? { session } : {};
-  await ticket.save(options);
-  return ticket.toObject();
-}
+const refundDecisionSchema = Joi.object({
+  note: Joi.string().max(500),
+  amount: Joi.number().precision(2).min(0),
+  // The organizer already paid the holder back (tickets with no payment
+  // on record)
+  paidOutManually: Joi.boolean(),
+});
 
 // Routes
 // Purchase Ticket
@@ -101,29 +156,20 @@ router.post(
   auth,
   validate(purchaseSchema),
   async (req, res, next) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
+      const paymentOptions = req.body.payment || {};
+      const provider = providers.getProvider(paymentOptions.provider);
+
       req.logger.info('Purchase initiated', {
         userId: req.user.id,
         eventId: req.body.eventId,
         quantity: req.body.quantity,
       });
 
-      if (req.body.quantity > 1) {
-        // Convert to batch purchase format
-        const batchPayload = {
-          eventId: req.body.eventId,
-          tickets: [
-            {
-              tier: req.body.tier,
-              quantity: req.body.quantity,
-            },
-          ],
-        };
-        req.body = batchPayload;
-        return next('route'); // Pass to batch purchase route
-      }
-
-      const event = await Event.findById(req.body.eventId);
+      const event = await Event.findById(req.body.eventId).session(session);
       if (!event) {
         throw new AppError('Event not found', 404, {
           eventId: req.body.eventId,
@@ -131,21 +177,63 @@ router.post(
         });
       }
 
-      const ticket = await createSingleTicket(
-        event._id,
+      const { order, tickets } = await checkout.placeOrder(
+        event,
         req.user.id,
-        req.body.tier
+        [
+          {
+            ticketTypeId: req.body.ticketTypeId,
+            tier: req.body.tier,
+            quantity: req.body.seats
+              ? req.body.seats.length
+              : req.body.quantity || 1,
+            seats: req.body.seats,
+          },
+        ],
+        session,
+        { offerId: req.body.offerId, promoCode: req.body.promoCode }
       );
 
-      req.logger.info('Purchase completed', { ticketId: ticket._id });
-      res.status(201).json(ticket);
+      await session.commitTransaction();
+
+      // Free orders are settled at checkout
+      const payment =
+        order.paymentStatus === 'PAID'
+          ? null
+          : await checkout.initiatePayment(
+              provider,
+              order,
+              { email: req.user.email, phone: paymentOptions.phone },
+              paymentOptions
+            );
+
+      req.logger.info('Purchase completed', {
+        orderNumber: order.orderNumber,
+        ticketIds: tickets.map((t) => t._id),
+        provider: payment && payment.provider,
+        transactionId: payment && payment.transactionId,
+      });
+
+      res.status(201).json({
+        success: true,
+        order,
+        payment,
+        count: tickets.length,
+        tickets,
+      });
     } catch (err) {
+      // Payment initiation runs after the commit
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
       req.logger.error('Purchase failed', {
         error: err.message,
         stack: err.stack,
         body: req.body,
       });
       next(err);
+    } finally {
+      session.endSession();
     }
   }
 );
@@ -160,11 +248,14 @@ router.post(
     session.startTransaction();
 
     try {
+      const paymentOptions = req.body.payment || {};
+      const provider = providers.getProvider(paymentOptions.provider);
+
       req.logger.info('Batch purchase initiated', {
         userId: req.user.id,
         eventId: req.body.eventId,
         ticketCount: req.body.tickets.reduce(
-          (sum, item) => sum + item.quantity,
+          (sum, item) => sum + (item.quantity || 1),
           0
         ),
       });
@@ -176,32 +267,51 @@ router.post(
         });
       }
 
-      const createdTickets = [];
-      for (const item of req.body.tickets) {
-        for (let i = 0; i < item.quantity; i++) {
-          const ticket = await createSingleTicket(
-            event._id,
-            req.user.id,
-            item.tier,
-            session
-          );
-          createdTickets.push(ticket);
-        }
-      }
+      const { order, tickets } = await checkout.placeOrder(
+        event,
+        req.user.id,
+        req.body.tickets.map((item) => ({
+          ticketTypeId: item.ticketTypeId,
+          tier: item.tier,
+          quantity: item.seats ? item.seats.length : item.quantity || 1,
+          seats: item.seats,
+        })),
+        session,
+        { promoCode: req.body.promoCode }
+      );
 
       await session.commitTransaction();
+
+      // Free orders are settled at checkout
+      const payment =
+        order.paymentStatus === 'PAID'
+          ? null
+          : await checkout.initiatePayment(
+              provider,
+              order,
+              { email: req.user.email, phone: paymentOptions.phone },
+              paymentOptions
+            );
+
       req.logger.info('Batch purchase completed', {
-        ticketCount: createdTickets.length,
+        orderNumber: order.orderNumber,
+        ticketCount: tickets.length,
         eventId: event._id,
+        provider: payment && payment.provider,
       });
 
       res.status(201).json({
         success: true,
-        count: createdTickets.length,
-        tickets: createdTickets,
+        order,
+        payment,
+        count: tickets.length,
+        tickets,
       });
     } catch (err) {
-      await session.abortTransaction();
+      // Payment initiation runs after the commit
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
       req.logger.error('Batch purchase failed', {
         error: err.message,
         eventId: req.body.eventId,
@@ -219,10 +329,20 @@ router.get('/my-tickets', auth, async (req, res, next) => {
     req.logger.debug('Fetching user tickets', { userId: req.user.id });
 
     const tickets = await Ticket.find({ owner: req.user.id })
-      .populate('event', 'name date location')
+      .populate(
+        'event',
+        'name date location isCancelled originalDate postponements'
+      )
       .select('-transferHistory -validationHistory')
       .lean();
 
+    // Summarize reschedules so holders see their opt-out window
+    tickets.forEach((ticket) => {
+      if (!ticket.event) return;
+      ticket.event.postponement = Event.postponementStatus(ticket.event);
+      delete ticket.event.postponements;
+    });
+
     req.logger.info('Tickets retrieved', { count: tickets.length });
     res.json(tickets);
   } catch (err) {
@@ -234,143 +354,91 @@ router.get('/my-tickets', auth, async (req, res, next) => {
   }
 });
 
-// Transfer Ticket
+// Transfers: the holder offers, the recipient accepts or declines
 router.post(
   '/transfer/:ticketId',
   auth,
   validate(transferSchema),
-  async (req, res, next) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
-    try {
-      req.logger.info('Transfer initiated', {
-        ticketId: req.params.ticketId,
-        sender: req.user.id,
-        recipientEmail: req.body.email,
-      });
-
-      const ticket = await Ticket.findById(req.params.ticketId).session(
-        session
-      );
-      validateTicketOwnership(ticket, req.user.id, req.logger);
-
-      const recipient = await User.findOne({ email: req.body.email }).session(
-        session
-      );
-      if (!recipient) {
-        throw new AppError('Recipient not found', 404, {
-          email: req.body.email,
-          solution: 'Verify the email or ask recipient to register',
-        });
-      }
-
-      const qrData = `ESWATICKET:${ticket.event}:${
-        recipient._id
-      }:${Date.now()}`;
-      const qrCode = await QRCode.toDataURL(qrData);
-
-      ticket.transferHistory.push({
-        from: req.user.id,
-        to: recipient._id,
-        date: new Date(),
-      });
-      ticket.owner = recipient._id;
-      ticket.qrData = qrData;
-      ticket.qrCode = qrCode;
-
-      await ticket.save({ session });
-      await session.commitTransaction();
-
-      req.logger.info('Transfer completed', {
-        ticketId: ticket._id,
-        newOwner: recipient.email,
-      });
-
-      res.json({
-        success: true,
-        message: `Ticket transferred to ${recipient.email}`,
-        newQRCode: qrCode,
-        ticketId: ticket._id,
-      });
-    } catch (err) {
-      await session.abortTransaction();
-      req.logger.error('Transfer failed', {
-        ticketId: req.params.ticketId,
-        error: err.message,
-      });
-      next(err);
-    } finally {
-      session.endSession();
-    }
-  }
+  offerTransfer
+);
+router.get(
+  '/transfers',
+  auth,
+  validate(transferListSchema, { query: true }),
+  listTransfers
+);
+router.post('/transfers/:transferId/accept', auth, acceptTransfer);
+router.post('/transfers/:transferId/decline', auth, declineTransfer);
+router.post('/transfers/:transferId/cancel', auth, cancelTransfer);
+router.post(
+  '/claims/lookup',
+  claimLookupLimiter,
+  validate(claimSchema),
+  lookupClaim
 );
+router.post('/claims/accept', auth, validate(claimSchema), acceptClaim);
 
 // Validate Ticket
+// Takes raw `qrData` (JSON) or a ticket photo/screenshot (multipart `image`)
 router.post(
   '/validate',
   staffAuth,
+  qrImageUpload,
   validate(validateSchema),
   async (req, res, next) => {
     const session = await mongoose.startSession();
     session.startTransaction();
+    // Set once the scanner is cleared for the ticket's event, so refusals
+    // after that point show on the event's live check-in stream
+    let scanned;
 
     try {
       req.logger.info('Validation attempt', {
         validator: req.user.id,
         location: req.body.location,
+        source: req.qrSource || 'scan',
       });
 
-      let qrPayload;
-      if (req.body.qrData.includes('ESWATICKET')) {
-        qrPayload = req.body.qrData.split('ESWATICKET:')[1]
-          ? `ESWATICKET:${req.body.qrData.split('ESWATICKET:')[1]}`
-          : req.body.qrData;
-      } else {
-        const match = req.body.qrData.match(/ESWATICKET:[^"]+/);
-        if (!match) {
-          throw new AppError('Invalid QR code format', 400, {
-            solution: 'Scan a valid Eswatini Ticket QR code',
-          });
-        }
-        qrPayload = match[0];
-      }
-
-      const ticket = await Ticket.findOne({
-        $or: [{ qrData: qrPayload }, { qrCode: { $regex: qrPayload } }],
-      })
-        .populate('event', 'name date location')
-        .populate('owner', 'email')
-        .session(session);
-
-      if (!ticket) {
-        throw new AppError('Ticket not found', 404, {
-          qrPayload: qrPayload.substring(0, 50),
-          solution: 'Verify the ticket or contact support',
-        });
-      }
-
-      if (ticket.isUsed) {
-        throw new AppError('Ticket already used', 400, {
-          ticketId: ticket._id,
-          firstUsed: ticket.updatedAt,
-          solution: 'Check for duplicate scanning',
-        });
-      }
-
-      ticket.isUsed = true;
-      ticket.validationHistory.push({
-        timestamp: new Date(),
+      const { ticket } = await admission.findTicketByQr(
+        req.body.qrData,
+        session
+      );
+      // Only staff assigned to this event (and gate, and shift) may scan
+      const gate = admission.resolveGate(ticket.event, req.user, {
+        gateId: req.body.gateId,
+      });
+      scanned = {
+        event: ticket.event._id,
+        ticket: ticket._id,
+        tier: ticket.tier,
+        gate: gate ? gate._id : undefined,
+        gateName: gate ? gate.name : undefined,
+        direction: req.body.direction,
+        scannedBy: req.user.id,
+      };
+
+      admission.assertAdmissible(ticket);
+      const scan = admission.admit(ticket, {
+        direction: req.body.direction,
         validatedBy: req.user.id,
-        location: req.body.location || 'Unknown',
+        gate,
+        location: req.body.location,
       });
 
       await ticket.save({ session });
       await session.commitTransaction();
 
+      checkinStream.record({
+        ...scanned,
+        result: 'ACCEPTED',
+        direction: scan.direction,
+        at: scan.timestamp,
+      });
+
       req.logger.info('Validation successful', {
         ticketId: ticket._id,
         event: ticket.event.name,
+        direction: scan.direction,
       });
 
       res.json({
@@ -384,14 +452,35 @@ router.post(
         attendee: {
           email: ticket.owner.email,
         },
-        validatedAt: new Date(),
+        gate: gate && { id: gate._id, name: gate.name },
+        seat: ticket.seat.label && {
+          label: ticket.seat.label,
+          section: ticket.seat.section,
+          row: ticket.seat.row,
+          number: ticket.seat.number,
+        },
+        admission: {
+          mode: scan.admissionMode,
+          direction: scan.direction,
+          day: scan.day,
+          state: ticket.admissionState,
+          daysAdmitted: ticket.daysAdmitted,
+        },
+        validatedAt: scan.timestamp,
       });
     } catch (err) {
-      await session.abortTransaction();
+      if (session.inTransaction()) await session.abortTransaction();
       req.logger.error('Validation failed', {
         validator: req.user.id,
         error: err.message,
       });
+      if (scanned && err instanceof AppError && err.statusCode < 500) {
+        checkinStream.record({
+          ...scanned,
+          result: 'REJECTED',
+          reason: (err.details && err.details.code) || 'INVALID',
+        });
+      }
       next(err);
     } finally {
       session.endSession();
@@ -399,6 +488,30 @@ router.post(
   }
 );
 
+// Offline Scanning
+router.get('/offline/public-key', staffAuth, offlineSync.getPublicKey);
+router.get('/offline/manifest/:eventId', staffAuth, offlineSync.getManifest);
+router.post(
+  '/offline/sync',
+  staffAuth,
+  validate(offlineSyncSchema),
+  offlineSync.syncScans
+);
+
+// Guest list check-in by name (assigned Staff)
+router.get(
+  '/guest-list/search',
+  staffAuth,
+  validate(guestSearchSchema, { query: true }),
+  guestListController.searchGuests
+);
+router.post(
+  '/guest-list/:entryId/check-in',
+  staffAuth,
+  validate(guestCheckInSchema),
+  guestListController.checkInGuest
+);
+
 // Refund Ticket
 router.post(
   '/:ticketId/refund',
@@ -408,6 +521,20 @@ router.post(
   processRefund
 );
 
+// Approve or reject a refund awaiting the organizer
+router.post(
+  '/:ticketId/refunds/:refundId/approve',
+  auth,
+  validate(refundDecisionSchema),
+  approveRefund
+);
+router.post(
+  '/:ticketId/refunds/:refundId/reject',
+  auth,
+  validate(refundDecisionSchema.fork('note', (note) => note.required())),
+  rejectRefund
+);
+
 // Search Tickets
 router.get(
   '/search',
@@ -429,7 +556,7 @@ router.get(
 
       if (req.query.ticketId) ticketQuery._id = req.query.ticketId;
       if (req.query.transactionId)
-        ticketQuery['payment.transactionId'] = req.query.transactionId;
+        ticketQuery.transactionId = req.query.transactionId;
 
       const tickets = await Ticket.find(ticketQuery)
         .populate('event', 'name date')
@@ -449,9 +576,8 @@ router.get(
 );
 
 // Webhook for Payment Processing
-router.post(
-  '/webhook/payment',
-  express.raw({ type: 'application/json' }),
-  handlePaymentWebhook
-);
+// The provider segment selects the adapter; without it the default
+// provider (PAYMENT_PROVIDER) handles the delivery. The raw body parser is
+// mounted in app.js, ahead of express.json.
+router.post('/webhook/payment/:provider?', handlePaymentWebhook);
 module.exports = router;
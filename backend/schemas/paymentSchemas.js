@@ -0,0 +1,30 @@
+const Joi = require('joi');
+const providers = require('../providers');
+
+// Options only the sandbox provider reads
+const SANDBOX_OPTIONS = ['outcome', 'delayMs'];
+
+module.exports = {
+  // Payment options for a checkout, passed through to the provider adapter.
+  // The sandbox confirms payments without taking money, so asking for it or
+  // steering it is refused unless it is enabled. That is checked per request
+  // so it follows the provider registry, not module load order.
+  paymentOptions: Joi.object({
+    provider: Joi.string().max(30),
+    paymentMethod: Joi.string().valid('mobile_money', 'card', 'sandbox'),
+    phone: Joi.string().pattern(/^\+?\d{8,15}$/),
+    outcome: Joi.string().valid('success', 'failed', 'timeout'),
+    delayMs: Joi.number().integer().min(0).max(60000),
+  }).custom((options, helpers) => {
+    if (providers.sandboxEnabled()) return options;
+    const sandbox =
+      options.provider === 'sandbox' ||
+      options.paymentMethod === 'sandbox' ||
+      SANDBOX_OPTIONS.some((key) => options[key] !== undefined);
+    return sandbox
+      ? helpers.message({
+          custom: '{{#label}} needs the sandbox provider, which is not enabled',
+        })
+      : options;
+  }),
+};
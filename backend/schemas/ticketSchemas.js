@@ -4,9 +4,10 @@ module.exports = {
   // Ticket purchase validation
   purchaseTicket: Joi.object({
     eventId: Joi.string().hex().length(24).required(),
-    tier: Joi.string().valid('VIP', 'Early Bird', 'General').default('General'),
+    ticketTypeId: Joi.string().hex().length(24),
+    tier: Joi.string().trim().max(50),
     quantity: Joi.number().integer().min(1).max(10).default(1),
-  }),
+  }).xor('ticketTypeId', 'tier'),
 
   // Ticket transfer validation
   transferTicket: Joi.object({
@@ -0,0 +1,50 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+// Registers the model Event.issuedCounts reads from
+require('../models/Ticket');
+
+const dbConfig = {
+  connectTimeoutMS: 5000,
+  serverSelectionTimeoutMS: 3000,
+};
+
+// Seed ticketTypes[].available for events created before inventory was
+// tracked: capacity minus tickets already issued (refunded, released and
+// revoked tickets excluded)
+async function backfillInventory() {
+  try {
+    console.log('🔌 Connecting to database...');
+    await mongoose.connect(process.env.MONGODB_URI, dbConfig);
+
+    // Any event with a ticket type lacking inventory, even if its other
+    // types already have some
+    const events = await Event.find({
+      ticketTypes: { $elemMatch: { available: null } },
+    });
+
+    for (const event of events) {
+      const issued = await Event.issuedCounts(event);
+
+      event.ticketTypes.forEach((type) => {
+        if (type.available !== undefined && type.available !== null) return;
+        type.available = Math.max(
+          0,
+          type.capacity - issued.get(type._id.toString())
+        );
+      });
+
+      await event.save();
+      console.log(`✓ ${event.name}: inventory seeded`);
+    }
+
+    console.log(`\n✅ Backfilled ${events.length} event(s)`);
+  } catch (err) {
+    console.error('\n❌ Backfill failed:', err.message);
+  } finally {
+    await mongoose.disconnect();
+    process.exit();
+  }
+}
+
+backfillInventory();
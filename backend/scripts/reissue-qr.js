@@ -0,0 +1,60 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const qrToken = require('../utils/qrToken');
+
+const dbConfig = {
+  connectTimeoutMS: 5000,
+  serverSelectionTimeoutMS: 3000,
+};
+
+// Replace legacy `ESWATICKET:` QR payloads with signed tokens so legacy
+// codes can be switched off (LEGACY_QR_ACCEPT_UNTIL). Holders see the new
+// code the next time they open their tickets.
+async function reissueQr() {
+  try {
+    // Without configured keys this process would sign with a throwaway key
+    // the server doesn't know
+    if (!process.env.QR_SIGNING_KEYS) {
+      throw new Error('QR_SIGNING_KEYS is not configured');
+    }
+
+    console.log('🔌 Connecting to database...');
+    await mongoose.connect(process.env.MONGODB_URI, dbConfig);
+
+    const cursor = Ticket.find({
+      qrData: /^ESWATICKET:/,
+      status: { $in: ['PENDING', 'ACTIVE', 'TRANSFERRED'] },
+    })
+      .select('event qrVersion')
+      .cursor();
+
+    let count = 0;
+    for await (const ticket of cursor) {
+      const qrVersion = (ticket.qrVersion || 1) + 1;
+      await Ticket.updateOne(
+        { _id: ticket._id },
+        {
+          $set: {
+            qrVersion,
+            qrData: qrToken.sign({
+              _id: ticket._id,
+              event: ticket.event,
+              qrVersion,
+            }),
+          },
+        }
+      );
+      count++;
+    }
+
+    console.log(`\n✅ Re-issued ${count} ticket QR code(s)`);
+  } catch (err) {
+    console.error('\n❌ Re-issue failed:', err.message);
+  } finally {
+    await mongoose.disconnect();
+    process.exit();
+  }
+}
+
+reissueQr();
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const admission = require('../utils/admission');
+
+describe('Ticket admission modes', () => {
+  const typeId = new mongoose.Types.ObjectId();
+  const staffId = new mongoose.Types.ObjectId();
+
+  const ticketFor = (admissionMode, eventOverrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    ticketType: typeId,
+    tier: 'Festival',
+    isUsed: false,
+    validationHistory: [],
+    daysAdmitted: [],
+    event: {
+      date: new Date('2026-07-03T08:00:00Z'),
+      ticketTypes: [{ _id: typeId, name: 'Festival', admissionMode }],
+      ...eventOverrides,
+    },
+  });
+
+  const refusal = (fn) => {
+    try {
+      fn();
+    } catch (err) {
+      return err.details.reason;
+    }
+    return null;
+  };
+
+  it('admits single-entry tickets once', () => {
+    const ticket = ticketFor('SINGLE');
+    const now = new Date('2026-07-03T10:00:00Z');
+
+    const scan = admission.admit(ticket, { now, validatedBy: staffId });
+    expect(scan).toMatchObject({ direction: 'IN', day: '2026-07-03' });
+    expect(ticket.isUsed).toBe(true);
+
+    expect(refusal(() => admission.admit(ticket, { now }))).toBe(
+      'ALREADY_USED'
+    );
+    expect(
+      refusal(() =>
+        admission.admit(ticketFor('SINGLE'), { direction: 'OUT', now })
+      )
+    ).toBe('SCAN_OUT_NOT_ALLOWED');
+  });
+
+  it('alternates re-entry tickets between inside and outside', () => {
+    const ticket = ticketFor('REENTRY');
+    const now = new Date('2026-07-03T10:00:00Z');
+
+    expect(admission.admit(ticket, { now }).direction).toBe('IN');
+    expect(ticket.admissionState).toBe('INSIDE');
+    expect(
+      refusal(() => admission.admit(ticket, { direction: 'IN', now }))
+    ).toBe('ALREADY_INSIDE');
+
+    expect(admission.admit(ticket, { now }).direction).toBe('OUT');
+    expect(ticket.admissionState).toBe('OUTSIDE');
+    expect(
+      refusal(() => admission.admit(ticket, { direction: 'OUT', now }))
+    ).toBe('NOT_INSIDE');
+
+    expect(admission.admit(ticket, { direction: 'IN', now }).direction).toBe(
+      'IN'
+    );
+    expect(ticket.validationHistory).toHaveLength(3);
+  });
+
+  it('admits multi-day passes once per event day', () => {
+    const ticket = ticketFor('MULTI_DAY', {
+      endDate: new Date('2026-07-05T08:00:00Z'),
+    });
+
+    admission.admit(ticket, { now: new Date('2026-07-03T09:00:00Z') });
+    expect(
+      refusal(() =>
+        admission.admit(ticket, { now: new Date('2026-07-03T18:00:00Z') })
+      )
+    ).toBe('ALREADY_ADMITTED_TODAY');
+
+    // 23:30 UTC on the 3rd is already the 4th in Eswatini (UTC+2)
+    expect(
+      admission.admit(ticket, { now: new Date('2026-07-03T23:30:00Z') }).day
+    ).toBe('2026-07-04');
+    expect(ticket.daysAdmitted).toEqual(['2026-07-03', '2026-07-04']);
+
+    expect(
+      refusal(() =>
+        admission.admit(ticket, { now: new Date('2026-07-06T09:00:00Z') })
+      )
+    ).toBe('NOT_EVENT_DAY');
+  });
+
+  describe('gate scoping', () => {
+    const mainGate = { _id: new mongoose.Types.ObjectId(), name: 'Main' };
+    const vipGate = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'VIP',
+      ticketTypes: [new mongoose.Types.ObjectId()],
+    };
+    const staff = { id: staffId.toString(), role: 'staff' };
+    const event = {
+      gates: [mainGate, vipGate],
+      staffAssignments: [
+        {
+          user: staffId,
+          gates: [mainGate._id],
+          shiftStart: new Date('2026-07-03T06:00:00Z'),
+          shiftEnd: new Date('2026-07-03T14:00:00Z'),
+        },
+      ],
+    };
+    const duringShift = new Date('2026-07-03T10:00:00Z');
+
+    const codeOf = (fn) => {
+      try {
+        fn();
+      } catch (err) {
+        return err.details.code;
+      }
+      return null;
+    };
+
+    it('infers the only gate a staff member may use', () => {
+      expect(admission.resolveGate(event, staff, { now: duringShift })).toBe(
+        mainGate
+      );
+    });
+
+    it('refuses unassigned staff, other gates and off-shift scans', () => {
+      const stranger = { id: new mongoose.Types.ObjectId().toString() };
+      expect(codeOf(() => admission.resolveGate(event, stranger))).toBe(
+        'NOT_ASSIGNED'
+      );
+      expect(
+        codeOf(() =>
+          admission.resolveGate(event, staff, {
+            gateId: vipGate._id.toString(),
+            now: duringShift,
+          })
+        )
+      ).toBe('NOT_ASSIGNED_TO_GATE');
+      expect(
+        codeOf(() =>
+          admission.resolveGate(event, staff, {
+            now: new Date('2026-07-03T15:00:00Z'),
+          })
+        )
+      ).toBe('OUTSIDE_SHIFT');
+    });
+
+    it('keeps ticket types to the gates that admit them', () => {
+      const ticket = ticketFor('SINGLE');
+      const now = new Date('2026-07-03T10:00:00Z');
+      expect(
+        codeOf(() => admission.admit(ticket, { gate: vipGate, now }))
+      ).toBe('WRONG_GATE');
+
+      const scan = admission.admit(ticket, { gate: mainGate, now });
+      expect(scan.gate).toBe(mainGate._id);
+      expect(scan.location).toBe('Main');
+    });
+  });
+});
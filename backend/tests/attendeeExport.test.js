@@ -0,0 +1,57 @@
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const attendeeExport = require('../utils/attendeeExport');
+
+describe('Attendee export', () => {
+  it('quotes CSV fields and defuses spreadsheet formulas', () => {
+    expect(attendeeExport.csvLine(['Doe, Jane', 'say "hi"', 12, null])).toBe(
+      '"Doe, Jane","say ""hi""",12,\r\n'
+    );
+    expect(attendeeExport.csvLine(['=HYPERLINK("x")', '-5', -5])).toBe(
+      `"'=HYPERLINK(""x"")",'-5,-5\r\n`
+    );
+  });
+
+  it('builds rows in the requested column order', () => {
+    const gateId = new mongoose.Types.ObjectId();
+    const context = { gates: new Map([[gateId.toString(), 'North']]) };
+    const row = {
+      name: 'Jane',
+      status: 'USED',
+      isComp: true,
+      checkedInAt: new Date('2026-06-01T18:30:00Z'),
+      gate: gateId,
+      transferCount: 0,
+    };
+
+    expect(
+      attendeeExport.toRow(
+        row,
+        ['gate', 'name', 'status', 'checkedInAt', 'email', 'transferCount'],
+        context
+      )
+    ).toEqual([
+      'North',
+      'Jane',
+      'USED (COMP)',
+      '2026-06-01T18:30:00.000Z',
+      null,
+      0,
+    ]);
+  });
+
+  it('streams a CSV with a header row', async () => {
+    const stream = new PassThrough();
+    let output = '';
+    stream.on('data', (chunk) => (output += chunk));
+
+    await attendeeExport.writeCsv(
+      stream,
+      [{ name: 'Ana', email: 'ana@example.com', price: 40 }],
+      ['name', 'email', 'price'],
+      { gates: new Map() }
+    );
+
+    expect(output).toBe('\uFEFFName,Email,Price\r\nAna,ana@example.com,40\r\n');
+  });
+});
@@ -0,0 +1,71 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const checkinStream = require('../utils/checkinStream');
+
+describe('Check-in stream', () => {
+  const eventId = new mongoose.Types.ObjectId();
+  const user = { id: new mongoose.Types.ObjectId() };
+
+  describe('stream tokens', () => {
+    beforeAll(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+    });
+
+    it('opens only the stream of the event it was issued for', () => {
+      const { token, expiresIn } = checkinStream.issueStreamToken(
+        user,
+        eventId
+      );
+
+      expect(expiresIn).toBeLessThanOrEqual(60);
+      expect(checkinStream.verifyStreamToken(token, eventId)).toMatchObject({
+        sub: user.id.toString(),
+      });
+      expect(
+        checkinStream.verifyStreamToken(token, new mongoose.Types.ObjectId())
+      ).toBeNull();
+    });
+
+    it('is never accepted as a login token, nor the other way round', () => {
+      const { token } = checkinStream.issueStreamToken(user, eventId);
+      expect(() => jwt.verify(token, process.env.JWT_SECRET)).toThrow();
+
+      const login = jwt.sign({ id: user.id }, process.env.JWT_SECRET);
+      expect(checkinStream.verifyStreamToken(login, eventId)).toBeNull();
+    });
+  });
+
+  describe('shared stats', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.spyOn(checkinStream, 'stats').mockResolvedValue({ sold: 3 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    it('aggregates once per event for all of its listeners', async () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      const stopFirst = checkinStream.watchStats(eventId, first);
+      const stopSecond = checkinStream.watchStats(eventId, second);
+
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(checkinStream.stats).toHaveBeenCalledTimes(1);
+      expect(first).toHaveBeenCalledWith({ sold: 3 });
+      expect(second).toHaveBeenCalledWith({ sold: 3 });
+
+      stopFirst();
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(checkinStream.stats).toHaveBeenCalledTimes(2);
+      expect(first).toHaveBeenCalledTimes(1);
+
+      // The timer stops with the last listener
+      stopSecond();
+      await jest.advanceTimersByTimeAsync(30000);
+      expect(checkinStream.stats).toHaveBeenCalledTimes(2);
+    });
+  });
+});
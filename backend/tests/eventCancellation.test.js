@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const EventCancellation = require('../models/EventCancellation');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const refunds = require('../utils/refunds');
+const eventCancellation = require('../jobs/eventCancellation');
+
+describe('Event cancellation refunds', () => {
+  const event = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Bushfire',
+    date: new Date('2026-05-29T10:00:00Z'),
+  };
+  const ticketWith = (fields) =>
+    Ticket.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      event: event._id,
+      owner: new mongoose.Types.ObjectId(),
+      tier: 'Weekend Pass',
+      price: 900,
+      status: 'ACTIVE',
+      isUsed: false,
+      refundHistory: [],
+      ...fields,
+    });
+
+  it('refunds multi-day passes already scanned on an earlier day', () => {
+    const pass = ticketWith({ isUsed: true, daysAdmitted: ['2026-05-29'] });
+
+    expect(() =>
+      refunds.requestRefund(pass, event, {
+        reason: 'Changed plans',
+        idempotencyKey: 'k1',
+      })
+    ).toThrow('Ticket cannot be refunded');
+
+    const refund = refunds.requestRefund(pass, event, {
+      reason: 'Event cancelled',
+      idempotencyKey: 'k2',
+      bypassPolicy: true,
+      includeUsed: true,
+    });
+    expect(refund.amount).toBe(900);
+  });
+
+  describe('job', () => {
+    const cancellation = {
+      _id: new mongoose.Types.ObjectId(),
+      event: event._id,
+      reason: 'Storm warning',
+      requestedBy: new mongoose.Types.ObjectId(),
+      progress: {},
+      save: jest.fn().mockResolvedValue(),
+    };
+    const tickets = [
+      ticketWith({}),
+      ticketWith({ isUsed: true, daysAdmitted: ['2026-05-29'] }),
+      ticketWith({ status: 'USED', isUsed: true }),
+    ];
+
+    beforeEach(() => {
+      jest
+        .spyOn(EventCancellation, 'findOneAndUpdate')
+        .mockResolvedValue(cancellation);
+      jest.spyOn(EventCancellation, 'updateOne').mockResolvedValue();
+      jest.spyOn(EventCancellation, 'findById').mockResolvedValue({
+        progress: { failed: 0 },
+        save: jest.fn().mockResolvedValue(),
+      });
+      jest.spyOn(Event, 'findById').mockResolvedValue(event);
+      jest.spyOn(Ticket, 'countDocuments').mockResolvedValue(tickets.length);
+      jest.spyOn(Ticket, 'find').mockReturnValue({
+        sort() {
+          return this;
+        },
+        limit: () => Promise.resolve(tickets),
+      });
+      jest.spyOn(AuditLog, 'create').mockResolvedValue();
+      jest.spyOn(Notification, 'create').mockResolvedValue();
+      jest
+        .spyOn(refunds, 'executeRefund')
+        .mockImplementation(async (ticket, refund) => {
+          refund.status = 'COMPLETED';
+          return refund;
+        });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('selects tickets by status, scanned or not, and refunds each', async () => {
+      await eventCancellation.run();
+
+      const [query] = Ticket.find.mock.calls[0];
+      expect(query).toEqual({
+        event: event._id,
+        status: { $in: ['ACTIVE', 'TRANSFERRED', 'USED'] },
+      });
+      expect(refunds.executeRefund).toHaveBeenCalledTimes(3);
+      expect(
+        refunds.executeRefund.mock.calls.map(([, refund]) => refund.amount)
+      ).toEqual([900, 900, 900]);
+
+      const progress = EventCancellation.updateOne.mock.calls.map(
+        ([, update]) => update.$inc['progress.refunded']
+      );
+      expect(progress).toEqual([1, 1, 1]);
+    });
+  });
+});
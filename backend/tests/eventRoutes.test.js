@@ -1,3 +1,7 @@
+// The app needs a payment provider to start; tests use the sandbox
+process.env.ENABLE_SANDBOX_PAYMENTS = 'true';
+process.env.SANDBOX_WEBHOOK_SECRET = 'test-webhook-secret';
+
 const request = require('supertest');
 const app = require('../app');
 const Event = require('../models/Event');
@@ -0,0 +1,230 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const GuestListEntry = require('../models/GuestListEntry');
+const errorHandler = require('../middleware/errorHandler');
+const checkout = require('../utils/checkout');
+const guestList = require('../utils/guestList');
+const seating = require('../utils/seating');
+const waitlist = require('../utils/waitlist');
+const eventRoutes = require('../routes/eventRoutes');
+
+describe('Guest list', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('counts the guest and their plus-ones against the allowance', () => {
+    expect(guestList.remaining({ plusOnes: 2, admitted: 0 })).toBe(3);
+    expect(guestList.remaining({ plusOnes: 2, admitted: 2 })).toBe(1);
+    expect(guestList.remaining({ plusOnes: 0, admitted: 1 })).toBe(0);
+  });
+
+  it('searches names and emails literally, ignoring case', () => {
+    const eventId = new mongoose.Types.ObjectId();
+    const filter = guestList.searchFilter(eventId, ' o.brien (press) ');
+    const [{ name: pattern }] = filter.$or;
+
+    expect(filter).toMatchObject({ event: eventId, status: 'ACTIVE' });
+    expect(pattern.test('Sean O.Brien (Press)')).toBe(true);
+    expect(pattern.test('Sean OxBrien press')).toBe(false);
+  });
+
+  describe('check-in', () => {
+    const entry = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'ACTIVE',
+      plusOnes: 2,
+      admitted: 2,
+    };
+
+    it('admits within the allowance in the same update', async () => {
+      const update = jest
+        .spyOn(GuestListEntry, 'findOneAndUpdate')
+        .mockResolvedValue({ ...entry, admitted: 3 });
+
+      const updated = await guestList.checkIn(entry, { count: 1 });
+
+      expect(updated.admitted).toBe(3);
+      const [filter, change] = update.mock.calls[0];
+      expect(filter).toMatchObject({ _id: entry._id, status: 'ACTIVE' });
+      expect(filter.$expr).toEqual({
+        $lte: [{ $add: ['$admitted', 1] }, { $add: ['$plusOnes', 1] }],
+      });
+      expect(change.$inc).toEqual({ admitted: 1 });
+    });
+
+    it('refuses more people than the entry has left', async () => {
+      jest.spyOn(GuestListEntry, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(GuestListEntry, 'findById').mockResolvedValue(entry);
+
+      await expect(
+        guestList.checkIn(entry, { count: 2 })
+      ).rejects.toMatchObject({
+        message: 'Only 1 more can be admitted on this entry',
+        details: { code: 'GUEST_ALLOWANCE_EXCEEDED', remaining: 1 },
+      });
+    });
+
+    it('refuses guests taken off the list', async () => {
+      const update = jest.spyOn(GuestListEntry, 'findOneAndUpdate');
+
+      await expect(
+        guestList.checkIn({ ...entry, status: 'REMOVED' }, { count: 1 })
+      ).rejects.toMatchObject({ details: { code: 'GUEST_REMOVED' } });
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('comps', () => {
+    const organizer = new mongoose.Types.ObjectId();
+    const ticketType = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'VIP',
+      price: 500,
+      capacity: 10,
+      available: 1,
+    };
+    const event = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Bushfire',
+      organizer,
+      ticketTypes: [ticketType],
+    };
+
+    beforeEach(() => {
+      jest.spyOn(seating, 'findMap').mockResolvedValue(null);
+      jest.spyOn(seating, 'release').mockResolvedValue();
+      jest.spyOn(Ticket.prototype, 'save').mockResolvedValue();
+    });
+
+    it('takes units off the ticket type like a sale', async () => {
+      const reserve = jest
+        .spyOn(Event, 'updateOne')
+        .mockResolvedValue({ modifiedCount: 1 });
+
+      const tickets = await checkout.issueComps(
+        event,
+        { ticketTypeId: ticketType._id, quantity: 1 },
+        organizer,
+        { name: 'Press' }
+      );
+
+      expect(tickets).toHaveLength(1);
+      expect(tickets[0]).toMatchObject({ isComp: true, price: 0 });
+      expect(reserve).toHaveBeenCalledWith(
+        {
+          _id: event._id,
+          ticketTypes: {
+            $elemMatch: { _id: ticketType._id, available: { $gte: 1 } },
+          },
+        },
+        { $inc: { 'ticketTypes.$.available': -1 } },
+        expect.anything()
+      );
+    });
+
+    it('refuses comps beyond the remaining capacity', async () => {
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Event, 'findById').mockReturnValue({
+        select() {
+          return this;
+        },
+        session() {
+          return this;
+        },
+        lean: async () => ({ ticketTypes: [ticketType] }),
+      });
+
+      await expect(
+        checkout.issueComps(
+          event,
+          { ticketTypeId: ticketType._id, quantity: 2 },
+          organizer,
+          { name: 'Press' }
+        )
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        details: { code: 'SOLD_OUT', remaining: 1 },
+      });
+      expect(Ticket.prototype.save).not.toHaveBeenCalled();
+    });
+
+    describe('revocation', () => {
+      const app = express();
+      app.use('/api/events', eventRoutes);
+      app.use(errorHandler);
+
+      let token;
+      let comp;
+      let revoke;
+      let restock;
+
+      beforeEach(() => {
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+        token = jwt.sign({ id: organizer }, process.env.JWT_SECRET);
+        comp = Ticket.hydrate({
+          _id: new mongoose.Types.ObjectId(),
+          event: event._id,
+          owner: organizer,
+          ticketType: ticketType._id,
+          tier: ticketType.name,
+          price: 0,
+          isComp: true,
+          status: 'ACTIVE',
+          isUsed: false,
+        });
+
+        jest
+          .spyOn(User, 'findById')
+          .mockResolvedValue({ _id: organizer, id: organizer });
+        jest.spyOn(Event, 'findById').mockResolvedValue(event);
+        jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+          withTransaction: async (fn) => fn(),
+          endSession() {},
+        });
+        jest
+          .spyOn(Ticket, 'findOne')
+          .mockReturnValue({ session: async () => comp });
+        jest.spyOn(waitlist, 'fillOffers').mockResolvedValue();
+        revoke = jest.spyOn(Ticket, 'updateOne');
+        restock = jest
+          .spyOn(Event, 'updateOne')
+          .mockResolvedValue({ modifiedCount: 1 });
+      });
+
+      const send = () =>
+        request(app)
+          .delete(`/api/events/${event._id}/comps/${comp._id}`)
+          .set('x-auth-token', token);
+
+      it('returns the unit of an unused comp', async () => {
+        revoke.mockResolvedValue({ modifiedCount: 1 });
+
+        const res = await send();
+
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('REVOKED');
+        expect(restock).toHaveBeenCalledWith(
+          { _id: event._id, 'ticketTypes._id': ticketType._id },
+          { $inc: { 'ticketTypes.$.available': 1 } },
+          expect.anything()
+        );
+        expect(waitlist.fillOffers).toHaveBeenCalledWith(event._id);
+      });
+
+      it('keeps the unit of a comp already scanned', async () => {
+        comp.isUsed = true;
+        revoke.mockResolvedValue({ modifiedCount: 0 });
+
+        const res = await send();
+
+        expect(res.status).toBe(409);
+        expect(revoke.mock.calls[0][0]).toMatchObject({ isUsed: false });
+        expect(restock).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
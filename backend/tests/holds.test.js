@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const Payment = require('../models/Payment');
+const providers = require('../providers');
+const holds = require('../utils/holds');
+const { processPaymentEvent } = require('../controllers/paymentWebhooks');
+
+// Stand-ins for the query chains and sessions the code under test uses
+const query = (result) => ({
+  select() {
+    return this;
+  },
+  limit() {
+    return this;
+  },
+  session() {
+    return Promise.resolve(result);
+  },
+  lean: () => Promise.resolve(result),
+});
+
+const fakeSession = () => ({
+  withTransaction: async (fn) => fn(),
+  startTransaction() {},
+  commitTransaction: async () => {},
+  abortTransaction: async () => {},
+  inTransaction: () => false,
+  endSession() {},
+});
+
+describe('Checkout holds', () => {
+  beforeEach(() => {
+    jest
+      .spyOn(mongoose, 'startSession')
+      .mockImplementation(async () => fakeSession());
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('expires holds after the configured TTL', () => {
+    const from = new Date('2026-05-01T10:00:00Z');
+    expect(holds.holdExpiry(from) - from).toBe(
+      holds.HOLD_TTL_MINUTES * 60 * 1000
+    );
+  });
+
+  it('releases expired orders in batches, one transaction each', async () => {
+    const ids = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    jest
+      .spyOn(Order, 'find')
+      .mockReturnValueOnce(query([{ _id: ids[0] }, { _id: ids[1] }]))
+      .mockReturnValueOnce(query([{ _id: ids[2] }]))
+      .mockReturnValueOnce(query([]));
+    jest.spyOn(Ticket, 'find').mockReturnValue(query([]));
+    const updateOrders = jest
+      .spyOn(Order, 'updateMany')
+      .mockResolvedValue({ modifiedCount: 1 });
+    const releaseHolds = jest
+      .spyOn(holds, 'releaseHolds')
+      .mockResolvedValueOnce(4)
+      .mockResolvedValueOnce(1);
+    jest.spyOn(holds, 'releaseOrderClaims').mockResolvedValue();
+
+    const released = await holds.releaseExpiredHolds(new Date(), {
+      batchSize: 2,
+    });
+
+    expect(released).toBe(5);
+    expect(mongoose.startSession).toHaveBeenCalledTimes(2);
+    expect(releaseHolds.mock.calls[0][0]).toEqual({
+      order: { $in: [ids[0], ids[1]] },
+    });
+    expect(updateOrders.mock.calls[1][0]).toEqual({
+      _id: { $in: [ids[2]] },
+      paymentStatus: 'PENDING',
+    });
+  });
+
+  describe('payment after the hold lapsed', () => {
+    const paymentEvent = {
+      transactionId: 'txn_late',
+      status: 'success',
+      orderNumber: 'ESW-260501-000001',
+      amount: 300,
+      currency: 'SZL',
+      paymentMethod: 'mobile_money',
+    };
+    let payment;
+    let refund;
+
+    beforeEach(() => {
+      const order = new Order({
+        orderNumber: paymentEvent.orderNumber,
+        paymentStatus: 'EXPIRED',
+      });
+      payment = new Payment({
+        transactionId: paymentEvent.transactionId,
+        provider: 'sandbox',
+        order: order._id,
+        amount: 300,
+      });
+      jest.spyOn(Order, 'findOne').mockReturnValue(query(order));
+      jest.spyOn(Payment, 'findOne').mockReturnValue(query(payment));
+      jest.spyOn(Payment.prototype, 'save').mockResolvedValue();
+      refund = jest.fn().mockResolvedValue({ status: 'COMPLETED' });
+      jest.spyOn(providers, 'getProvider').mockReturnValue({ refund });
+    });
+
+    it('keeps the charge and refunds it in full', async () => {
+      const result = await processPaymentEvent('sandbox', paymentEvent);
+
+      expect(result).toMatchObject({ refunded: true, ticketCount: 0 });
+      expect(refund).toHaveBeenCalledWith(
+        expect.objectContaining({ payment, amount: 300 })
+      );
+      expect(payment.status).toBe('REFUNDED');
+      expect(payment.refunds[0]).toMatchObject({
+        status: 'COMPLETED',
+        reason: 'HOLD_EXPIRED',
+      });
+    });
+
+    it('does not refund twice when the delivery is replayed', async () => {
+      await processPaymentEvent('sandbox', paymentEvent);
+      await processPaymentEvent('sandbox', paymentEvent);
+
+      expect(refund).toHaveBeenCalledTimes(1);
+      expect(payment.refunds).toHaveLength(1);
+    });
+
+    it('fails the delivery when the refund is declined', async () => {
+      refund.mockResolvedValueOnce({ status: 'FAILED' });
+
+      await expect(
+        processPaymentEvent('sandbox', paymentEvent)
+      ).rejects.toMatchObject({
+        statusCode: 502,
+        details: expect.objectContaining({
+          code: 'LATE_PAYMENT_REFUND_FAILED',
+        }),
+      });
+      expect(payment.refunds[0].status).toBe('FAILED');
+    });
+  });
+});
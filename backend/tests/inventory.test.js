@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Ticket = require('../models/Ticket');
+const inventory = require('../utils/inventory');
+const seating = require('../utils/seating');
+
+describe('Ticket type inventory', () => {
+  const vipId = new mongoose.Types.ObjectId();
+  const generalId = new mongoose.Types.ObjectId();
+  const event = {
+    _id: new mongoose.Types.ObjectId(),
+    ticketTypes: [
+      { _id: vipId, name: 'VIP', price: 500, capacity: 50, available: 10 },
+      {
+        _id: generalId,
+        name: 'General',
+        price: 200,
+        capacity: 100,
+        available: 100,
+      },
+    ],
+  };
+
+  it('resolves ticket types by id or case-insensitive name', () => {
+    expect(
+      inventory.resolveTicketType(event, { ticketTypeId: vipId.toString() })
+        .name
+    ).toBe('VIP');
+    expect(inventory.resolveTicketType(event, { tier: 'general' }).price).toBe(
+      200
+    );
+  });
+
+  it('rejects tiers the event does not offer', () => {
+    expect(() =>
+      inventory.resolveTicketType(event, { tier: 'Student' })
+    ).toThrow('Ticket type not offered for this event');
+  });
+
+  it('carries sold units over when capacity changes', () => {
+    const merged = inventory.mergeTicketTypes(event.ticketTypes, [
+      { _id: vipId.toString(), name: 'VIP', price: 550, capacity: 60 },
+      { name: 'General', price: 200, capacity: 100 },
+      { name: 'Student', price: 100, capacity: 30 },
+    ]);
+
+    expect(merged[0]).toMatchObject({ _id: vipId, available: 20 });
+    expect(merged[1]).toMatchObject({ _id: generalId, available: 100 });
+    expect(merged[2].available).toBe(30);
+  });
+
+  it('refuses to shrink capacity below tickets already sold', () => {
+    expect(() =>
+      inventory.mergeTicketTypes(event.ticketTypes, [
+        { name: 'VIP', price: 500, capacity: 30 },
+        { name: 'General', price: 200, capacity: 100 },
+      ])
+    ).toThrow(/cannot be lower than the 40 tickets already sold/);
+  });
+
+  it('refuses to drop a ticket type with sales', () => {
+    expect(() =>
+      inventory.mergeTicketTypes(event.ticketTypes, [
+        { name: 'General', price: 200, capacity: 100 },
+      ])
+    ).toThrow('Cannot remove ticket types with sold tickets');
+  });
+
+  describe('reservations', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('takes units only while enough are left', async () => {
+      const reserve = jest
+        .spyOn(Event, 'updateOne')
+        .mockResolvedValue({ modifiedCount: 1 });
+
+      await inventory.reserve(event._id, event.ticketTypes[0], 3);
+
+      expect(reserve).toHaveBeenCalledWith(
+        {
+          _id: event._id,
+          ticketTypes: {
+            $elemMatch: { _id: vipId, available: { $gte: 3 } },
+          },
+        },
+        { $inc: { 'ticketTypes.$.available': -3 } },
+        { session: null }
+      );
+    });
+
+    it('reports what is left when sold out', async () => {
+      jest.spyOn(Event, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Event, 'findById').mockReturnValue({
+        select() {
+          return this;
+        },
+        session() {
+          return this;
+        },
+        lean: async () => event,
+      });
+
+      await expect(
+        inventory.reserve(event._id, event.ticketTypes[0], 11)
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        details: { code: 'SOLD_OUT', tier: 'VIP', remaining: 10 },
+      });
+    });
+
+    it('returns units by ticket type, or tier for legacy tickets', async () => {
+      const restock = jest.spyOn(Event, 'updateOne').mockResolvedValue({});
+      jest.spyOn(seating, 'release').mockResolvedValue();
+      const eventId = new mongoose.Types.ObjectId();
+      const ticket = (fields) => ({
+        _id: new mongoose.Types.ObjectId(),
+        event: eventId,
+        ...fields,
+      });
+
+      await inventory.releaseTickets([
+        ticket({ ticketType: vipId, tier: 'VIP' }),
+        ticket({ ticketType: vipId, tier: 'VIP' }),
+        ticket({ tier: 'General' }),
+      ]);
+
+      expect(restock.mock.calls).toEqual([
+        [
+          { _id: eventId, 'ticketTypes._id': vipId },
+          { $inc: { 'ticketTypes.$.available': 2 } },
+          { session: null },
+        ],
+        [
+          { _id: eventId, 'ticketTypes.name': 'General' },
+          { $inc: { 'ticketTypes.$.available': 1 } },
+          { session: null },
+        ],
+      ]);
+      expect(seating.release).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('seeding', () => {
+    const seeded = () =>
+      Event.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Bushfire',
+        ticketTypes: [
+          { _id: vipId, name: 'VIP', price: 500, capacity: 50 },
+          {
+            _id: generalId,
+            name: 'General',
+            price: 200,
+            capacity: 100,
+            available: 80,
+          },
+        ],
+      });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('counts issued tickets per type, matching legacy ones by tier', async () => {
+      const aggregate = jest.spyOn(Ticket, 'aggregate').mockReturnValue({
+        session: async () => [
+          { _id: { ticketType: vipId, tier: 'VIP' }, count: 4 },
+          { _id: { tier: 'VIP' }, count: 2 },
+          { _id: { tier: 'Student' }, count: 7 },
+        ],
+      });
+
+      const counts = await Event.issuedCounts(seeded());
+
+      expect(counts.get(vipId.toString())).toBe(6);
+      expect(counts.get(generalId.toString())).toBe(0);
+      expect(aggregate.mock.calls[0][0][0].$match.status).toEqual({
+        $nin: ['REFUNDED', 'RELEASED', 'REVOKED'],
+      });
+    });
+
+    it('seeds missing inventory from tickets already issued', async () => {
+      const doc = seeded();
+      jest
+        .spyOn(Event, 'issuedCounts')
+        .mockResolvedValue(new Map([[vipId.toString(), 45]]));
+      jest.spyOn(Event.collection, 'updateOne').mockResolvedValue({
+        acknowledged: true,
+        matchedCount: 1,
+        modifiedCount: 1,
+      });
+
+      doc.markModified('ticketTypes');
+      await doc.save({ validateBeforeSave: false });
+
+      expect(doc.ticketTypes[0].available).toBe(5);
+      expect(doc.ticketTypes[1].available).toBe(80);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const offlineManifest = require('../utils/offlineManifest');
+
+describe('Offline scan manifests', () => {
+  const manifest = {
+    version: 1,
+    event: { id: '665f1c2e8b3e4a0012345678', name: 'Bushfire' },
+    tickets: [{ h: 'abc123', tier: 'General', mode: 'SINGLE', used: false }],
+  };
+
+  it('signs with Ed25519 and verifies against the published key', () => {
+    const signed = offlineManifest.sign(manifest);
+
+    expect(signed.algorithm).toBe('Ed25519');
+    expect(JSON.parse(signed.manifest)).toEqual(manifest);
+    expect(offlineManifest.publicKey()).toMatch(/BEGIN PUBLIC KEY/);
+    expect(offlineManifest.verify(signed)).toBe(true);
+  });
+
+  it('rejects tampered manifests', () => {
+    const signed = offlineManifest.sign(manifest);
+    const tampered = signed.manifest.replace('"used":false', '"used":true');
+
+    expect(tampered).not.toBe(signed.manifest);
+    expect(offlineManifest.verify({ ...signed, manifest: tampered })).toBe(
+      false
+    );
+  });
+
+  it('rejects manifests signed with another key', () => {
+    const signed = offlineManifest.sign(manifest);
+    const { publicKey } = crypto.generateKeyPairSync('ed25519');
+
+    expect(
+      offlineManifest.verify(
+        signed,
+        publicKey.export({ type: 'spki', format: 'pem' })
+      )
+    ).toBe(false);
+  });
+});
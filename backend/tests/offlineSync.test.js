@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Event = require('../models/Event');
+const OfflineScan = require('../models/OfflineScan');
+const admission = require('../utils/admission');
+const checkinStream = require('../utils/checkinStream');
+const { syncScans } = require('../controllers/offlineSync');
+
+describe('Offline scan sync', () => {
+  const event = {
+    _id: new mongoose.Types.ObjectId(),
+    date: new Date('2026-07-03T08:00:00Z'),
+    isCancelled: false,
+    ticketTypes: [],
+  };
+  const staff = { id: new mongoose.Types.ObjectId(), role: 'staff' };
+  let tickets;
+
+  const ticketWith = (qrData, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    qrData,
+    event,
+    tier: 'General',
+    status: 'ACTIVE',
+    isUsed: false,
+    validationHistory: [],
+    daysAdmitted: [],
+    ...fields,
+  });
+
+  const scan = (scanId, qrData, minute, deviceId = 'gate-a') => ({
+    scanId,
+    qrData,
+    deviceId,
+    scannedAt: new Date(Date.UTC(2026, 6, 3, 18, minute)).toISOString(),
+  });
+
+  // Scans from one or more devices, synced in turn; returns all results
+  const sync = async (...batches) => {
+    const results = [];
+    for (const scans of batches) {
+      const res = { json: jest.fn() };
+      const next = jest.fn();
+      await syncScans(
+        {
+          body: { eventId: event._id, deviceId: scans[0].deviceId, scans },
+          user: staff,
+          logger: { info() {} },
+        },
+        res,
+        next
+      );
+      expect(next).not.toHaveBeenCalled();
+      results.push(...res.json.mock.calls[0][0].results);
+    }
+    return results;
+  };
+
+  beforeEach(() => {
+    tickets = {
+      single: ticketWith('QR-SINGLE'),
+      usedOnline: ticketWith('QR-USED', {
+        isUsed: true,
+        validationHistory: [
+          {
+            timestamp: new Date('2026-07-03T17:55:00Z'),
+            location: 'Main gate',
+            source: 'ONLINE',
+          },
+        ],
+      }),
+      revoked: ticketWith('QR-REVOKED', { status: 'REVOKED' }),
+    };
+
+    jest
+      .spyOn(Event, 'findById')
+      .mockReturnValue({ select: () => Promise.resolve(event) });
+    jest.spyOn(admission, 'assertAssigned').mockReturnValue();
+    jest.spyOn(admission, 'resolveGate').mockReturnValue(undefined);
+    jest
+      .spyOn(admission, 'findTicketByQr')
+      .mockImplementation(async (qrData) => ({
+        ticket: Object.values(tickets).find((t) => t.qrData === qrData),
+      }));
+    jest
+      .spyOn(OfflineScan, 'find')
+      .mockReturnValue({ lean: () => Promise.resolve([]) });
+    jest.spyOn(OfflineScan, 'insertMany').mockResolvedValue();
+    jest.spyOn(Ticket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(checkinStream, 'record').mockReturnValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('admits the first scan and marks a repeat on the same device', async () => {
+    const results = await sync([
+      scan('s2', 'QR-SINGLE', 5),
+      scan('s1', 'QR-SINGLE', 1),
+    ]);
+    const byId = Object.fromEntries(results.map((r) => [r.scanId, r]));
+
+    expect(byId.s1).toMatchObject({ result: 'ACCEPTED', flagged: false });
+    expect(byId.s2).toMatchObject({
+      result: 'DUPLICATE',
+      reason: 'REPEAT_SCAN',
+      flagged: false,
+    });
+  });
+
+  it('flags the same ticket admitted by two devices', async () => {
+    const results = await sync(
+      [scan('a1', 'QR-SINGLE', 1, 'gate-a')],
+      [scan('b1', 'QR-SINGLE', 3, 'gate-b')]
+    );
+
+    expect(results[1]).toMatchObject({
+      result: 'DUPLICATE',
+      reason: 'ALREADY_USED',
+      flagged: true,
+      conflict: { deviceId: 'gate-a' },
+    });
+  });
+
+  it('flags a ticket that was already used online', async () => {
+    const [result] = await sync([scan('s1', 'QR-USED', 1)]);
+
+    expect(result).toMatchObject({
+      result: 'DUPLICATE',
+      reason: 'ALREADY_USED',
+      flagged: true,
+      conflict: { deviceId: 'online' },
+    });
+    expect(Ticket.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects revoked tickets the device let in', async () => {
+    const [result] = await sync([scan('s1', 'QR-REVOKED', 1)]);
+
+    expect(result).toMatchObject({
+      result: 'REJECTED',
+      reason: 'TICKET_REVOKED',
+      flagged: true,
+    });
+  });
+
+  it('re-reads the ticket when it was scanned online during the sync', async () => {
+    Ticket.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+    const fresh = ticketWith('QR-SINGLE', {
+      _id: tickets.single._id,
+      isUsed: true,
+      validationHistory: [
+        { timestamp: new Date(), location: 'Main gate', source: 'ONLINE' },
+      ],
+    });
+    admission.findTicketByQr
+      .mockResolvedValueOnce({ ticket: tickets.single })
+      .mockResolvedValueOnce({ ticket: fresh });
+
+    const [result] = await sync([scan('s1', 'QR-SINGLE', 1)]);
+
+    expect(result).toMatchObject({
+      result: 'DUPLICATE',
+      reason: 'ALREADY_USED',
+      conflict: { deviceId: 'online' },
+    });
+  });
+});
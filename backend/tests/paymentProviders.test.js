@@ -0,0 +1,159 @@
+const SandboxProvider = require('../providers/sandbox');
+const { getProvider, registerProvider } = require('../providers');
+
+describe('Sandbox payment provider', () => {
+  const order = {
+    orderNumber: 'ESW-250704-ABC123',
+    total: 400,
+    currency: 'SZL',
+  };
+  let provider;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    provider = new SandboxProvider({ secret: 'test-secret', delayMs: 1000 });
+    jest.spyOn(provider, 'deliver').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('calls the webhook with the simulated outcome after the delay', async () => {
+    const charge = await provider.initiatePayment({
+      order,
+      customer: { email: 'fan@example.com' },
+      options: { outcome: 'failed' },
+    });
+
+    expect(charge.status).toBe('PENDING');
+    expect(provider.deliver).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    expect(provider.deliver).toHaveBeenCalledWith(
+      expect.objectContaining({
+        transactionId: charge.transactionId,
+        orderNumber: order.orderNumber,
+        status: 'failed',
+        amount: 400,
+      })
+    );
+  });
+
+  it('never calls back for a timeout', async () => {
+    await provider.initiatePayment({ order, options: { outcome: 'timeout' } });
+    jest.advanceTimersByTime(60000);
+    expect(provider.deliver).not.toHaveBeenCalled();
+  });
+
+  it('verifies its own signatures', () => {
+    const rawBody = JSON.stringify({ transactionId: 'sbx_1' });
+    const delivery = {
+      rawBody,
+      headers: { 'x-payment-signature': provider.sign(rawBody) },
+    };
+    expect(provider.verifyWebhook(delivery).valid).toBe(true);
+
+    delivery.rawBody = JSON.stringify({ transactionId: 'sbx_2' });
+    expect(provider.verifyWebhook(delivery)).toEqual({
+      valid: false,
+      reason: 'SIGNATURE_MISMATCH',
+    });
+  });
+
+  it('refuses to refund more than was charged', async () => {
+    const result = await provider.refund({
+      payment: { amount: 100 },
+      amount: 150,
+    });
+    expect(result.status).toBe('FAILED');
+  });
+});
+
+describe('Payment provider registry', () => {
+  it('rejects adapters that do not extend PaymentProvider', () => {
+    expect(() => registerProvider({ name: 'rogue' })).toThrow(
+      'Payment providers must extend PaymentProvider'
+    );
+  });
+
+  it('reports unknown providers', () => {
+    expect(() => getProvider('nope')).toThrow('Unknown payment provider: nope');
+  });
+
+  describe('sandbox registration', () => {
+    const env = { ...process.env };
+    const loadRegistry = () => {
+      let registry;
+      jest.isolateModules(() => {
+        registry = require('../providers');
+      });
+      return registry;
+    };
+    const loadSchemas = () => {
+      let schemas;
+      jest.isolateModules(() => {
+        schemas = require('../schemas/paymentSchemas');
+      });
+      return schemas;
+    };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('leaves the sandbox out unless explicitly enabled', () => {
+      delete process.env.ENABLE_SANDBOX_PAYMENTS;
+      process.env.NODE_ENV = 'development';
+
+      const registry = loadRegistry();
+      expect(registry.sandboxEnabled()).toBe(false);
+      expect(() => registry.getProvider('sandbox')).toThrow(
+        'Unknown payment provider: sandbox'
+      );
+    });
+
+    it('refuses to enable the sandbox without a webhook secret', () => {
+      process.env.ENABLE_SANDBOX_PAYMENTS = 'true';
+      delete process.env.SANDBOX_WEBHOOK_SECRET;
+
+      expect(loadRegistry).toThrow('SANDBOX_WEBHOOK_SECRET must be set');
+    });
+
+    it('registers the sandbox with its own secret', () => {
+      process.env.ENABLE_SANDBOX_PAYMENTS = 'true';
+      process.env.SANDBOX_WEBHOOK_SECRET = 'staging-secret';
+
+      const sandbox = loadRegistry().getProvider('sandbox');
+      expect(sandbox.secret).toBe('staging-secret');
+    });
+
+    it('refuses to start without a registered default provider', () => {
+      delete process.env.ENABLE_SANDBOX_PAYMENTS;
+      delete process.env.PAYMENT_PROVIDER;
+
+      expect(() => loadRegistry().assertDefaultProvider()).toThrow(
+        'Default payment provider "sandbox" is not registered'
+      );
+    });
+
+    it('refuses sandbox payment options unless the sandbox is enabled', () => {
+      const sandboxPayment = { provider: 'sandbox', outcome: 'failed' };
+
+      delete process.env.ENABLE_SANDBOX_PAYMENTS;
+      const { paymentOptions } = loadSchemas();
+      expect(paymentOptions.validate(sandboxPayment).error.message).toMatch(
+        'needs the sandbox provider, which is not enabled'
+      );
+      expect(
+        paymentOptions.validate({ paymentMethod: 'card' }).error
+      ).toBeUndefined();
+
+      process.env.ENABLE_SANDBOX_PAYMENTS = 'true';
+      process.env.SANDBOX_WEBHOOK_SECRET = 'staging-secret';
+      expect(
+        loadSchemas().paymentOptions.validate(sandboxPayment).error
+      ).toBeUndefined();
+    });
+  });
+});
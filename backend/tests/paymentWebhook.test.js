@@ -1,30 +1,100 @@
+// The sandbox adapter only registers when enabled with its own secret
+process.env.ENABLE_SANDBOX_PAYMENTS = 'true';
+process.env.SANDBOX_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const mongoose = require('mongoose');
 const request = require('supertest');
 const app = require('../app');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const WebhookDelivery = require('../models/WebhookDelivery');
 const logger = require('../utils/logger');
+const { getProvider } = require('../providers');
 
 describe('Payment Webhooks', () => {
   const validPayload = {
+    eventId: 'sbx_evt_123',
     transactionId: 'txn_123',
     status: 'success',
-    ticketIds: ['507f1f77bcf86cd799439011'],
+    orderNumber: 'ESW-250704-000001',
   };
+  const rawBody = JSON.stringify(validPayload);
+  const sandbox = getProvider('sandbox');
 
   it('should reject requests without signature', async () => {
     const res = await request(app)
-      .post('/api/tickets/webhook/payment')
-      .send(validPayload)
+      .post('/api/tickets/webhook/payment/sandbox')
+      .set('Content-Type', 'application/json')
+      .send(rawBody)
       .expect(401);
 
     expect(res.body.message).toMatch(/signature/);
   });
 
-  it('should process valid webhooks', async () => {
+  it('should reject signatures outside the timestamp tolerance', async () => {
+    const staleTimestamp = Math.floor(Date.now() / 1000) - 3600;
     const res = await request(app)
-      .post('/api/tickets/webhook/payment')
-      .set('x-payment-signature', process.env.PAYMENT_WEBHOOK_SECRET)
-      .send(validPayload)
-      .expect(200);
+      .post('/api/tickets/webhook/payment/sandbox')
+      .set('Content-Type', 'application/json')
+      .set('x-payment-signature', sandbox.sign(rawBody, staleTimestamp))
+      .send(rawBody)
+      .expect(401);
+
+    expect(res.body.message).toMatch(/signature/);
+  });
+
+  describe('for a pending order', () => {
+    const orderNumber = `ESW-TEST-${Date.now()}`;
+    const transactionId = `txn_${Date.now()}`;
+    const settlement = {
+      eventId: `sbx_evt_${Date.now()}`,
+      transactionId,
+      status: 'success',
+      orderNumber,
+      amount: 400,
+      currency: 'SZL',
+      paymentMethod: 'mobile_money',
+    };
+
+    beforeEach(async () => {
+      const order = await Order.create({
+        orderNumber,
+        buyer: new mongoose.Types.ObjectId(),
+        event: new mongoose.Types.ObjectId(),
+        subtotal: 400,
+        total: 400,
+      });
+      await Payment.create({
+        transactionId,
+        provider: 'sandbox',
+        order: order._id,
+        amount: 400,
+      });
+    });
+
+    afterEach(async () => {
+      await Order.deleteMany({ orderNumber });
+      await Payment.deleteMany({ transactionId });
+      await WebhookDelivery.deleteMany({ eventId: settlement.eventId });
+    });
+
+    it('should settle the order from a valid webhook', async () => {
+      const body = JSON.stringify(settlement);
+      const res = await request(app)
+        .post('/api/tickets/webhook/payment/sandbox')
+        .set('Content-Type', 'application/json')
+        .set('x-payment-signature', sandbox.sign(body))
+        .send(body)
+        .expect(200);
 
-    expect(res.body.acknowledged).toBe(true);
+      expect(res.body).toMatchObject({ acknowledged: true, orderNumber });
+      expect(await Order.findOne({ orderNumber })).toMatchObject({
+        paymentStatus: 'PAID',
+        transactionId,
+      });
+      expect(await Payment.findOne({ transactionId })).toMatchObject({
+        status: 'COMPLETED',
+      });
+    });
   });
 });
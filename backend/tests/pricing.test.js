@@ -0,0 +1,77 @@
+const pricing = require('../utils/pricing');
+
+describe('Ticket pricing phases', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const inDays = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  const general = (overrides = {}) => ({
+    name: 'General',
+    price: 150,
+    capacity: 500,
+    available: 500,
+    pricePhases: [
+      { name: 'Early Bird', price: 100, endsAt: inDays(10), untilSold: 100 },
+      { name: 'Regular', price: 150, endsAt: inDays(30) },
+      { name: 'At the door', price: 200 },
+    ],
+    ...overrides,
+  });
+
+  it('prices in the first phase that is still running', () => {
+    expect(pricing.priceFor(general(), { now })).toEqual({
+      price: 100,
+      phase: 'Early Bird',
+    });
+    expect(pricing.priceFor(general(), { now: inDays(10) })).toEqual({
+      price: 150,
+      phase: 'Regular',
+    });
+    expect(pricing.priceFor(general(), { now: inDays(45) })).toEqual({
+      price: 200,
+      phase: 'At the door',
+    });
+  });
+
+  it('ends a quantity-limited phase once its units are sold', () => {
+    expect(pricing.priceFor(general({ available: 400 }), { now }).phase).toBe(
+      'Regular'
+    );
+    // An order that doesn't fit in the remaining early-bird units moves on
+    expect(
+      pricing.priceFor(general({ available: 402 }), { now, quantity: 3 }).phase
+    ).toBe('Regular');
+    expect(
+      pricing.priceFor(general({ available: 402 }), { now, quantity: 2 }).phase
+    ).toBe('Early Bird');
+  });
+
+  it('falls back to the base price without a running phase', () => {
+    expect(pricing.priceFor(general({ pricePhases: [] }), { now })).toEqual({
+      price: 150,
+      phase: undefined,
+    });
+  });
+
+  it('quotes the next price and when it changes', () => {
+    const quote = pricing.quote(general({ available: 460 }), { now });
+    expect(quote.price).toBe(100);
+    expect(quote.next).toEqual({
+      phase: 'Regular',
+      price: 150,
+      changesAt: inDays(10),
+      remainingAtPrice: 60,
+    });
+    expect(pricing.quote(general(), { now: inDays(45) }).next).toBeNull();
+  });
+
+  it('refuses purchases outside the sale window', () => {
+    const windowed = general({ salesStart: inDays(1), salesEnd: inDays(20) });
+    expect(() => pricing.priceFor(windowed, { now })).toThrow(
+      'General tickets are not on sale yet'
+    );
+    expect(() => pricing.priceFor(windowed, { now: inDays(20) })).toThrow(
+      'General ticket sales have ended'
+    );
+    expect(pricing.quote(windowed, { now }).salesOpen).toBe(false);
+  });
+});
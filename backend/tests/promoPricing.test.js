@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Order = require('../models/Order');
+const inventory = require('../utils/inventory');
+const seating = require('../utils/seating');
+const waitlist = require('../utils/waitlist');
+const qrToken = require('../utils/qrToken');
+const checkout = require('../utils/checkout');
+const promos = require('../utils/promos');
+
+const vip = { _id: new mongoose.Types.ObjectId(), name: 'VIP', price: 250 };
+const general = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'General',
+  price: 80,
+};
+
+const promo = (overrides = {}) => ({
+  isActive: true,
+  discountType: 'PERCENTAGE',
+  discountValue: 20,
+  ticketTypes: [],
+  ...overrides,
+});
+
+describe('promo pricing', () => {
+  it('takes a percentage off every ticket type when unscoped', () => {
+    expect(promos.discountFor(promo(), vip)).toBe(50);
+    expect(promos.discountFor(promo(), general)).toBe(16);
+  });
+
+  it('never discounts a fixed amount below zero', () => {
+    const code = promo({ discountType: 'FIXED', discountValue: 100 });
+    expect(promos.discountFor(code, vip)).toBe(100);
+    expect(promos.discountFor(code, general)).toBe(80);
+  });
+
+  it('only discounts the ticket types it is scoped to', () => {
+    const code = promo({ ticketTypes: [vip._id] });
+    expect(promos.discountFor(code, vip)).toBe(50);
+    expect(promos.discountFor(code, general)).toBe(0);
+    expect(() => promos.assertUsable(code, [general])).toThrow(
+      expect.objectContaining({
+        details: expect.objectContaining({ code: 'PROMO_NOT_APPLICABLE' }),
+      })
+    );
+  });
+
+  it('refuses codes outside their validity window', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+    const early = promo({ validFrom: new Date('2026-06-02T00:00:00Z') });
+    const late = promo({ validUntil: new Date('2026-05-31T00:00:00Z') });
+
+    expect(() => promos.assertUsable(early, [vip], now)).toThrow(
+      'Promo code is not active yet'
+    );
+    expect(() => promos.assertUsable(late, [vip], now)).toThrow(
+      'Promo code has expired'
+    );
+    expect(() => promos.assertUsable(promo(), [vip], now)).not.toThrow();
+  });
+
+  it('treats an inactive code as invalid', () => {
+    expect(() =>
+      promos.assertUsable(promo({ isActive: false }), [vip])
+    ).toThrow('Promo code is not valid');
+  });
+});
+
+describe('fully discounted orders', () => {
+  const event = {
+    _id: new mongoose.Types.ObjectId(),
+    ticketTypes: [{ ...general, capacity: 100, available: 50 }],
+  };
+
+  beforeEach(() => {
+    jest
+      .spyOn(promos, 'redeem')
+      .mockResolvedValue(
+        promo({ _id: new mongoose.Types.ObjectId(), discountValue: 100 })
+      );
+    jest.spyOn(seating, 'findMap').mockResolvedValue(null);
+    jest.spyOn(seating, 'confirm').mockResolvedValue();
+    jest.spyOn(waitlist, 'assertNoQueue').mockResolvedValue();
+    jest.spyOn(waitlist, 'completeOffers').mockResolvedValue();
+    jest.spyOn(inventory, 'reserve').mockResolvedValue();
+    jest.spyOn(qrToken, 'sign').mockReturnValue('signed');
+    jest.spyOn(Ticket.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Ticket, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(Order.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('are settled at checkout since no payment will confirm them', async () => {
+    const { order, tickets } = await checkout.placeOrder(
+      event,
+      new mongoose.Types.ObjectId(),
+      [{ ticketTypeId: general._id, quantity: 2 }],
+      null,
+      { promoCode: 'FREE' }
+    );
+
+    expect(order.total).toBe(0);
+    expect(order.paymentStatus).toBe('PAID');
+    expect(order.expiresAt).toBeUndefined();
+    expect(tickets.map((t) => t.status)).toEqual(['ACTIVE', 'ACTIVE']);
+    expect(Ticket.updateMany).toHaveBeenCalledWith(
+      { order: order._id, status: 'PENDING' },
+      expect.objectContaining({
+        $set: { status: 'ACTIVE', paymentStatus: 'confirmed' },
+      }),
+      { session: null }
+    );
+    expect(seating.confirm).toHaveBeenCalledWith(order._id, null);
+  });
+});
@@ -0,0 +1,51 @@
+const QRCode = require('qrcode');
+const { Jimp } = require('jimp');
+const qrProcessor = require('../utils/qrProcessor');
+
+describe('QR image decoding', () => {
+  const payload = 'ESW2.k1.eyJ0IjoiYWJjIn0.c2lnbmF0dXJl';
+
+  it('decodes a PNG buffer', async () => {
+    const png = await QRCode.toBuffer(payload);
+    await expect(qrProcessor.decodeQR(png)).resolves.toEqual({
+      data: payload,
+    });
+  });
+
+  it('decodes a base64 data URL of a large JPEG photo', async () => {
+    const png = await QRCode.toBuffer(payload, { width: 400 });
+    const photo = new Jimp({ width: 1600, height: 1200, color: 0xffffffff });
+    photo.composite(await Jimp.fromBuffer(png), 600, 400);
+    const jpeg = await photo.getBase64('image/jpeg');
+
+    await expect(qrProcessor.decodeQR(jpeg)).resolves.toEqual({
+      data: payload,
+    });
+  });
+
+  it('reports images without a QR code', async () => {
+    const blank = new Jimp({ width: 200, height: 200, color: 0xffffffff });
+    const png = await blank.getBuffer('image/png');
+
+    await expect(qrProcessor.decodeQR(png)).resolves.toEqual({
+      error: 'No QR code found in image',
+    });
+    await expect(
+      qrProcessor.decodeQR(Buffer.from('not an image'))
+    ).resolves.toEqual({ error: 'Invalid QR code image' });
+  });
+
+  it('refuses oversized images before decoding them', async () => {
+    const png = await QRCode.toBuffer(payload);
+    // Claim 20000 x 20000 pixels in the IHDR header
+    png.writeUInt32BE(20000, 16);
+    png.writeUInt32BE(20000, 20);
+    const fromBuffer = jest.spyOn(Jimp, 'fromBuffer');
+
+    await expect(qrProcessor.decodeQR(png)).resolves.toEqual({
+      error: 'Image dimensions are too large',
+    });
+    expect(fromBuffer).not.toHaveBeenCalled();
+    fromBuffer.mockRestore();
+  });
+});
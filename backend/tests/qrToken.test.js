@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const qrToken = require('../utils/qrToken');
+
+describe('Signed QR tokens', () => {
+  const keys = { k1: 'first-secret', k2: 'second-secret' };
+  const ticket = {
+    _id: new mongoose.Types.ObjectId(),
+    event: new mongoose.Types.ObjectId(),
+    qrVersion: 2,
+  };
+
+  it('round-trips the ticket, event and version', () => {
+    const token = qrToken.sign(ticket, { keys, keyId: 'k1' });
+    expect(token.startsWith('ESW2.k1.')).toBe(true);
+
+    const result = qrToken.verify(token, { keys });
+    expect(result.valid).toBe(true);
+    expect(result.payload).toMatchObject({
+      ticketId: ticket._id.toString(),
+      eventId: ticket.event.toString(),
+      version: 2,
+      keyId: 'k1',
+    });
+  });
+
+  it('rejects tampered payloads', () => {
+    const token = qrToken.sign(ticket, { keys, keyId: 'k1' });
+    const [prefix, kid, , signature] = token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({
+        t: new mongoose.Types.ObjectId().toString(),
+        e: ticket.event.toString(),
+        v: 2,
+        iat: 0,
+      })
+    ).toString('base64url');
+
+    expect(
+      qrToken.verify(`${prefix}.${kid}.${forged}.${signature}`, { keys })
+    ).toEqual({ valid: false, reason: 'SIGNATURE_MISMATCH' });
+  });
+
+  it('keeps verifying codes signed with a retired key while it is listed', () => {
+    const token = qrToken.sign(ticket, { keys, keyId: 'k1' });
+    expect(qrToken.verify(token, { keys: { k2: keys.k2 } }).reason).toBe(
+      'UNKNOWN_KEY'
+    );
+    expect(qrToken.verify(token, { keys }).valid).toBe(true);
+  });
+
+  it('extracts signed and legacy payloads from scanned text', () => {
+    const token = qrToken.sign(ticket, { keys, keyId: 'k2' });
+    expect(qrToken.extract(`{"qr":"${token}"}`)).toEqual({
+      type: 'signed',
+      value: token,
+    });
+    expect(qrToken.extract('ESWATICKET:abc:def:123')).toEqual({
+      type: 'legacy',
+      value: 'ESWATICKET:abc:def:123',
+    });
+    expect(qrToken.extract('nothing here')).toBeNull();
+  });
+
+  describe('without configured keys', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+      delete process.env.QR_SIGNING_KEYS;
+      delete process.env.QR_SIGNING_KEY_ID;
+    });
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('signs with a key generated for this process', () => {
+      process.env.NODE_ENV = 'development';
+      const token = qrToken.sign(ticket);
+
+      expect(qrToken.verify(token).valid).toBe(true);
+      expect(
+        qrToken.verify(token, { keys: { dev: 'dev-qr-signing-key' } }).valid
+      ).toBe(false);
+    });
+
+    it('refuses to sign in production', () => {
+      process.env.NODE_ENV = 'production';
+      expect(() => qrToken.sign(ticket)).toThrow(
+        'QR_SIGNING_KEYS is not configured'
+      );
+    });
+  });
+});
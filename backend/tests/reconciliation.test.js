@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const settlementCsv = require('../utils/settlementCsv');
+const { compare } = require('../jobs/reconciliation');
+const { processPaymentEvent } = require('../controllers/paymentWebhooks');
+
+describe('Settlement reconciliation', () => {
+  const csv = [
+    'Transaction ID,Amount,Currency,Fee,Type',
+    'txn_1,400.00,SZL,8.00,charge',
+    'txn_2,"1,000.00",SZL,20.00,charge',
+    'txn_3,200.00,SZL,4.00,charge',
+    'txn_3,200.00,SZL,4.00,charge',
+    'txn_9,150.00,SZL,3.00,charge',
+    'txn_1,-400.00,SZL,0,refund',
+  ].join('\n');
+
+  const payments = [
+    {
+      transactionId: 'txn_1',
+      amount: 400,
+      currency: 'SZL',
+      status: 'COMPLETED',
+    },
+    {
+      transactionId: 'txn_2',
+      amount: 900,
+      currency: 'SZL',
+      status: 'COMPLETED',
+    },
+    {
+      transactionId: 'txn_3',
+      amount: 200,
+      currency: 'SZL',
+      status: 'COMPLETED',
+    },
+  ];
+
+  it('parses quoted fields and header aliases', () => {
+    const rows = settlementCsv.parse(csv);
+    expect(rows).toHaveLength(6);
+    expect(rows[0]).toMatchObject({
+      line: 2,
+      transactionId: 'txn_1',
+      amount: 400,
+      fees: 8,
+      type: 'charge',
+    });
+    expect(rows[1]).toMatchObject({ transactionId: 'txn_2', amount: 1000 });
+  });
+
+  it('rejects files without the columns it matches on', () => {
+    expect(() => settlementCsv.parse('id,total\n1,2')).toThrow(
+      'Settlement file needs transaction_id and amount columns'
+    );
+  });
+
+  it('reports duplicated, missing and mismatched entries', () => {
+    const rows = settlementCsv.parse(csv);
+    const result = compare(rows, payments, [
+      ...payments,
+      {
+        transactionId: 'txn_4',
+        amount: 50,
+        currency: 'SZL',
+        status: 'COMPLETED',
+      },
+    ]);
+
+    const byType = (type) =>
+      result.discrepancies
+        .filter((d) => d.type === type)
+        .map((d) => d.transactionId);
+
+    expect(byType('DUPLICATE')).toEqual(['txn_3']);
+    expect(byType('MISSING_IN_LEDGER')).toEqual(['txn_9']);
+    expect(byType('MISSING_IN_SETTLEMENT')).toEqual(['txn_4']);
+    expect(byType('AMOUNT_MISMATCH')).toEqual(['txn_2']);
+    expect(result.summary).toMatchObject({ lines: 6, matched: 3, skipped: 1 });
+  });
+});
+
+describe('Payment ledger', () => {
+  const failure = {
+    transactionId: 'txn_1',
+    status: 'failed',
+    orderNumber: 'ESW-260601-000001',
+    amount: 400,
+    currency: 'SZL',
+    paymentMethod: 'mobile_money',
+  };
+  const paymentWith = (status) => {
+    const payment = new Payment({
+      transactionId: failure.transactionId,
+      provider: 'sandbox',
+      order: new mongoose.Types.ObjectId(),
+      amount: 400,
+    });
+    payment.status = status;
+    return payment;
+  };
+  let payment;
+
+  beforeEach(() => {
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      startTransaction() {},
+      commitTransaction: async () => {},
+      abortTransaction: async () => {},
+      inTransaction: () => false,
+      endSession() {},
+    });
+    jest.spyOn(Order, 'findOne').mockReturnValue({
+      session: async () =>
+        new Order({ orderNumber: failure.orderNumber, paymentStatus: 'PAID' }),
+    });
+    jest
+      .spyOn(Payment, 'findOne')
+      .mockReturnValue({ session: async () => payment });
+    jest.spyOn(Payment.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps a settled charge when a failure arrives late', async () => {
+    payment = paymentWith('COMPLETED');
+
+    await processPaymentEvent('sandbox', failure);
+
+    expect(payment.status).toBe('COMPLETED');
+    expect(payment.save).not.toHaveBeenCalled();
+  });
+
+  it('records the failure of a charge still pending', async () => {
+    payment = paymentWith('PENDING');
+
+    await processPaymentEvent('sandbox', failure);
+
+    expect(payment.status).toBe('FAILED');
+    expect(payment.save).toHaveBeenCalled();
+  });
+});
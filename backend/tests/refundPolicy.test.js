@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Payment = require('../models/Payment');
+const inventory = require('../utils/inventory');
+const waitlist = require('../utils/waitlist');
+const refunds = require('../utils/refunds');
+const { PaymentProvider, registerProvider } = require('../providers');
+
+describe('Refund policy', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const inDays = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  const ticket = { tier: 'General', price: 200 };
+
+  it('auto-approves the full price inside the default policy', () => {
+    const result = refunds.evaluatePolicy(ticket, { date: inDays(7) }, { now });
+    expect(result.violations).toEqual([]);
+    expect(result.requiresApproval).toBe(false);
+    expect(result.amount).toBe(200);
+  });
+
+  it('withholds percentage and fixed cancellation fees', () => {
+    const percentage = refunds.evaluatePolicy(
+      ticket,
+      {
+        date: inDays(7),
+        refundPolicy: { feeType: 'PERCENTAGE', feeValue: 10 },
+      },
+      { now }
+    );
+    expect(percentage.fee).toBe(20);
+    expect(percentage.amount).toBe(180);
+
+    const fixed = refunds.evaluatePolicy(
+      ticket,
+      { date: inDays(7), refundPolicy: { feeType: 'FIXED', feeValue: 250 } },
+      { now }
+    );
+    expect(fixed.fee).toBe(200);
+    expect(fixed.amount).toBe(0);
+  });
+
+  it('accepts partial amounts up to what the policy allows', () => {
+    const event = {
+      date: inDays(7),
+      refundPolicy: { feeType: 'FIXED', feeValue: 50 },
+    };
+    expect(
+      refunds.evaluatePolicy(ticket, event, { amount: 100, now }).violations
+    ).toEqual([]);
+    expect(
+      refunds.evaluatePolicy(ticket, event, { amount: 180, now }).violations
+    ).toEqual(['AMOUNT_EXCEEDS_POLICY']);
+  });
+
+  it('sends requests outside the policy for approval', () => {
+    const result = refunds.evaluatePolicy(
+      { tier: 'vip', price: 500 },
+      {
+        date: inDays(1),
+        refundPolicy: {
+          allowRefunds: false,
+          deadlineHours: 48,
+          nonRefundableTiers: ['VIP'],
+        },
+      },
+      { now }
+    );
+    expect(result.violations).toEqual([
+      'REFUNDS_DISABLED',
+      'PAST_DEADLINE',
+      'NON_REFUNDABLE_TIER',
+    ]);
+    expect(result.requiresApproval).toBe(true);
+  });
+
+  it('needs approval for every request when auto-approval is off', () => {
+    const result = refunds.evaluatePolicy(
+      ticket,
+      { date: inDays(7), refundPolicy: { autoApprove: false } },
+      { now }
+    );
+    expect(result.violations).toEqual([]);
+    expect(result.requiresApproval).toBe(true);
+  });
+
+  it('refunds in full during a postponement opt-out window', () => {
+    const event = {
+      date: inDays(1),
+      refundPolicy: {
+        allowRefunds: false,
+        feeType: 'PERCENTAGE',
+        feeValue: 10,
+      },
+      postponements: [{ postponedAt: inDays(-2), optOutDeadline: inDays(5) }],
+    };
+
+    const result = refunds.evaluatePolicy(
+      { ...ticket, createdAt: inDays(-10) },
+      event,
+      { now }
+    );
+    expect(result.postponementOptOut).toBe(true);
+    expect(result.requiresApproval).toBe(false);
+    expect(result.amount).toBe(200);
+
+    // Bought after the reschedule was announced: normal policy applies
+    expect(
+      refunds.evaluatePolicy({ ...ticket, createdAt: inDays(-1) }, event, {
+        now,
+      }).violations
+    ).toContain('REFUNDS_DISABLED');
+  });
+});
+
+describe('Refund execution', () => {
+  const calls = [];
+  class TestProvider extends PaymentProvider {
+    async refund({ amount }) {
+      calls.push(`provider:${amount}`);
+      return { refundId: 'rf_1', status: 'COMPLETED' };
+    }
+  }
+  registerProvider(new TestProvider('refund-test'));
+
+  let ticket;
+  let refund;
+
+  beforeEach(() => {
+    calls.length = 0;
+    ticket = Ticket.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      event: new mongoose.Types.ObjectId(),
+      tier: 'General',
+      price: 200,
+      status: 'ACTIVE',
+      transactionId: 'txn_1',
+      refundHistory: [],
+    });
+    refund = refunds.requestRefund(
+      ticket,
+      { date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) },
+      { reason: 'Cannot attend', requestedBy: ticket._id, idempotencyKey: 'k1' }
+    );
+
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession() {},
+    });
+    jest
+      .spyOn(Payment, 'findOne')
+      .mockResolvedValue({ provider: 'refund-test', amount: 200 });
+    jest.spyOn(Payment, 'recordTicketRefund').mockResolvedValue();
+    jest.spyOn(inventory, 'releaseTickets').mockResolvedValue();
+    jest.spyOn(waitlist, 'fillOffers').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('saves the refund as submitted before the provider is called', async () => {
+    jest
+      .spyOn(Ticket, 'updateOne')
+      .mockImplementation(async (filter, update) => {
+        calls.push(update.$push ? 'claim' : 'outcome');
+        return { modifiedCount: 1 };
+      });
+
+    await refunds.executeRefund(ticket, refund);
+
+    expect(calls).toEqual(['claim', 'provider:200', 'outcome']);
+    const [[claimFilter, claim], [, outcome]] = Ticket.updateOne.mock.calls;
+    expect(claimFilter.refundHistory).toEqual({
+      $not: { $elemMatch: expect.objectContaining({ status: 'PENDING' }) },
+    });
+    expect(claim.$push.refundHistory).toMatchObject({
+      status: 'PENDING',
+      submittedAt: expect.any(Date),
+    });
+    expect(outcome.$set).toMatchObject({
+      'refundHistory.$.status': 'COMPLETED',
+      status: 'REFUNDED',
+    });
+  });
+
+  it('sends nothing when another refund got there first', async () => {
+    jest.spyOn(Ticket, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(refunds.executeRefund(ticket, refund)).rejects.toMatchObject({
+      statusCode: 409,
+      details: { code: 'REFUND_IN_PROGRESS' },
+    });
+    expect(calls).toEqual([]);
+    expect(Ticket.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  it('claims scanned tickets only for a cancellation', async () => {
+    jest.spyOn(Ticket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await refunds.executeRefund(ticket, refund);
+    const [[ordinary]] = Ticket.updateOne.mock.calls;
+    expect(ordinary).toMatchObject({
+      status: { $in: refunds.REFUNDABLE_STATUSES },
+      isUsed: { $ne: true },
+    });
+
+    Ticket.updateOne.mockClear();
+    ticket.set({ status: 'USED', isUsed: true, refundHistory: [] });
+    const cancellation = refunds.requestRefund(
+      ticket,
+      {},
+      {
+        reason: 'Event cancelled',
+        idempotencyKey: 'k2',
+        bypassPolicy: true,
+        includeUsed: true,
+      }
+    );
+    await refunds.executeRefund(ticket, cancellation, { includeUsed: true });
+    const [[cancelled]] = Ticket.updateOne.mock.calls;
+    expect(cancelled.status).toEqual({ $in: refunds.PAID_STATUSES });
+    expect(cancelled.isUsed).toBeUndefined();
+  });
+
+  describe('without a payment on record', () => {
+    beforeEach(() => {
+      Payment.findOne.mockResolvedValue(null);
+      jest.spyOn(Ticket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('leaves a new request for the organizer', async () => {
+      await refunds.executeRefund(ticket, refund);
+
+      expect(refund).toMatchObject({
+        status: 'PENDING',
+        approvalStatus: 'AWAITING_APPROVAL',
+      });
+      expect(refund.policyViolations).toContain('NO_PAYMENT_RECORD');
+      expect(refund.submittedAt).toBeUndefined();
+      expect(calls).toEqual([]);
+      expect(Ticket.updateOne).toHaveBeenCalledTimes(1);
+      expect(inventory.releaseTickets).not.toHaveBeenCalled();
+    });
+
+    it('completes once the organizer confirms paying out by hand', async () => {
+      const saved = Ticket.hydrate({
+        ...ticket.toObject(),
+        refundHistory: [
+          {
+            ...refund.toObject(),
+            approvalStatus: 'AWAITING_APPROVAL',
+            policyViolations: ['NO_PAYMENT_RECORD'],
+          },
+        ],
+      });
+      const [decision] = saved.refundHistory;
+      decision.approvalStatus = 'APPROVED';
+
+      await expect(
+        refunds.executeRefund(saved, decision)
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        details: { code: 'NO_PAYMENT_RECORD' },
+      });
+      expect(Ticket.updateOne).not.toHaveBeenCalled();
+
+      await refunds.executeRefund(saved, decision, { paidOutManually: true });
+
+      expect(decision.status).toBe('COMPLETED');
+      expect(calls).toEqual([]);
+      const [, [, outcome]] = Ticket.updateOne.mock.calls;
+      expect(outcome.$set).toMatchObject({
+        'refundHistory.$.paidOutManually': true,
+        status: 'REFUNDED',
+      });
+      expect(inventory.releaseTickets).toHaveBeenCalledWith(
+        [saved],
+        expect.anything()
+      );
+      expect(Payment.recordTicketRefund).not.toHaveBeenCalled();
+    });
+  });
+});
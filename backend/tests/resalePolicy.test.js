@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const ResaleListing = require('../models/ResaleListing');
+const qrToken = require('../utils/qrToken');
+const refunds = require('../utils/refunds');
+const resale = require('../utils/resale');
+
+describe('Resale policy', () => {
+  const now = new Date('2026-08-01T10:00:00Z');
+  const ticket = { price: 200 };
+  const event = (resalePolicy = {}) => ({
+    date: new Date('2026-08-10T18:00:00Z'),
+    resalePolicy,
+  });
+
+  it('caps the asking price at face value by default', () => {
+    expect(
+      resale.evaluateListing(ticket, event(), 200, now).violations
+    ).toEqual([]);
+    const evaluation = resale.evaluateListing(ticket, event(), 250, now);
+    expect(evaluation.cap).toBe(200);
+    expect(evaluation.violations).toEqual(['PRICE_ABOVE_CAP']);
+  });
+
+  it('splits the price into platform fee, royalty and payout', () => {
+    const evaluation = resale.evaluateListing(
+      ticket,
+      event({ maxPricePercent: 120, royaltyPercent: 10 }),
+      240,
+      now
+    );
+    const platformFee = Math.round(240 * resale.RESALE_FEE_PERCENT) / 100;
+    expect(evaluation.violations).toEqual([]);
+    expect(evaluation.royalty).toBe(24);
+    expect(evaluation.platformFee).toBe(platformFee);
+    expect(evaluation.sellerPayout).toBe(
+      Math.round((240 - 24 - platformFee) * 100) / 100
+    );
+  });
+
+  it('refuses listings when resale is off, past the cutoff or cancelled', () => {
+    expect(
+      resale.evaluateListing(
+        ticket,
+        { ...event({ enabled: false, cutoffHours: 240 }), isCancelled: true },
+        100,
+        now
+      ).violations
+    ).toEqual(['EVENT_CANCELLED', 'RESALE_DISABLED', 'PAST_CUTOFF']);
+  });
+
+  describe('completed sale', () => {
+    const seller = new mongoose.Types.ObjectId();
+    const buyer = new mongoose.Types.ObjectId();
+    const listing = new ResaleListing({
+      ticket: new mongoose.Types.ObjectId(),
+      event: new mongoose.Types.ObjectId(),
+      seller,
+      tier: 'General',
+      faceValue: 200,
+      price: 240,
+      platformFee: 12,
+      royalty: 0,
+      sellerPayout: 228,
+      status: 'SOLD',
+    });
+    let ticket;
+
+    beforeEach(() => {
+      ticket = Ticket.hydrate({
+        _id: listing.ticket,
+        event: listing.event,
+        owner: seller,
+        tier: 'General',
+        price: 200,
+        status: 'ACTIVE',
+        isUsed: false,
+        resaleListing: listing._id,
+        transactionId: 'txn_seller',
+        transferHistory: [],
+        refundHistory: [],
+      });
+      jest.spyOn(ResaleListing, 'findOneAndUpdate').mockResolvedValue(listing);
+      jest.spyOn(Ticket, 'findOne').mockReturnValue({
+        session: () => Promise.resolve(ticket),
+      });
+      jest.spyOn(Ticket.prototype, 'save').mockResolvedValue();
+      jest.spyOn(qrToken, 'sign').mockReturnValue('signed');
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('refunds the buyer what they paid, not the face value', async () => {
+      await resale.completeSale(
+        { resaleListing: listing._id, buyer, orderNumber: 'ESW-1' },
+        {
+          providerName: 'sandbox',
+          transactionId: 'txn_buyer',
+          paymentMethod: 'card',
+        }
+      );
+
+      expect(ticket.owner).toEqual(buyer);
+      expect(ticket.transactionId).toBe('txn_buyer');
+      expect(ticket.price).toBe(200);
+      expect(ticket.resalePrice).toBe(240);
+      expect(
+        refunds.requestRefund(ticket, event(), {
+          reason: 'Cannot attend',
+          idempotencyKey: 'k1',
+          bypassPolicy: true,
+        }).amount
+      ).toBe(240);
+      expect(resale.evaluateListing(ticket, event(), 240, now).cap).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const SeatMap = require('../models/SeatMap');
+const seating = require('../utils/seating');
+
+describe('Seat maps', () => {
+  const stallsId = new mongoose.Types.ObjectId();
+  const balconyId = new mongoose.Types.ObjectId();
+  const event = {
+    ticketTypes: [
+      { _id: stallsId, name: 'Stalls' },
+      { _id: balconyId, name: 'Balcony' },
+    ],
+  };
+  const layout = {
+    zones: [
+      { name: 'Stalls', ticketTypeId: stallsId },
+      { name: 'Balcony', ticketTypeId: balconyId },
+    ],
+    sections: [
+      {
+        name: 'Orchestra',
+        zone: 'Stalls',
+        rows: [
+          {
+            label: 'A',
+            seats: [
+              { number: '1', accessible: true },
+              { number: '2' },
+              { number: '3', blocked: true },
+            ],
+          },
+        ],
+      },
+      {
+        name: 'Circle',
+        zone: 'Balcony',
+        rows: [{ label: 'B', seats: [{ number: '1' }, { number: '2' }] }],
+      },
+    ],
+  };
+  const build = (existing = null, body = layout) =>
+    new SeatMap({
+      event: new mongoose.Types.ObjectId(),
+      ...seating.buildLayout(existing, body),
+    });
+  const seatId = (seatMap, label) =>
+    [...seating.seatIndex(seatMap).values()].find((s) => s.label === label)
+      .seatId;
+
+  it('labels seats and counts sellable seats per ticket type', () => {
+    const seatMap = build();
+    seating.assertValidMap(seatMap, event);
+
+    const seat = seating
+      .seatIndex(seatMap)
+      .get(seatId(seatMap, 'Orchestra Row A Seat 1').toString());
+    expect(seat).toMatchObject({ zone: 'Stalls', accessible: true });
+    expect(seating.seatCounts(seatMap).get(stallsId.toString())).toBe(2);
+    expect(seating.seatCounts(seatMap).get(balconyId.toString())).toBe(2);
+  });
+
+  it('keeps seat ids when the layout is saved again', () => {
+    const first = build();
+    const second = build(first);
+    expect(seatId(second, 'Circle Row B Seat 2')).toEqual(
+      seatId(first, 'Circle Row B Seat 2')
+    );
+  });
+
+  it('refuses seats from another zone, blocked seats and short selections', () => {
+    const seatMap = build();
+    const stalls = event.ticketTypes[0];
+    const fail = (seats, quantity) => {
+      try {
+        seating.chooseSeats(seatMap, stalls, seats, quantity);
+      } catch (err) {
+        return err.details.code;
+      }
+      return null;
+    };
+
+    const a1 = seatId(seatMap, 'Orchestra Row A Seat 1').toString();
+    expect(fail([a1], 1)).toBeNull();
+    expect(fail([a1], 2)).toBe('SEAT_SELECTION_REQUIRED');
+    expect(fail([seatId(seatMap, 'Circle Row B Seat 1').toString()], 1)).toBe(
+      'SEAT_WRONG_TICKET_TYPE'
+    );
+    expect(
+      fail([seatId(seatMap, 'Orchestra Row A Seat 3').toString()], 1)
+    ).toBe('SEAT_BLOCKED');
+  });
+
+  it('rejects zones for ticket types the event does not sell', () => {
+    const seatMap = build(null, {
+      ...layout,
+      zones: [
+        ...layout.zones.slice(0, 1),
+        { name: 'Balcony', ticketTypeId: new mongoose.Types.ObjectId() },
+      ],
+    });
+    expect(() => seating.assertValidMap(seatMap, event)).toThrow(
+      'Zone ticket type not found on this event'
+    );
+  });
+});
@@ -0,0 +1,202 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Transfer = require('../models/Transfer');
+const { claimLookupLimiter } = require('../middleware/rateLimiter');
+const { notifyContact } = require('../utils/notifications');
+const admission = require('../utils/admission');
+const qrToken = require('../utils/qrToken');
+const transfers = require('../utils/transfers');
+
+describe('Claim invitations', () => {
+  const now = new Date('2026-06-01T10:00:00Z');
+  const sender = new mongoose.Types.ObjectId();
+  const recipient = new mongoose.Types.ObjectId();
+  const event = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Bushfire',
+    date: new Date('2026-06-05T18:00:00Z'),
+  };
+  let ticket;
+
+  beforeEach(() => {
+    ticket = Ticket.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      event: event._id,
+      owner: sender,
+      tier: 'General',
+      price: 200,
+      status: 'ACTIVE',
+      isUsed: false,
+      qrVersion: 1,
+      transferHistory: [{ from: sender, to: sender, date: now }],
+      refundHistory: [],
+    });
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession() {},
+    });
+    jest.spyOn(Transfer.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Ticket.prototype, 'save').mockResolvedValue();
+    jest.spyOn(qrToken, 'sign').mockReturnValue('signed');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const issue = async () => {
+    jest.spyOn(Ticket, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    return transfers.offer(ticket, event, {
+      recipientEmail: 'guest@example.com',
+      now,
+    });
+  };
+
+  it('issues a single-use token stored only as a hash', async () => {
+    const { transfer, claimToken } = await issue();
+
+    expect(claimToken).toEqual(expect.any(String));
+    expect(transfer.claimTokenHash).toBe(transfers.hashClaimToken(claimToken));
+    expect(transfer.claimTokenHash).not.toContain(claimToken);
+    expect(Ticket.updateOne).toHaveBeenCalledWith(
+      { _id: ticket._id, owner: sender, pendingTransfer: null },
+      { $set: { pendingTransfer: transfer._id } },
+      expect.anything()
+    );
+  });
+
+  it('locks the ticket so it neither scans nor moves while pending', async () => {
+    const { transfer } = await issue();
+    ticket.pendingTransfer = transfer._id;
+
+    expect(() =>
+      admission.assertAdmissible({ ...ticket.toObject(), event: {} })
+    ).toThrow(
+      expect.objectContaining({
+        details: expect.objectContaining({ code: 'TRANSFER_PENDING' }),
+      })
+    );
+    expect(() => transfers.assertMovable(ticket)).toThrow(
+      'Ticket already has a pending transfer'
+    );
+  });
+
+  it('looks claims up by token and refuses closed ones', async () => {
+    const { transfer, claimToken } = await issue();
+    const findOne = jest
+      .spyOn(Transfer, 'findOne')
+      .mockResolvedValueOnce(transfer)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(
+        Object.assign(new Transfer(transfer.toObject()), {
+          status: 'ACCEPTED',
+        })
+      );
+
+    await expect(transfers.findClaim(claimToken)).resolves.toBe(transfer);
+    expect(findOne).toHaveBeenCalledWith({
+      claimTokenHash: transfers.hashClaimToken(claimToken),
+    });
+    await expect(transfers.findClaim('guess')).rejects.toMatchObject({
+      statusCode: 404,
+      details: { code: 'CLAIM_NOT_FOUND' },
+    });
+    await expect(transfers.findClaim(claimToken)).rejects.toMatchObject({
+      statusCode: 409,
+      details: expect.objectContaining({ code: 'TRANSFER_CLOSED' }),
+    });
+  });
+
+  it('hands the ticket over once and retires the token', async () => {
+    const { transfer } = await issue();
+    ticket.pendingTransfer = transfer._id;
+    jest
+      .spyOn(Ticket, 'findById')
+      .mockReturnValue({ session: async () => ticket });
+    const close = jest
+      .spyOn(Transfer, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    await transfers.claim(transfer, recipient, { now });
+
+    expect(close.mock.calls[0][1]).toMatchObject({
+      $unset: { claimTokenHash: 1 },
+    });
+    expect(ticket.owner).toEqual(recipient);
+    expect(ticket.pendingTransfer).toBeUndefined();
+    expect(ticket.qrVersion).toBe(2);
+
+    ticket.pendingTransfer = transfer._id;
+    ticket.owner = sender;
+    await expect(
+      transfers.claim(transfer, recipient, { now })
+    ).rejects.toMatchObject({ details: { code: 'TRANSFER_CLOSED' } });
+  });
+
+  it('refuses expired claims', async () => {
+    const { transfer } = await issue();
+
+    await expect(
+      transfers.claim(transfer, recipient, {
+        now: new Date(transfer.expiresAt.getTime() + 1000),
+      })
+    ).rejects.toMatchObject({ details: { code: 'TRANSFER_EXPIRED' } });
+  });
+
+  describe('delivery', () => {
+    const env = { ...process.env };
+    const invitation = {
+      type: 'TRANSFER_CLAIM',
+      title: 'A ticket for Bushfire',
+      message: 'Claim it: https://example.com/claim/abc',
+    };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('sends the link through the message relay', async () => {
+      process.env.MESSAGE_RELAY_URL = 'https://relay.example.com/messages';
+      const fetch = jest
+        .spyOn(global, 'fetch')
+        .mockResolvedValue({ ok: true, status: 202 });
+
+      await expect(
+        notifyContact({ phone: '+26876000000' }, invitation)
+      ).resolves.toBe(true);
+      const [url, { body }] = fetch.mock.calls[0];
+      expect(url).toBe(process.env.MESSAGE_RELAY_URL);
+      expect(JSON.parse(body)).toMatchObject({
+        channel: 'sms',
+        to: '+26876000000',
+        message: invitation.message,
+      });
+    });
+
+    it('reports undelivered links instead of failing', async () => {
+      delete process.env.MESSAGE_RELAY_URL;
+      await expect(
+        notifyContact({ email: 'guest@example.com' }, invitation)
+      ).resolves.toBe(false);
+
+      process.env.MESSAGE_RELAY_URL = 'https://relay.example.com/messages';
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 500 });
+      await expect(
+        notifyContact({ email: 'guest@example.com' }, invitation)
+      ).resolves.toBe(false);
+    });
+  });
+
+  it('rate limits public lookups', async () => {
+    const app = express();
+    app.post('/claims/lookup', claimLookupLimiter, (req, res) =>
+      res.json({ ok: true })
+    );
+
+    for (let i = 0; i < 20; i++) {
+      await request(app).post('/claims/lookup').expect(200);
+    }
+    await request(app).post('/claims/lookup').expect(429);
+  });
+});
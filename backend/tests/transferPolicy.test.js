@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const transfers = require('../utils/transfers');
+
+describe('Transfer policy', () => {
+  const now = new Date('2026-06-01T10:00:00Z');
+  const event = (transferPolicy = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    date: new Date('2026-06-05T18:00:00Z'),
+    transferPolicy,
+  });
+  const ticket = (overrides = {}) => ({
+    owner: new mongoose.Types.ObjectId(),
+    status: 'ACTIVE',
+    isUsed: false,
+    transferHistory: [],
+    refundHistory: [],
+    ...overrides,
+  });
+
+  const code = (fn) => {
+    try {
+      fn();
+    } catch (err) {
+      return err.details.code;
+    }
+    return null;
+  };
+
+  it('allows transfers by default', () => {
+    expect(transfers.evaluatePolicy(ticket(), event(), now).violations).toEqual(
+      []
+    );
+  });
+
+  // As issued at checkout: a purchase entry from the buyer to themselves
+  const purchased = (buyer, ...handOvers) =>
+    ticket({
+      owner: buyer,
+      transferHistory: [{ from: buyer, to: buyer, date: now }, ...handOvers],
+    });
+
+  it('enforces disabled transfers, cutoff and transfer limit', () => {
+    const [a, b] = [1, 2].map(() => new mongoose.Types.ObjectId());
+    const evaluation = transfers.evaluatePolicy(
+      purchased(a, { from: a, to: b }, { from: b, to: a }),
+      event({ enabled: false, maxTransfers: 2, cutoffHours: 110 }),
+      now
+    );
+    expect(evaluation.violations).toEqual([
+      'TRANSFERS_DISABLED',
+      'PAST_CUTOFF',
+      'MAX_TRANSFERS_REACHED',
+    ]);
+  });
+
+  it('counts only hand-overs, not the purchase or resales, towards the limit', () => {
+    const [buyer, friend, reseller] = [1, 2, 3].map(
+      () => new mongoose.Types.ObjectId()
+    );
+    const policy = event({ maxTransfers: 1 });
+
+    const fresh = transfers.evaluatePolicy(purchased(buyer), policy, now);
+    expect(fresh.transfersUsed).toBe(0);
+    expect(fresh.violations).toEqual([]);
+
+    const resold = purchased(reseller, {
+      from: reseller,
+      to: buyer,
+      resaleListing: new mongoose.Types.ObjectId(),
+    });
+    expect(transfers.evaluatePolicy(resold, policy, now).violations).toEqual(
+      []
+    );
+
+    resold.transferHistory.push({
+      from: buyer,
+      to: friend,
+      transfer: new mongoose.Types.ObjectId(),
+    });
+    expect(transfers.evaluatePolicy(resold, policy, now)).toMatchObject({
+      transfersUsed: 1,
+      violations: ['MAX_TRANSFERS_REACHED'],
+    });
+  });
+
+  it('expires offers at the cutoff when it comes before the TTL', () => {
+    expect(transfers.expiryFor(event({ cutoffHours: 80 }), now)).toEqual(
+      new Date('2026-06-02T10:00:00Z')
+    );
+    expect(transfers.expiryFor(event(), now)).toEqual(
+      new Date(now.getTime() + transfers.TRANSFER_TTL_HOURS * 60 * 60 * 1000)
+    );
+  });
+
+  it('refuses used, locked or refunding tickets', () => {
+    expect(
+      code(() =>
+        transfers.assertTransferable(ticket({ isUsed: true }), event(), now)
+      )
+    ).toBe('NOT_TRANSFERABLE');
+    expect(
+      code(() =>
+        transfers.assertTransferable(
+          ticket({ pendingTransfer: new mongoose.Types.ObjectId() }),
+          event(),
+          now
+        )
+      )
+    ).toBe('TRANSFER_PENDING');
+    expect(
+      code(() =>
+        transfers.assertTransferable(
+          ticket({
+            refundHistory: [
+              { status: 'PENDING', approvalStatus: 'AWAITING_APPROVAL' },
+            ],
+          }),
+          event(),
+          now
+        )
+      )
+    ).toBe('REFUND_IN_PROGRESS');
+    expect(
+      code(() =>
+        transfers.assertTransferable(ticket(), event({ enabled: false }), now)
+      )
+    ).toBe('TRANSFER_NOT_ALLOWED');
+  });
+});
@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Notification = require('../models/Notification');
+const inventory = require('../utils/inventory');
+const waitlist = require('../utils/waitlist');
+
+const fakeSession = () => ({
+  withTransaction: async (fn) => fn(),
+  endSession() {},
+});
+
+describe('Waitlist', () => {
+  const eventId = new mongoose.Types.ObjectId();
+  const type = { _id: new mongoose.Types.ObjectId(), name: 'General' };
+  let entries;
+
+  const entryFor = (quantity, minutesAgo, fields = {}) =>
+    new WaitlistEntry({
+      event: eventId,
+      ticketType: type._id,
+      tier: type.name,
+      user: new mongoose.Types.ObjectId(),
+      quantity,
+      createdAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+      ...fields,
+    });
+
+  // Answers the waitlist's queries from `entries`, earliest first
+  const orderMatches = (entry, order) => {
+    if (order === undefined) return true;
+    if (order === null) return !entry.order;
+    return order.$in.some((id) => id.equals(entry.order));
+  };
+  const matching = (filter) =>
+    entries
+      .filter(
+        (e) => e.status === filter.status && orderMatches(e, filter.order)
+      )
+      .sort((a, b) => a.createdAt - b.createdAt);
+  const chain = (result) => ({
+    sort() {
+      return this;
+    },
+    limit() {
+      return this;
+    },
+    session: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  });
+
+  beforeEach(() => {
+    entries = [];
+    jest
+      .spyOn(mongoose, 'startSession')
+      .mockImplementation(async () => fakeSession());
+    jest.spyOn(Notification, 'create').mockResolvedValue();
+    jest
+      .spyOn(WaitlistEntry, 'findOne')
+      .mockImplementation((filter) => chain(matching(filter)[0] || null));
+    jest
+      .spyOn(WaitlistEntry, 'find')
+      .mockImplementation((filter) => chain(matching(filter)));
+    jest
+      .spyOn(WaitlistEntry, 'countDocuments')
+      .mockImplementation((filter) => chain(matching(filter).length));
+    jest
+      .spyOn(WaitlistEntry, 'updateOne')
+      .mockImplementation(async (filter, update) => {
+        const entry = entries.find((e) => e._id.equals(filter._id));
+        if (
+          !entry ||
+          (filter.status && entry.status !== filter.status) ||
+          (filter.order === null && entry.order)
+        ) {
+          return { modifiedCount: 0 };
+        }
+        Object.assign(entry, update.$set);
+        if (update.$unset) entry.order = undefined;
+        return { modifiedCount: 1 };
+      });
+    jest.spyOn(inventory, 'reserve').mockResolvedValue();
+    jest.spyOn(inventory, 'releaseUnits').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const eventWith = (available) =>
+    jest.spyOn(Event, 'findById').mockReturnValue({
+      select: () =>
+        Promise.resolve({
+          _id: eventId,
+          name: 'Bushfire',
+          ticketTypes: [{ ...type, available }],
+        }),
+    });
+
+  describe('offers', () => {
+    it('go to the front of the line in order', async () => {
+      entries = [entryFor(2, 30), entryFor(1, 20), entryFor(1, 10)];
+      eventWith(3);
+
+      await expect(waitlist.fillOffers(eventId)).resolves.toBe(2);
+
+      expect(entries.map((e) => e.status)).toEqual([
+        'OFFERED',
+        'OFFERED',
+        'WAITING',
+      ]);
+      expect(entries[0].offerExpiresAt).toBeInstanceOf(Date);
+      expect(inventory.reserve).toHaveBeenCalledTimes(2);
+      expect(Notification.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user: entries[0].user,
+          type: 'WAITLIST_OFFER',
+        })
+      );
+    });
+
+    it('never let smaller requests skip the front of the line', async () => {
+      entries = [entryFor(4, 30), entryFor(2, 20)];
+      eventWith(2);
+
+      await expect(waitlist.fillOffers(eventId)).resolves.toBe(0);
+
+      expect(entries.map((e) => e.status)).toEqual(['WAITING', 'WAITING']);
+      expect(inventory.reserve).not.toHaveBeenCalled();
+    });
+
+    it('lapse with their units returned, unless used for a checkout', async () => {
+      const past = new Date(Date.now() - 60 * 1000);
+      const lapsed = entryFor(2, 60, {
+        status: 'OFFERED',
+        offerExpiresAt: past,
+      });
+      const inCheckout = entryFor(1, 50, {
+        status: 'OFFERED',
+        offerExpiresAt: past,
+        order: new mongoose.Types.ObjectId(),
+      });
+      entries = [lapsed, inCheckout];
+
+      await expect(waitlist.expireOffers()).resolves.toEqual([
+        eventId.toString(),
+      ]);
+
+      expect(lapsed.status).toBe('EXPIRED');
+      expect(inCheckout.status).toBe('OFFERED');
+      expect(inventory.releaseUnits).toHaveBeenCalledTimes(1);
+      expect(inventory.releaseUnits).toHaveBeenCalledWith(
+        eventId,
+        type._id,
+        2,
+        expect.anything()
+      );
+    });
+  });
+
+  describe('claimed offers', () => {
+    const orderId = new mongoose.Types.ObjectId();
+    const later = () => new Date(Date.now() + 10 * 60 * 1000);
+
+    it('are tied to the order until it is paid', async () => {
+      const entry = entryFor(2, 30, {
+        status: 'OFFERED',
+        offerExpiresAt: later(),
+      });
+      const findOneAndUpdate = jest
+        .spyOn(WaitlistEntry, 'findOneAndUpdate')
+        .mockResolvedValueOnce(entry)
+        .mockResolvedValueOnce(null);
+
+      await expect(
+        waitlist.claimOffer(entry._id, entry.user, eventId, orderId, null)
+      ).resolves.toBe(entry);
+      const [filter, update] = findOneAndUpdate.mock.calls[0];
+      expect(filter).toMatchObject({
+        _id: entry._id,
+        user: entry.user,
+        status: 'OFFERED',
+        order: null,
+        offerExpiresAt: { $gt: expect.any(Date) },
+      });
+      expect(update).toEqual({ $set: { order: orderId } });
+
+      await expect(
+        waitlist.claimOffer(entry._id, entry.user, eventId, orderId, null)
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        details: expect.objectContaining({ code: 'OFFER_UNAVAILABLE' }),
+      });
+
+      const updateMany = jest
+        .spyOn(WaitlistEntry, 'updateMany')
+        .mockResolvedValue({ modifiedCount: 1 });
+      await waitlist.completeOffers(orderId, null);
+      expect(updateMany).toHaveBeenCalledWith(
+        { order: orderId, status: 'OFFERED' },
+        { $set: { status: 'PURCHASED' } },
+        { session: null }
+      );
+    });
+
+    it('open again with their units when the order is released', async () => {
+      const open = entryFor(2, 30, {
+        status: 'OFFERED',
+        offerExpiresAt: later(),
+        order: orderId,
+      });
+      entries = [open];
+
+      await waitlist.releaseOffers([{ _id: orderId }], null);
+
+      expect(open.status).toBe('OFFERED');
+      expect(open.order).toBeUndefined();
+      expect(inventory.reserve).toHaveBeenCalledWith(
+        eventId,
+        { _id: type._id, name: type.name },
+        2,
+        null
+      );
+    });
+
+    it('expire when the order is released after the offer lapsed', async () => {
+      const lapsed = entryFor(2, 30, {
+        status: 'OFFERED',
+        offerExpiresAt: new Date(Date.now() - 1000),
+        order: orderId,
+      });
+      entries = [lapsed];
+
+      await waitlist.releaseOffers([{ _id: orderId }], null);
+
+      expect(lapsed.status).toBe('EXPIRED');
+      expect(inventory.reserve).not.toHaveBeenCalled();
+    });
+
+    it('cannot be left while their checkout is open', async () => {
+      const entry = entryFor(2, 30, { status: 'OFFERED', order: orderId });
+
+      await expect(waitlist.leave(entry)).rejects.toMatchObject({
+        statusCode: 409,
+        details: expect.objectContaining({ code: 'OFFER_IN_CHECKOUT' }),
+      });
+    });
+  });
+
+  describe('ordinary purchases', () => {
+    it('are refused while the free units would cover the front of the line', async () => {
+      entries = [entryFor(2, 30), entryFor(1, 20)];
+
+      await expect(
+        waitlist.assertNoQueue(eventId, { ...type, available: 2 })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        details: expect.objectContaining({ code: 'SOLD_OUT', waitlist: 2 }),
+      });
+    });
+
+    it('go ahead when the front of the line needs more than is free', async () => {
+      entries = [entryFor(4, 30), entryFor(1, 20)];
+
+      await expect(
+        waitlist.assertNoQueue(eventId, { ...type, available: 2 })
+      ).resolves.toBeUndefined();
+    });
+  });
+});
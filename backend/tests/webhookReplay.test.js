@@ -0,0 +1,52 @@
+const providers = require('../providers');
+const paymentWebhooks = require('../controllers/paymentWebhooks');
+
+describe('Webhook delivery replay', () => {
+  const settled = { transactionId: 'txn_1', orderNumber: 'ESW-1' };
+  const deliveryWith = (status) => ({
+    provider: 'test',
+    status,
+    attempts: 1,
+    headers: {},
+    rawBody: JSON.stringify({ eventId: 'evt_1' }),
+    save: jest.fn().mockResolvedValue(),
+  });
+
+  beforeEach(() => {
+    jest.spyOn(providers, 'getProvider').mockReturnValue({
+      name: 'test',
+      parseWebhook: ({ body }) => body,
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('refuses to process a delivery twice and leaves it PROCESSED', async () => {
+    const settle = jest.spyOn(paymentWebhooks, 'processPaymentEvent');
+    const delivery = deliveryWith('PROCESSED');
+
+    await expect(
+      paymentWebhooks.processDelivery(delivery)
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      details: expect.objectContaining({ code: 'DELIVERY_ALREADY_PROCESSED' }),
+    });
+    expect(settle).not.toHaveBeenCalled();
+    expect(delivery.status).toBe('PROCESSED');
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.save).not.toHaveBeenCalled();
+  });
+
+  it('settles a failed delivery on replay', async () => {
+    jest
+      .spyOn(paymentWebhooks, 'processPaymentEvent')
+      .mockResolvedValue(settled);
+    const delivery = deliveryWith('FAILED');
+
+    await expect(paymentWebhooks.processDelivery(delivery)).resolves.toBe(
+      settled
+    );
+    expect(delivery.status).toBe('PROCESSED');
+    expect(delivery.attempts).toBe(2);
+  });
+});
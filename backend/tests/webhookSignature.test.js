@@ -0,0 +1,42 @@
+const webhookSignature = require('../utils/webhookSignature');
+
+describe('Webhook signatures', () => {
+  const secret = 'whsec_test';
+  const rawBody = '{"transactionId":"txn_1","amount":400}';
+
+  it('accepts a fresh signature over the exact raw body', () => {
+    const header = webhookSignature.sign(rawBody, secret);
+    expect(webhookSignature.verify(rawBody, header, secret).valid).toBe(true);
+  });
+
+  it('rejects a body re-serialized differently from what was signed', () => {
+    const header = webhookSignature.sign(rawBody, secret);
+    const reformatted = JSON.stringify(JSON.parse(rawBody), null, 2);
+    expect(webhookSignature.verify(reformatted, header, secret).reason).toBe(
+      'SIGNATURE_MISMATCH'
+    );
+  });
+
+  it('rejects old timestamps', () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 600;
+    const header = webhookSignature.sign(rawBody, secret, timestamp);
+    expect(
+      webhookSignature.verify(rawBody, header, secret, {
+        toleranceSeconds: 300,
+      }).reason
+    ).toBe('TIMESTAMP_OUT_OF_TOLERANCE');
+  });
+
+  it('rejects missing and malformed headers', () => {
+    expect(webhookSignature.verify(rawBody, undefined, secret).reason).toBe(
+      'MISSING_SIGNATURE'
+    );
+    expect(webhookSignature.verify(rawBody, 'abc123', secret).reason).toBe(
+      'MALFORMED_SIGNATURE'
+    );
+    const now = Math.floor(Date.now() / 1000);
+    expect(
+      webhookSignature.verify(rawBody, `t=${now},v1=zz`, secret).reason
+    ).toBe('SIGNATURE_MISMATCH');
+  });
+});
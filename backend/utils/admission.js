@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const Ticket = require('../models/Ticket');
+const { AppError } = require('../middleware/errorHandler');
+const qrToken = require('./qrToken');
+
+// Event days are counted in the venue's timezone
+const EVENT_TIMEZONE = process.env.EVENT_TIMEZONE || 'Africa/Mbabane';
+
+const dayFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: EVENT_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+});
+
+// Entry refused: the response carries `reason` so gate staff know why
+const refuse = (message, reason, details = {}) =>
+  new AppError(message, 400, { code: reason, reason, ...details });
+
+// Checks shared by live validation and offline scan sync
+module.exports = {
+  // YYYY-MM-DD of a moment in the event timezone
+  eventDay(date) {
+    return dayFormat.format(new Date(date));
+  },
+
+  // The event.ticketTypes entry a ticket was sold from
+  ticketTypeFor(ticket, event) {
+    const types = event.ticketTypes || [];
+    return (
+      types.find(
+        (t) =>
+          ticket.ticketType && t._id.toString() === ticket.ticketType.toString()
+      ) || types.find((t) => t.name === ticket.tier)
+    );
+  },
+
+  // Manifest entries identify tickets by a hash of their QR payload, so a
+  // leaked manifest can't be turned back into admissible codes
+  ticketHash(qrPayload) {
+    return crypto.createHash('sha256').update(qrPayload).digest('hex');
+  },
+
+  // Staff scan only at events they are assigned to; super admins anywhere.
+  // Returns the staff member's assignment (null for super admins).
+  assertAssigned(event, user) {
+    if (user.role === 'super_admin') return null;
+
+    const assignment = (event.staffAssignments || []).find(
+      (a) => a.user.toString() === user.id.toString()
+    );
+    if (!assignment) {
+      throw new AppError('You are not assigned to this event', 403, {
+        code: 'NOT_ASSIGNED',
+        eventId: event._id,
+        solution: 'Ask the organizer to assign you to the event',
+      });
+    }
+    return assignment;
+  },
+
+  // Check a scan is allowed for this staff member at this time and work out
+  // the gate it was made at. Without a gateId the gate is inferred when
+  // there is only one it could be. Resolves to null for events without
+  // gates.
+  resolveGate(event, user, { gateId, now = new Date() } = {}) {
+    const assignment = module.exports.assertAssigned(event, user);
+
+    if (
+      assignment &&
+      ((assignment.shiftStart && now < assignment.shiftStart) ||
+        (assignment.shiftEnd && now > assignment.shiftEnd))
+    ) {
+      throw new AppError('Scan is outside your assigned shift', 403, {
+        code: 'OUTSIDE_SHIFT',
+        shiftStart: assignment.shiftStart,
+        shiftEnd: assignment.shiftEnd,
+      });
+    }
+
+    const gates = (event.gates || []).filter((g) => g.isActive !== false);
+    const allowed =
+      assignment && assignment.gates && assignment.gates.length
+        ? assignment.gates.map((id) => id.toString())
+        : null;
+
+    if (!gateId) {
+      if (!gates.length) return null;
+      const candidates = allowed
+        ? gates.filter((g) => allowed.includes(g._id.toString()))
+        : gates;
+      if (candidates.length !== 1) {
+        throw new AppError('Select the gate you are scanning at', 400, {
+          code: 'GATE_REQUIRED',
+          gates: candidates.map((g) => ({ id: g._id, name: g.name })),
+        });
+      }
+      return candidates[0];
+    }
+
+    const gate = gates.find((g) => g._id.toString() === gateId.toString());
+    if (!gate) {
+      throw new AppError('Gate not found for this event', 400, {
+        code: 'UNKNOWN_GATE',
+        gateId,
+      });
+    }
+    if (allowed && !allowed.includes(gate._id.toString())) {
+      throw new AppError('You are not assigned to this gate', 403, {
+        code: 'NOT_ASSIGNED_TO_GATE',
+        gate: gate.name,
+      });
+    }
+    return gate;
+  },
+
+  // Resolve scanned QR text to its ticket (event and owner populated).
+  // Signed codes must verify and match the ticket's current QR version.
+  async findTicketByQr(qrData, session = null) {
+    const qr = qrToken.extract(qrData);
+    if (!qr) {
+      throw new AppError('Invalid QR code format', 400, {
+        code: 'INVALID_FORMAT',
+        solution: 'Scan a valid Eswatini Ticket QR code',
+      });
+    }
+
+    let ticketQuery;
+    let signed;
+    if (qr.type === 'signed') {
+      const result = qrToken.verify(qr.value);
+      if (!result.valid) {
+        throw new AppError('QR code signature is invalid', 400, {
+          code: result.reason,
+          solution: 'This code was not issued by Eswatini Tickets',
+        });
+      }
+      signed = result.payload;
+      ticketQuery = { _id: signed.ticketId };
+    } else {
+      if (!qrToken.legacyAccepted()) {
+        throw new AppError('Legacy QR codes are no longer accepted', 400, {
+          code: 'LEGACY_QR_EXPIRED',
+          solution: 'Ask the attendee to open the ticket for a new code',
+        });
+      }
+      ticketQuery = { qrData: qr.value };
+    }
+
+    const ticket = await Ticket.findOne(ticketQuery)
+      .populate(
+        'event',
+        'name date endDate location isCancelled staffAssignments gates ticketTypes'
+      )
+      .populate('owner', 'email')
+      .session(session);
+
+    if (!ticket) {
+      throw new AppError('Ticket not found', 404, {
+        code: 'TICKET_NOT_FOUND',
+        qrPayload: qr.value.substring(0, 50),
+        solution: 'Verify the ticket or contact support',
+      });
+    }
+
+    // A signed code for an older version was replaced, e.g. on transfer
+    if (
+      signed &&
+      (signed.eventId !== ticket.event._id.toString() ||
+        signed.version !== (ticket.qrVersion || 1))
+    ) {
+      throw new AppError('QR code has been superseded', 400, {
+        ticketId: ticket._id,
+        code: 'QR_SUPERSEDED',
+        solution: 'Ask the attendee to open the ticket for its current code',
+      });
+    }
+
+    return { ticket, qrPayload: qr.value };
+  },
+
+  // Throw unless the ticket's state allows admission at all
+  assertAdmissible(ticket) {
+    if (ticket.event.isCancelled) {
+      throw refuse('Event has been cancelled', 'EVENT_CANCELLED', {
+        ticketId: ticket._id,
+      });
+    }
+
+    if (ticket.status === 'PENDING') {
+      throw refuse('Ticket payment not confirmed', 'PAYMENT_PENDING', {
+        ticketId: ticket._id,
+        holdExpiresAt: ticket.holdExpiresAt,
+        solution: 'Ask the attendee to complete payment',
+      });
+    }
+
+    if (ticket.pendingTransfer) {
+      throw refuse('Ticket is being transferred', 'TRANSFER_PENDING', {
+        ticketId: ticket._id,
+        solution:
+          'The holder must cancel the transfer, or the recipient accept it',
+      });
+    }
+
+    if (ticket.resaleListing) {
+      throw refuse('Ticket is listed for resale', 'LISTED_FOR_RESALE', {
+        ticketId: ticket._id,
+        solution: 'The holder must remove the resale listing',
+      });
+    }
+
+    if (['REFUNDED', 'RELEASED', 'REVOKED'].includes(ticket.status)) {
+      throw refuse(
+        `Ticket is ${ticket.status.toLowerCase()}`,
+        `TICKET_${ticket.status}`,
+        { ticketId: ticket._id, status: ticket.status }
+      );
+    }
+  },
+
+  // Apply a scan to the ticket according to its ticket type's admission
+  // mode and record it in validationHistory (the caller saves). Re-entry
+  // scans without a direction toggle the holder's inside/outside state.
+  // Returns the history entry; refusals throw with a reason code.
+  admit(
+    ticket,
+    {
+      direction,
+      now = new Date(),
+      validatedBy,
+      gate,
+      location,
+      source,
+      deviceId,
+    }
+  ) {
+    const event = ticket.event;
+    const type = module.exports.ticketTypeFor(ticket, event);
+    const mode = (type && type.admissionMode) || 'SINGLE';
+
+    if (
+      gate &&
+      gate.ticketTypes &&
+      gate.ticketTypes.length &&
+      !(
+        type &&
+        gate.ticketTypes.some((id) => id.toString() === type._id.toString())
+      )
+    ) {
+      throw refuse(
+        `${ticket.tier} tickets are not admitted at this gate`,
+        'WRONG_GATE',
+        {
+          ticketId: ticket._id,
+          gate: gate.name,
+        }
+      );
+    }
+
+    const day = module.exports.eventDay(now);
+    const lastEntry =
+      ticket.validationHistory[ticket.validationHistory.length - 1];
+
+    if (mode === 'REENTRY') {
+      const inside = ticket.admissionState === 'INSIDE';
+      direction = direction || (inside ? 'OUT' : 'IN');
+      if (direction === 'IN' && inside) {
+        throw refuse('Holder is already inside', 'ALREADY_INSIDE', {
+          ticketId: ticket._id,
+          since: lastEntry && lastEntry.timestamp,
+          solution: 'Scan out at the exit before scanning back in',
+        });
+      }
+      if (direction === 'OUT' && !inside) {
+        throw refuse('Holder is not inside', 'NOT_INSIDE', {
+          ticketId: ticket._id,
+        });
+      }
+      ticket.admissionState = direction === 'IN' ? 'INSIDE' : 'OUTSIDE';
+    } else {
+      if (direction === 'OUT') {
+        throw refuse(
+          'This ticket type does not use scan-out',
+          'SCAN_OUT_NOT_ALLOWED',
+          { ticketId: ticket._id, admissionMode: mode }
+        );
+      }
+      direction = 'IN';
+
+      if (mode === 'MULTI_DAY') {
+        const firstDay = module.exports.eventDay(event.date);
+        const lastDay = module.exports.eventDay(event.endDate || event.date);
+        if (day < firstDay || day > lastDay) {
+          throw refuse('Pass is not valid today', 'NOT_EVENT_DAY', {
+            ticketId: ticket._id,
+            day,
+            validFrom: firstDay,
+            validUntil: lastDay,
+          });
+        }
+        if ((ticket.daysAdmitted || []).includes(day)) {
+          throw refuse('Pass already used today', 'ALREADY_ADMITTED_TODAY', {
+            ticketId: ticket._id,
+            day,
+            firstUsed: lastEntry && lastEntry.timestamp,
+          });
+        }
+        ticket.daysAdmitted = [...(ticket.daysAdmitted || []), day];
+      } else if (ticket.isUsed) {
+        throw refuse('Ticket already used', 'ALREADY_USED', {
+          ticketId: ticket._id,
+          firstUsed: lastEntry ? lastEntry.timestamp : ticket.updatedAt,
+          solution: 'Check for duplicate scanning',
+        });
+      }
+    }
+
+    ticket.isUsed = true;
+    const entry = {
+      timestamp: now,
+      validatedBy,
+      gate: gate ? gate._id : undefined,
+      location: location || (gate ? gate.name : 'Unknown'),
+      direction,
+      day,
+      source: source || 'ONLINE',
+      deviceId,
+    };
+    ticket.validationHistory.push(entry);
+    return { ...entry, admissionMode: mode };
+  },
+};
@@ -0,0 +1,189 @@
+const ExcelJS = require('exceljs');
+const Ticket = require('../models/Ticket');
+
+// Tickets that are admissions unless the export asks for other statuses
+const DEFAULT_STATUSES = ['ACTIVE', 'TRANSFERRED', 'USED'];
+
+// Exportable columns, in their default order
+const COLUMNS = {
+  ticketId: { header: 'Ticket ID', value: (row) => `${row._id}` },
+  name: { header: 'Name', value: (row) => row.name },
+  email: { header: 'Email', value: (row) => row.email },
+  tier: { header: 'Ticket Type', value: (row) => row.tier },
+  price: { header: 'Price', value: (row) => row.price },
+  status: {
+    header: 'Status',
+    value: (row) => (row.isComp ? `${row.status} (COMP)` : row.status),
+  },
+  checkedInAt: {
+    header: 'Checked In At',
+    value: (row) => row.checkedInAt && new Date(row.checkedInAt).toISOString(),
+  },
+  gate: {
+    header: 'Gate',
+    value: (row, { gates }) => row.gate && gates.get(`${row.gate}`),
+  },
+  transferCount: {
+    header: 'Transfers',
+    value: (row) => row.transferCount,
+  },
+};
+
+const DEFAULT_COLUMNS = Object.keys(COLUMNS).filter((c) => c !== 'ticketId');
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = `${value}`;
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+module.exports = {
+  COLUMNS,
+  DEFAULT_COLUMNS,
+  DEFAULT_STATUSES,
+
+  csvLine(values) {
+    return `${values.map(csvField).join(',')}\r\n`;
+  },
+
+  // One export row as values in `columns` order
+  toRow(row, columns, context) {
+    return columns.map((key) => {
+      const value = COLUMNS[key].value(row, context);
+      return value === undefined ? null : value;
+    });
+  },
+
+  // Streams the event's tickets with their holder's name and email. The
+  // holder is the owner, or for comps held by the organizer, the guest.
+  cursor(eventId, { statuses = DEFAULT_STATUSES, ticketTypes } = {}) {
+    const match = { event: eventId, status: { $in: statuses } };
+    if (ticketTypes && ticketTypes.length) {
+      match.ticketType = { $in: ticketTypes };
+    }
+
+    return Ticket.aggregate([
+      { $match: match },
+      { $sort: { _id: 1 } },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'owner',
+          foreignField: '_id',
+          as: 'owner',
+        },
+      },
+      {
+        $set: {
+          owner: { $arrayElemAt: ['$owner', 0] },
+          // Earliest entry scan; offline scans may be synced out of order
+          firstIn: {
+            $reduce: {
+              input: {
+                $filter: {
+                  input: { $ifNull: ['$validationHistory', []] },
+                  cond: { $ne: ['$$this.direction', 'OUT'] },
+                },
+              },
+              initialValue: null,
+              in: {
+                $cond: [
+                  {
+                    $or: [
+                      { $eq: ['$$value', null] },
+                      { $lt: ['$$this.timestamp', '$$value.timestamp'] },
+                    ],
+                  },
+                  '$$this',
+                  '$$value',
+                ],
+              },
+            },
+          },
+        },
+      },
+      {
+        $project: {
+          tier: 1,
+          price: 1,
+          status: 1,
+          isComp: 1,
+          name: { $ifNull: ['$comp.recipientName', '$owner.name'] },
+          email: { $ifNull: ['$comp.recipientEmail', '$owner.email'] },
+          checkedInAt: '$firstIn.timestamp',
+          gate: '$firstIn.gate',
+          // The first history entry is the purchase itself
+          transferCount: {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$transferHistory', []] },
+                cond: { $ne: ['$$this.from', '$$this.to'] },
+              },
+            },
+          },
+        },
+      },
+    ])
+      .allowDiskUse(true)
+      .cursor({ batchSize: 500 });
+  },
+
+  // Write rows as CSV, waiting for the client whenever its buffer is full.
+  // Stops reading rows if the client goes away.
+  async writeCsv(stream, rows, columns, context) {
+    const write = async (line) => {
+      if (!stream.write(line)) {
+        await new Promise((resolve) => {
+          const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            resolve();
+          };
+          stream.on('drain', done);
+          stream.on('close', done);
+        });
+      }
+    };
+
+    // Excel needs the BOM to read UTF-8 names correctly
+    await write(
+      `\uFEFF${module.exports.csvLine(columns.map((c) => COLUMNS[c].header))}`
+    );
+    for await (const row of rows) {
+      if (stream.destroyed) return;
+      await write(
+        module.exports.csvLine(module.exports.toRow(row, columns, context))
+      );
+    }
+    stream.end();
+  },
+
+  // Write rows as XLSX through exceljs' streaming writer, which flushes
+  // each committed row instead of building the workbook in memory
+  async writeXlsx(stream, rows, columns, context) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet('Attendees');
+    sheet.columns = columns.map((key) => ({
+      header: COLUMNS[key].header,
+      key,
+      width: key === 'email' || key === 'name' ? 30 : 16,
+    }));
+
+    for await (const row of rows) {
+      if (stream.destroyed) return;
+      sheet.addRow(module.exports.toRow(row, columns, context)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+  },
+};
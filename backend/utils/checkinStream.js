@@ -0,0 +1,203 @@
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const CheckinEvent = require('../models/CheckinEvent');
+const logger = require('./logger');
+
+// Live check-ins are fanned out in-process to the event's SSE clients and
+// stored so a reconnecting client can replay what it missed
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channel = (eventId) => `event:${eventId}`;
+
+// Totals are recomputed this often, once per event however many
+// dashboards are watching it
+const STATS_INTERVAL_MS = 10000;
+const statsWatchers = new Map();
+
+// Stream tokens go in the URL (EventSource can't set headers), where they
+// end up in access logs and browser history. They are signed with their
+// own key so they never pass as a login token, name one event and expire
+// quickly; the client fetches a fresh one to reconnect.
+const STREAM_TOKEN_TTL_SECONDS = 60;
+const streamTokenSecret = () => `${process.env.JWT_SECRET}:checkin-stream`;
+
+module.exports = {
+  // Record a scan and push it to subscribers. Never throws: a broken
+  // dashboard must not fail a check-in.
+  async record(scan) {
+    try {
+      const entry = await CheckinEvent.create(scan);
+      emitter.emit(channel(scan.event), entry.toObject());
+      return entry;
+    } catch (err) {
+      logger.error('Failed to record check-in event', {
+        eventId: scan.event,
+        error: err.message,
+      });
+      return null;
+    }
+  },
+
+  // Returns a function that unsubscribes
+  subscribe(eventId, listener) {
+    emitter.on(channel(eventId), listener);
+    return () => emitter.off(channel(eventId), listener);
+  },
+
+  // Calls `listener` with refreshed totals every STATS_INTERVAL_MS. The
+  // aggregation runs once per event and is shared by all its listeners.
+  // Returns a function that unsubscribes.
+  watchStats(eventId, listener) {
+    const key = eventId.toString();
+    let watcher = statsWatchers.get(key);
+    if (!watcher) {
+      watcher = { listeners: new Set(), running: false };
+      watcher.timer = setInterval(async () => {
+        // A slow aggregation is never stacked with the next one
+        if (watcher.running) return;
+        watcher.running = true;
+        try {
+          const stats = await module.exports.stats(eventId);
+          watcher.listeners.forEach((notify) => notify(stats));
+        } catch (err) {
+          logger.error('Check-in stats refresh failed', {
+            eventId: key,
+            error: err.message,
+          });
+        } finally {
+          watcher.running = false;
+        }
+      }, STATS_INTERVAL_MS);
+      statsWatchers.set(key, watcher);
+    }
+
+    watcher.listeners.add(listener);
+    return () => {
+      watcher.listeners.delete(listener);
+      if (!watcher.listeners.size) {
+        clearInterval(watcher.timer);
+        statsWatchers.delete(key);
+      }
+    };
+  },
+
+  // Token for opening one event's stream as `user`
+  issueStreamToken(user, eventId, { isGodMode = false } = {}) {
+    return {
+      token: jwt.sign(
+        { sub: user.id.toString(), event: eventId.toString(), isGodMode },
+        streamTokenSecret(),
+        { expiresIn: STREAM_TOKEN_TTL_SECONDS }
+      ),
+      expiresIn: STREAM_TOKEN_TTL_SECONDS,
+    };
+  },
+
+  // Claims of a valid stream token for `eventId`, else null
+  verifyStreamToken(token, eventId) {
+    try {
+      const claims = jwt.verify(`${token}`, streamTokenSecret());
+      return claims.event === eventId.toString() ? claims : null;
+    } catch (err) {
+      return null;
+    }
+  },
+
+  // Scans recorded after `lastEventId`, oldest first
+  async replay(eventId, lastEventId, limit = 500) {
+    if (!mongoose.isValidObjectId(lastEventId)) return [];
+    return CheckinEvent.find({
+      event: eventId,
+      _id: { $gt: lastEventId },
+    })
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean();
+  },
+
+  // Running totals for the dashboard: check-ins per ticket type and gate,
+  // scans in the last minute and refusals by reason
+  async stats(eventId, now = new Date()) {
+    const event = new mongoose.Types.ObjectId(eventId.toString());
+    const minuteAgo = new Date(now.getTime() - 60 * 1000);
+
+    const [ticketTypes, [scans]] = await Promise.all([
+      Ticket.aggregate([
+        {
+          $match: {
+            event,
+            status: { $nin: ['PENDING', 'RELEASED', 'REFUNDED', 'REVOKED'] },
+          },
+        },
+        {
+          $group: {
+            _id: '$tier',
+            sold: { $sum: 1 },
+            checkedIn: { $sum: { $cond: ['$isUsed', 1, 0] } },
+            inside: {
+              $sum: { $cond: [{ $eq: ['$admissionState', 'INSIDE'] }, 1, 0] },
+            },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]),
+      CheckinEvent.aggregate([
+        { $match: { event } },
+        {
+          $facet: {
+            gates: [
+              { $match: { result: 'ACCEPTED' } },
+              {
+                $group: {
+                  _id: { gate: '$gate', name: '$gateName' },
+                  in: {
+                    $sum: { $cond: [{ $eq: ['$direction', 'OUT'] }, 0, 1] },
+                  },
+                  out: {
+                    $sum: { $cond: [{ $eq: ['$direction', 'OUT'] }, 1, 0] },
+                  },
+                },
+              },
+              { $sort: { '_id.name': 1 } },
+            ],
+            rejected: [
+              { $match: { result: 'REJECTED' } },
+              { $group: { _id: '$reason', count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+            ],
+            lastMinute: [
+              { $match: { at: { $gte: minuteAgo, $lte: now } } },
+              { $count: 'count' },
+            ],
+          },
+        },
+      ]),
+    ]);
+
+    return {
+      at: now,
+      ticketTypes: ticketTypes.map((t) => ({
+        name: t._id,
+        sold: t.sold,
+        checkedIn: t.checkedIn,
+        inside: t.inside,
+      })),
+      gates: scans.gates.map((g) => ({
+        gate: g._id.gate || null,
+        name: g._id.name || 'No gate',
+        in: g.in,
+        out: g.out,
+      })),
+      scansPerMinute: scans.lastMinute.length ? scans.lastMinute[0].count : 0,
+      rejected: {
+        total: scans.rejected.reduce((sum, r) => sum + r.count, 0),
+        byReason: Object.fromEntries(
+          scans.rejected.map((r) => [r._id || 'UNKNOWN', r.count])
+        ),
+      },
+    };
+  },
+};
@@ -0,0 +1,377 @@
+const QRCode = require('qrcode');
+const Ticket = require('../models/Ticket');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { AppError } = require('../middleware/errorHandler');
+const inventory = require('./inventory');
+const holds = require('./holds');
+const qrToken = require('./qrToken');
+const waitlist = require('./waitlist');
+const promos = require('./promos');
+const pricing = require('./pricing');
+const seating = require('./seating');
+
+// Booking fee added on top of the ticket subtotal, as a percentage
+const BOOKING_FEE_PERCENT =
+  parseFloat(process.env.BOOKING_FEE_PERCENT || '0') || 0;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Tickets start as a PENDING hold until the payment webhook confirms them.
+// Comps (`comp` set) are issued ACTIVE at no charge.
+async function createSingleTicket(
+  eventId,
+  userId,
+  ticketType,
+  { orderId, holdExpiresAt, promo, discount = 0, seat, comp },
+  session = null
+) {
+  const ticket = new Ticket({
+    event: eventId,
+    owner: userId,
+    order: orderId,
+    ticketType: ticketType._id,
+    tier: ticketType.name,
+    price: comp ? 0 : roundMoney(ticketType.price - discount),
+    discount: discount
+      ? { promoCode: promo._id, code: promo.code, amount: discount }
+      : undefined,
+    seat: seat && {
+      seatId: seat.seatId,
+      label: seat.label,
+      section: seat.section,
+      row: seat.row,
+      number: seat.number,
+    },
+    isComp: Boolean(comp),
+    comp,
+    status: comp ? 'ACTIVE' : 'PENDING',
+    paymentStatus: comp ? 'confirmed' : 'pending',
+    holdExpiresAt,
+    transferHistory: [
+      {
+        from: userId,
+        to: userId,
+        date: new Date(),
+      },
+    ],
+  });
+
+  // The signed payload names the ticket, so it is built once the id exists
+  ticket.qrData = qrToken.sign(ticket);
+  ticket.qrCode = await QRCode.toDataURL(ticket.qrData);
+
+  const options = session ? { session } : {};
+  await ticket.save(options);
+  return ticket.toObject();
+}
+
+module.exports = {
+  BOOKING_FEE_PERCENT,
+
+  calculateFees(subtotal) {
+    return roundMoney((subtotal * BOOKING_FEE_PERCENT) / 100);
+  },
+
+  // Reserve inventory for each item, issue held tickets and group them in
+  // a PENDING order awaiting payment (or a PAID one if its total is zero).
+  // With a waitlist `offerId`, the units the offer reserved are used for
+  // its ticket type instead. A `promoCode` is redeemed here and its
+  // discount taken off each covered ticket.
+  // Ticket types sold through the event's seat map need an item's `seats`,
+  // one per ticket, which are held with the tickets.
+  async placeOrder(
+    event,
+    buyerId,
+    items,
+    session,
+    { offerId, promoCode } = {}
+  ) {
+    if (event.isCancelled) {
+      throw new AppError('Event has been cancelled', 409, {
+        code: 'EVENT_CANCELLED',
+        eventId: event._id,
+      });
+    }
+
+    const resolved = items.map((item) =>
+      inventory.resolveTicketType(event, item)
+    );
+
+    const order = new Order({
+      orderNumber: Order.generateOrderNumber(),
+      buyer: buyerId,
+      event: event._id,
+      expiresAt: holds.holdExpiry(),
+    });
+
+    const offer = offerId
+      ? await waitlist.claimOffer(
+          offerId,
+          buyerId,
+          event._id,
+          order._id,
+          session
+        )
+      : null;
+
+    // Price each type at its current phase. Units a waitlist offer reserved
+    // count as sold already, so they are taken back out of the count.
+    const now = new Date();
+    const ticketTypes = resolved.map((type, index) => {
+      const reserved =
+        offer && offer.ticketType.equals(type._id) ? offer.quantity : 0;
+      const { price, phase } = pricing.priceFor(type, {
+        now,
+        soldCount: pricing.sold(type) - reserved,
+        quantity: items[index].quantity,
+      });
+      return { _id: type._id, name: type.name, price, phase };
+    });
+
+    const promo = promoCode
+      ? await promos.redeem(event._id, promoCode, buyerId, ticketTypes, session)
+      : null;
+
+    const seatMap = await seating.findMap(event._id, session);
+    const seatedTypes = new Set(
+      seatMap ? seatMap.zones.map((z) => z.ticketType.toString()) : []
+    );
+
+    let offerUsed = false;
+    const tickets = [];
+    const seatAssignments = [];
+    for (const [index, item] of items.entries()) {
+      const ticketType = ticketTypes[index];
+      if (offer && offer.ticketType.equals(ticketType._id)) {
+        offerUsed = true;
+        if (item.quantity !== offer.quantity) {
+          throw new AppError(
+            `Waitlist offer is for ${offer.quantity} ticket(s)`,
+            400,
+            { code: 'OFFER_QUANTITY_MISMATCH', quantity: offer.quantity }
+          );
+        }
+      } else {
+        await waitlist.assertNoQueue(event._id, resolved[index], session);
+        await inventory.reserve(event._id, ticketType, item.quantity, session);
+      }
+
+      let seats = [];
+      if (seatedTypes.has(ticketType._id.toString())) {
+        seats = seating.chooseSeats(
+          seatMap,
+          ticketType,
+          item.seats,
+          item.quantity
+        );
+      } else if (item.seats && item.seats.length) {
+        throw new AppError(
+          `${ticketType.name} tickets don't have assigned seats`,
+          400,
+          { code: 'SEATS_NOT_ASSIGNED', tier: ticketType.name }
+        );
+      }
+
+      const discount = promo ? promos.discountFor(promo, ticketType) : 0;
+      for (let i = 0; i < item.quantity; i++) {
+        const ticket = await createSingleTicket(
+          event._id,
+          buyerId,
+          ticketType,
+          {
+            orderId: order._id,
+            holdExpiresAt: order.expiresAt,
+            promo,
+            discount,
+            seat: seats[i],
+          },
+          session
+        );
+        tickets.push(ticket);
+        if (seats[i])
+          seatAssignments.push({ seat: seats[i], ticketId: ticket._id });
+      }
+
+      order.items.push({
+        ticketType: ticketType._id,
+        name: ticketType.name,
+        unitPrice: ticketType.price,
+        phase: ticketType.phase,
+        quantity: item.quantity,
+        discount,
+        lineTotal: roundMoney((ticketType.price - discount) * item.quantity),
+      });
+    }
+
+    if (offer && !offerUsed) {
+      throw new AppError('Waitlist offer is for another ticket type', 400, {
+        code: 'OFFER_TICKET_TYPE_MISMATCH',
+        ticketTypeId: offer.ticketType,
+      });
+    }
+
+    if (seatAssignments.length) {
+      await seating.hold(
+        event._id,
+        seatAssignments,
+        { orderId: order._id, expiresAt: order.expiresAt },
+        session
+      );
+    }
+
+    order.tickets = tickets.map((t) => t._id);
+    order.subtotal = roundMoney(
+      order.items.reduce((sum, line) => sum + line.lineTotal, 0)
+    );
+    if (promo) {
+      order.discount = {
+        promoCode: promo._id,
+        code: promo.code,
+        amount: roundMoney(
+          order.items.reduce(
+            (sum, line) => sum + line.discount * line.quantity,
+            0
+          )
+        ),
+      };
+    }
+    order.fees = module.exports.calculateFees(order.subtotal);
+    order.total = roundMoney(order.subtotal + order.fees);
+
+    // Nothing to collect (a full discount or a free ticket type): no
+    // provider will ever confirm the order, so it is settled here the way
+    // comps are
+    if (order.total === 0) {
+      await Ticket.updateMany(
+        { order: order._id, status: 'PENDING' },
+        {
+          $set: { status: 'ACTIVE', paymentStatus: 'confirmed' },
+          $unset: { holdExpiresAt: 1 },
+        },
+        { session }
+      );
+      await seating.confirm(order._id, session);
+      await waitlist.completeOffers(order._id, session);
+      tickets.forEach((ticket) => {
+        ticket.status = 'ACTIVE';
+        ticket.paymentStatus = 'confirmed';
+        delete ticket.holdExpiresAt;
+      });
+      order.paymentStatus = 'PAID';
+      order.paidAt = new Date();
+      order.expiresAt = undefined;
+    }
+    await order.save({ session });
+
+    return { order: order.toObject(), tickets };
+  },
+
+  // Issue `quantity` complimentary tickets of a ticket type to `ownerId`.
+  // They take units (and seats) like a sale but skip pricing, sale windows
+  // and the waitlist. `comp` is recorded on each ticket.
+  async issueComps(event, item, ownerId, comp, session) {
+    if (event.isCancelled) {
+      throw new AppError('Event has been cancelled', 409, {
+        code: 'EVENT_CANCELLED',
+        eventId: event._id,
+      });
+    }
+
+    const ticketType = inventory.resolveTicketType(event, item);
+    const seatMap = await seating.findMap(event._id, session);
+    const seated =
+      seatMap &&
+      seatMap.zones.some((zone) => zone.ticketType.equals(ticketType._id));
+    const seats = seated
+      ? seating.chooseSeats(seatMap, ticketType, item.seats, item.quantity)
+      : [];
+    if (!seated && item.seats && item.seats.length) {
+      throw new AppError(
+        `${ticketType.name} tickets don't have assigned seats`,
+        400,
+        { code: 'SEATS_NOT_ASSIGNED', tier: ticketType.name }
+      );
+    }
+
+    await inventory.reserve(event._id, ticketType, item.quantity, session);
+
+    const tickets = [];
+    for (let i = 0; i < item.quantity; i++) {
+      tickets.push(
+        await createSingleTicket(
+          event._id,
+          ownerId,
+          ticketType,
+          { seat: seats[i], comp },
+          session
+        )
+      );
+    }
+
+    if (seats.length) {
+      await seating.hold(
+        event._id,
+        seats.map((seat, i) => ({ seat, ticketId: tickets[i]._id })),
+        { status: 'SOLD' },
+        session
+      );
+    }
+    return tickets;
+  },
+
+  // Ask the payment provider to start collecting the order's total and
+  // open its PENDING ledger entry. If the provider refuses, the order's
+  // holds are released straight away rather than left to expire.
+  async initiatePayment(provider, order, customer, options = {}) {
+    let charge;
+    try {
+      charge = await provider.initiatePayment({ order, customer, options });
+    } catch (err) {
+      await holds.releaseOrder(order._id, 'PAYMENT_FAILED');
+      throw new AppError('Payment could not be initiated', 502, {
+        provider: provider.name,
+        orderNumber: order.orderNumber,
+        reason: err.message,
+        solution: 'Try again or choose another payment method',
+      });
+    }
+
+    // Upsert: a fast provider may have called the webhook already
+    await Payment.updateOne(
+      { transactionId: charge.transactionId },
+      {
+        $setOnInsert: {
+          transactionId: charge.transactionId,
+          provider: provider.name,
+          order: order._id,
+          tickets: order.tickets,
+          amount: order.total,
+          currency: order.currency,
+          paymentMethod: options.paymentMethod,
+          customer,
+          status: 'PENDING',
+          statusHistory: [
+            {
+              status: 'PENDING',
+              at: new Date(),
+              note: `Initiated for order ${order.orderNumber}`,
+            },
+          ],
+        },
+      },
+      { upsert: true }
+    );
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          paymentProvider: provider.name,
+          transactionId: charge.transactionId,
+        },
+      }
+    );
+
+    return { provider: provider.name, ...charge };
+  },
+};
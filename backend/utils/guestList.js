@@ -0,0 +1,63 @@
+const GuestListEntry = require('../models/GuestListEntry');
+const { AppError } = require('../middleware/errorHandler');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  // People an entry may still bring in, the guest included
+  remaining(entry) {
+    return Math.max(entry.plusOnes + 1 - entry.admitted, 0);
+  },
+
+  // Query for active entries whose name or email contains `text`
+  searchFilter(eventId, text) {
+    const pattern = new RegExp(escapeRegex(`${text}`.trim()), 'i');
+    return {
+      event: eventId,
+      status: 'ACTIVE',
+      $or: [{ name: pattern }, { email: pattern }],
+    };
+  },
+
+  // Admit `count` people on the entry. The allowance check is part of the
+  // update, so two gates can't both let in the last companion.
+  async checkIn(entry, { count, checkedInBy, gate, now = new Date() }) {
+    if (entry.status !== 'ACTIVE') {
+      throw new AppError('Guest is no longer on the list', 400, {
+        code: 'GUEST_REMOVED',
+        reason: 'GUEST_REMOVED',
+      });
+    }
+
+    const updated = await GuestListEntry.findOneAndUpdate(
+      {
+        _id: entry._id,
+        status: 'ACTIVE',
+        $expr: {
+          $lte: [{ $add: ['$admitted', count] }, { $add: ['$plusOnes', 1] }],
+        },
+      },
+      {
+        $inc: { admitted: count },
+        $push: { checkIns: { count, at: now, checkedInBy, gate } },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      const current = await GuestListEntry.findById(entry._id);
+      const left = current ? module.exports.remaining(current) : 0;
+      throw new AppError(
+        left
+          ? `Only ${left} more can be admitted on this entry`
+          : 'Guest and companions are already admitted',
+        400,
+        {
+          code: 'GUEST_ALLOWANCE_EXCEEDED',
+          reason: 'GUEST_ALLOWANCE_EXCEEDED',
+          remaining: left,
+        }
+      );
+    }
+    return updated;
+  },
+};
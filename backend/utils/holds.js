@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Order = require('../models/Order');
+const ResaleListing = require('../models/ResaleListing');
+const promos = require('./promos');
+const inventory = require('./inventory');
+const waitlist = require('./waitlist');
+
+// How long a checkout keeps its tickets reserved while awaiting payment
+const HOLD_TTL_MINUTES =
+  parseInt(process.env.TICKET_HOLD_TTL_MINUTES, 10) || 15;
+
+// Expired orders released per transaction by the sweeper
+const SWEEP_BATCH_SIZE = 100;
+
+module.exports = {
+  HOLD_TTL_MINUTES,
+
+  holdExpiry(from = new Date()) {
+    return new Date(from.getTime() + HOLD_TTL_MINUTES * 60 * 1000);
+  },
+
+  // Release the PENDING tickets matching `filter` and give their units back
+  // to the event. Only tickets still PENDING are touched, so a hold that
+  // was confirmed by the payment webhook in the meantime is left alone.
+  async releaseHolds(filter, reason, session) {
+    const tickets = await Ticket.find({ ...filter, status: 'PENDING' })
+      .select('event ticketType tier')
+      .session(session);
+    if (!tickets.length) return 0;
+
+    const result = await Ticket.updateMany(
+      { _id: { $in: tickets.map((t) => t._id) }, status: 'PENDING' },
+      {
+        $set: { status: 'RELEASED', holdReleaseReason: reason },
+        $unset: { holdExpiresAt: 1 },
+      },
+      { session }
+    );
+    if (result.modifiedCount !== tickets.length) {
+      throw new Error('Holds changed while being released');
+    }
+
+    await inventory.releaseTickets(tickets, session);
+    return tickets.length;
+  },
+
+  // Put resale listings reserved by unpaid checkouts back on sale
+  async releaseResaleReservations(filter, session) {
+    const result = await ResaleListing.updateMany(
+      { ...filter, status: 'RESERVED' },
+      { $set: { status: 'ACTIVE' }, $unset: { order: 1, reservedBy: 1 } },
+      { session }
+    );
+    return result.modifiedCount;
+  },
+
+  // Undo what unpaid PENDING orders matching `filter` took besides ticket
+  // holds: resale reservations, promo code redemptions and waitlist offers.
+  // Call after releasing the holds and before the orders leave PENDING.
+  async releaseOrderClaims(filter, session) {
+    const orders = await Order.find({ ...filter, paymentStatus: 'PENDING' })
+      .select('_id kind discount')
+      .session(session);
+    if (!orders.length) return;
+
+    const resales = orders.filter((o) => o.kind === 'RESALE');
+    if (resales.length) {
+      await module.exports.releaseResaleReservations(
+        { order: { $in: resales.map((o) => o._id) } },
+        session
+      );
+    }
+    await promos.releaseRedemptions(orders, session);
+    await waitlist.releaseOffers(orders, session);
+  },
+
+  // Release all of an unpaid order's holds at once and mark it FAILED
+  async releaseOrder(orderId, reason = 'PAYMENT_FAILED') {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await module.exports.releaseHolds({ order: orderId }, reason, session);
+        await module.exports.releaseOrderClaims({ _id: orderId }, session);
+        await Order.updateOne(
+          { _id: orderId, paymentStatus: 'PENDING' },
+          { $set: { paymentStatus: 'FAILED' } },
+          { session }
+        );
+      });
+    } finally {
+      session.endSession();
+    }
+  },
+
+  // Release every hold whose TTL has passed and expire its order. Orders
+  // go in batches of `batchSize`, each in its own transaction, so a backlog
+  // of expired checkouts never becomes one huge transaction.
+  async releaseExpiredHolds(
+    now = new Date(),
+    { batchSize = SWEEP_BATCH_SIZE } = {}
+  ) {
+    const releaseBatch = async (work) => {
+      const session = await mongoose.startSession();
+      try {
+        let count = 0;
+        await session.withTransaction(async () => {
+          count = await work(session);
+        });
+        return count;
+      } finally {
+        session.endSession();
+      }
+    };
+
+    let released = 0;
+    for (;;) {
+      const orders = await Order.find({
+        paymentStatus: 'PENDING',
+        expiresAt: { $lte: now },
+      })
+        .select('_id')
+        .limit(batchSize)
+        .lean();
+      if (!orders.length) break;
+
+      const ids = orders.map((o) => o._id);
+      released += await releaseBatch(async (session) => {
+        const count = await module.exports.releaseHolds(
+          { order: { $in: ids } },
+          'EXPIRED',
+          session
+        );
+        await module.exports.releaseOrderClaims({ _id: { $in: ids } }, session);
+        await Order.updateMany(
+          { _id: { $in: ids }, paymentStatus: 'PENDING' },
+          { $set: { paymentStatus: 'EXPIRED' } },
+          { session }
+        );
+        return count;
+      });
+    }
+
+    // Holds left without an expired order, e.g. from before orders existed
+    for (;;) {
+      const tickets = await Ticket.find({
+        status: 'PENDING',
+        holdExpiresAt: { $lte: now },
+      })
+        .select('_id')
+        .limit(batchSize)
+        .lean();
+      if (!tickets.length) break;
+
+      released += await releaseBatch((session) =>
+        module.exports.releaseHolds(
+          { _id: { $in: tickets.map((t) => t._id) } },
+          'EXPIRED',
+          session
+        )
+      );
+    }
+    return released;
+  },
+};
@@ -0,0 +1,153 @@
+const Event = require('../models/Event');
+const { AppError } = require('../middleware/errorHandler');
+const seating = require('./seating');
+
+module.exports = {
+  // Find the ticket type a purchase refers to, by subdocument id or name
+  resolveTicketType(event, { ticketTypeId, tier }) {
+    const type = event.ticketTypes.find((t) =>
+      ticketTypeId
+        ? t._id.toString() === ticketTypeId.toString()
+        : t.name.toLowerCase() === `${tier}`.trim().toLowerCase()
+    );
+
+    if (!type) {
+      throw new AppError('Ticket type not offered for this event', 400, {
+        code: 'UNKNOWN_TICKET_TYPE',
+        requested: ticketTypeId || tier,
+        offered: event.ticketTypes.map((t) => ({ id: t._id, name: t.name })),
+      });
+    }
+    return type;
+  },
+
+  // Atomically take `quantity` units of a ticket type off the event.
+  // The conditional $inc only matches while enough units are left, so two
+  // concurrent checkouts can never both take the last ticket.
+  async reserve(eventId, ticketType, quantity, session = null) {
+    const result = await Event.updateOne(
+      {
+        _id: eventId,
+        ticketTypes: {
+          $elemMatch: { _id: ticketType._id, available: { $gte: quantity } },
+        },
+      },
+      { $inc: { 'ticketTypes.$.available': -quantity } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      const event = await Event.findById(eventId)
+        .select('ticketTypes')
+        .session(session)
+        .lean();
+      const ticketTypes = event ? event.ticketTypes : [];
+      const type = ticketTypes.find(
+        (t) => t._id.toString() === ticketType._id.toString()
+      );
+
+      throw new AppError(`${ticketType.name} tickets are sold out`, 409, {
+        code: 'SOLD_OUT',
+        tier: ticketType.name,
+        ticketTypeId: ticketType._id,
+        requested: quantity,
+        remaining: type ? type.available || 0 : 0,
+        availability: ticketTypes.map((t) => ({
+          ticketTypeId: t._id,
+          tier: t.name,
+          available: t.available || 0,
+        })),
+        solution: 'Reduce the quantity or choose another ticket type',
+      });
+    }
+  },
+
+  // Return the units held by `tickets` to their ticket types (refunds,
+  // released holds) and free their seats. Tickets issued before ticket
+  // type ids were stored on them are matched by tier name.
+  async releaseTickets(tickets, session = null) {
+    const groups = new Map();
+    tickets.forEach((ticket) => {
+      const eventId = ticket.event._id || ticket.event;
+      const key = `${eventId}:${ticket.ticketType || ticket.tier}`;
+      const group = groups.get(key) || { eventId, ticket, quantity: 0 };
+      group.quantity += 1;
+      groups.set(key, group);
+    });
+
+    for (const { eventId, ticket, quantity } of groups.values()) {
+      const match = ticket.ticketType
+        ? { 'ticketTypes._id': ticket.ticketType }
+        : { 'ticketTypes.name': ticket.tier };
+      await Event.updateOne(
+        { _id: eventId, ...match },
+        { $inc: { 'ticketTypes.$.available': quantity } },
+        { session }
+      );
+    }
+
+    await seating.release(
+      tickets.map((t) => t._id),
+      session
+    );
+  },
+
+  // Return `quantity` units of a ticket type that weren't tied to tickets,
+  // e.g. a lapsed waitlist offer
+  async releaseUnits(eventId, ticketTypeId, quantity, session = null) {
+    await Event.updateOne(
+      { _id: eventId, 'ticketTypes._id': ticketTypeId },
+      { $inc: { 'ticketTypes.$.available': quantity } },
+      { session }
+    );
+  },
+
+  // Merge an edited ticketTypes list into the current one, carrying the
+  // number of units already sold over to the new capacity. Incoming types
+  // are matched to existing ones by _id, falling back to name.
+  mergeTicketTypes(current, incoming) {
+    const findExisting = (type) =>
+      current.find((t) =>
+        type._id
+          ? t._id.toString() === type._id.toString()
+          : t.name === type.name
+      );
+
+    const kept = incoming.map(findExisting).filter(Boolean);
+    const removed = current.filter(
+      (type) => type.capacity - type.available > 0 && !kept.includes(type)
+    );
+    if (removed.length) {
+      throw new AppError('Cannot remove ticket types with sold tickets', 400, {
+        ticketTypes: removed.map((t) => t.name),
+      });
+    }
+
+    return incoming.map((type) => {
+      const existing = findExisting(type);
+      if (!existing) {
+        if (type._id) {
+          throw new AppError('Ticket type not found on this event', 400, {
+            ticketTypeId: type._id,
+          });
+        }
+        return { ...type, available: type.capacity };
+      }
+
+      const sold = existing.capacity - existing.available;
+      if (type.capacity < sold) {
+        throw new AppError(
+          `Capacity for ${type.name} cannot be lower than the ${sold} tickets already sold`,
+          400,
+          { tier: type.name, sold, requestedCapacity: type.capacity }
+        );
+      }
+
+      return {
+        ...type,
+        _id: existing._id,
+        available: type.capacity - sold,
+      };
+    });
+  },
+};
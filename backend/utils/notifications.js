@@ -0,0 +1,88 @@
+const Notification = require('../models/Notification');
+const logger = require('./logger');
+
+module.exports = {
+  // Drop a message in the user's inbox. Failing to notify never fails the
+  // operation that triggered it, so errors are logged and swallowed.
+  async notify(userId, { type, title, message, data }) {
+    try {
+      const notification = await Notification.create({
+        user: userId,
+        type,
+        title,
+        message,
+        data,
+      });
+      logger.info('Notification sent', { userId, type });
+      return notification;
+    } catch (err) {
+      logger.error('Notification failed', {
+        userId,
+        type,
+        error: err.message,
+      });
+      return null;
+    }
+  },
+
+  // Same message to many users, e.g. every holder of an event's tickets
+  async notifyMany(userIds, { type, title, message, data }) {
+    try {
+      const result = await Notification.insertMany(
+        userIds.map((user) => ({ user, type, title, message, data })),
+        { ordered: false }
+      );
+      logger.info('Notifications sent', { type, count: result.length });
+      return result.length;
+    } catch (err) {
+      logger.error('Notifications failed', {
+        type,
+        count: userIds.length,
+        error: err.message,
+      });
+      return 0;
+    }
+  },
+
+  // Email or text someone without an account, e.g. a claim invitation.
+  // Messages are POSTed as JSON to MESSAGE_RELAY_URL, the gateway that
+  // does the sending. Resolves to whether the relay accepted the message;
+  // like inbox notifications, failures are logged and swallowed.
+  async notifyContact({ email, phone }, { type, title, message }) {
+    const channel = email ? 'email' : 'sms';
+    if (!process.env.MESSAGE_RELAY_URL) {
+      logger.warn('Message not sent: MESSAGE_RELAY_URL is not configured', {
+        type,
+        channel,
+      });
+      return false;
+    }
+
+    try {
+      const response = await fetch(process.env.MESSAGE_RELAY_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.MESSAGE_RELAY_TOKEN && {
+            Authorization: `Bearer ${process.env.MESSAGE_RELAY_TOKEN}`,
+          }),
+        },
+        body: JSON.stringify({
+          channel,
+          to: email || phone,
+          type,
+          title,
+          message,
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(`Relay responded ${response.status}`);
+      }
+      logger.info('Message sent', { type, channel });
+      return true;
+    } catch (err) {
+      logger.error('Message failed', { type, channel, error: err.message });
+      return false;
+    }
+  },
+};
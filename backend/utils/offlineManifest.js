@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+// Offline manifests are signed with Ed25519 so gate devices can check them
+// against the pinned public key without holding any server secret. The key
+// is a PEM private key in OFFLINE_MANIFEST_PRIVATE_KEY; outside production
+// a throwaway key is generated per process.
+const MANIFEST_TTL_HOURS =
+  parseInt(process.env.OFFLINE_MANIFEST_TTL_HOURS, 10) || 24;
+
+let keyPair;
+
+const loadKeyPair = () => {
+  if (keyPair) return keyPair;
+
+  if (process.env.OFFLINE_MANIFEST_PRIVATE_KEY) {
+    const privateKey = crypto.createPrivateKey(
+      process.env.OFFLINE_MANIFEST_PRIVATE_KEY.replace(/\\n/g, '\n')
+    );
+    keyPair = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error('OFFLINE_MANIFEST_PRIVATE_KEY is not configured');
+  } else {
+    keyPair = crypto.generateKeyPairSync('ed25519');
+  }
+  return keyPair;
+};
+
+module.exports = {
+  MANIFEST_TTL_HOURS,
+
+  publicKey() {
+    return loadKeyPair()
+      .publicKey.export({ type: 'spki', format: 'pem' })
+      .toString();
+  },
+
+  // The manifest is returned as the exact JSON string that was signed, so
+  // devices verify the bytes they received rather than a re-serialization
+  sign(manifest) {
+    const payload = JSON.stringify(manifest);
+    const signature = crypto
+      .sign(null, Buffer.from(payload), loadKeyPair().privateKey)
+      .toString('base64');
+    return { algorithm: 'Ed25519', manifest: payload, signature };
+  },
+
+  verify({ manifest, signature }, publicKey = module.exports.publicKey()) {
+    return crypto.verify(
+      null,
+      Buffer.from(manifest),
+      crypto.createPublicKey(publicKey),
+      Buffer.from(signature, 'base64')
+    );
+  },
+};
@@ -0,0 +1,101 @@
+const { AppError } = require('../middleware/errorHandler');
+
+const sold = (ticketType) =>
+  Math.max((ticketType.capacity || 0) - (ticketType.available || 0), 0);
+
+// A phase is over once its end date passes or its unit limit is used up.
+// `quantity` more units only fit in the phase if all of them do.
+const phaseOver = (phase, now, soldCount, quantity) =>
+  (phase.endsAt && now >= new Date(phase.endsAt)) ||
+  (phase.untilSold && soldCount + quantity > phase.untilSold);
+
+module.exports = {
+  // Units of the ticket type sold or held so far
+  sold,
+
+  // Price phases run in order (e.g. Early Bird, Regular, At the door).
+  // The first phase not over sets the price; once all are over, or when
+  // the type has none, its base `price` applies. `soldCount` defaults to
+  // what the ticket type has sold.
+  activePhase(
+    ticketType,
+    { now = new Date(), soldCount = sold(ticketType), quantity = 1 } = {}
+  ) {
+    const phases = ticketType.pricePhases || [];
+    const index = phases.findIndex(
+      (phase) => !phaseOver(phase, now, soldCount, quantity)
+    );
+    return index === -1 ? null : { phase: phases[index], index };
+  },
+
+  // Current price of the ticket type and what it changes to next. `next`
+  // is null when the price won't change again.
+  quote(ticketType, { now = new Date(), soldCount = sold(ticketType) } = {}) {
+    const phases = ticketType.pricePhases || [];
+    const active = module.exports.activePhase(ticketType, { now, soldCount });
+    const current = active
+      ? { phase: active.phase.name, price: active.phase.price }
+      : { phase: null, price: ticketType.price };
+
+    let next = null;
+    const { endsAt, untilSold } = active ? active.phase : {};
+    if (endsAt || untilSold) {
+      const following = phases[active.index + 1];
+      next = {
+        phase: following ? following.name : null,
+        price: following ? following.price : ticketType.price,
+        changesAt: endsAt || null,
+        remainingAtPrice: untilSold ? Math.max(untilSold - soldCount, 0) : null,
+      };
+    }
+
+    return {
+      ...current,
+      salesOpen: module.exports.salesWindowViolation(ticketType, now) === null,
+      salesStart: ticketType.salesStart || null,
+      salesEnd: ticketType.salesEnd || null,
+      next,
+    };
+  },
+
+  // SALES_NOT_STARTED or SALES_ENDED outside the type's sale window, else null
+  salesWindowViolation(ticketType, now = new Date()) {
+    if (ticketType.salesStart && now < new Date(ticketType.salesStart)) {
+      return 'SALES_NOT_STARTED';
+    }
+    if (ticketType.salesEnd && now >= new Date(ticketType.salesEnd)) {
+      return 'SALES_ENDED';
+    }
+    return null;
+  },
+
+  // Unit price for buying `quantity` of the ticket type now, with the phase
+  // it was priced in. Throws outside the sale window. `soldCount` must not
+  // include the units being bought.
+  priceFor(ticketType, { now = new Date(), soldCount, quantity = 1 } = {}) {
+    const violation = module.exports.salesWindowViolation(ticketType, now);
+    if (violation) {
+      throw new AppError(
+        violation === 'SALES_NOT_STARTED'
+          ? `${ticketType.name} tickets are not on sale yet`
+          : `${ticketType.name} ticket sales have ended`,
+        409,
+        {
+          code: violation,
+          tier: ticketType.name,
+          salesStart: ticketType.salesStart,
+          salesEnd: ticketType.salesEnd,
+        }
+      );
+    }
+
+    const active = module.exports.activePhase(ticketType, {
+      now,
+      soldCount: soldCount === undefined ? sold(ticketType) : soldCount,
+      quantity,
+    });
+    return active
+      ? { price: active.phase.price, phase: active.phase.name }
+      : { price: ticketType.price, phase: undefined };
+  },
+};
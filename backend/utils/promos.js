@@ -0,0 +1,141 @@
+const PromoCode = require('../models/PromoCode');
+const Order = require('../models/Order');
+const { AppError } = require('../middleware/errorHandler');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const refuse = (message, code, details = {}) =>
+  new AppError(message, 400, { code, ...details });
+
+module.exports = {
+  // Discount off one ticket of `ticketType` under `promo`, or 0 when the
+  // code doesn't cover that ticket type
+  discountFor(promo, ticketType) {
+    const scoped = promo.ticketTypes && promo.ticketTypes.length;
+    if (
+      scoped &&
+      !promo.ticketTypes.some(
+        (id) => id.toString() === ticketType._id.toString()
+      )
+    ) {
+      return 0;
+    }
+
+    const amount =
+      promo.discountType === 'PERCENTAGE'
+        ? (ticketType.price * Math.min(promo.discountValue, 100)) / 100
+        : promo.discountValue;
+    return roundMoney(Math.min(amount, ticketType.price));
+  },
+
+  // Throw unless the code can be used now on at least one of `ticketTypes`
+  assertUsable(promo, ticketTypes, now = new Date()) {
+    if (!promo || !promo.isActive) {
+      throw refuse('Promo code is not valid', 'PROMO_INVALID');
+    }
+    if (promo.validFrom && now < promo.validFrom) {
+      throw refuse('Promo code is not active yet', 'PROMO_NOT_STARTED', {
+        validFrom: promo.validFrom,
+      });
+    }
+    if (promo.validUntil && now > promo.validUntil) {
+      throw refuse('Promo code has expired', 'PROMO_EXPIRED', {
+        validUntil: promo.validUntil,
+      });
+    }
+    if (!ticketTypes.some((type) => module.exports.discountFor(promo, type))) {
+      throw refuse(
+        'Promo code does not apply to these tickets',
+        'PROMO_NOT_APPLICABLE'
+      );
+    }
+  },
+
+  // Check a code for this buyer and take one redemption against its cap.
+  // Resolves to the promo code document.
+  async redeem(eventId, code, buyerId, ticketTypes, session) {
+    const promo = await PromoCode.findOne({
+      event: eventId,
+      code: `${code}`.trim().toUpperCase(),
+    }).session(session);
+    module.exports.assertUsable(promo, ticketTypes);
+
+    if (promo.maxPerUser) {
+      const used = await Order.countDocuments({
+        buyer: buyerId,
+        'discount.promoCode': promo._id,
+        paymentStatus: { $in: ['PENDING', 'PAID'] },
+      }).session(session);
+      if (used >= promo.maxPerUser) {
+        throw refuse(
+          'You have already used this promo code',
+          'PROMO_USER_LIMIT',
+          { maxPerUser: promo.maxPerUser }
+        );
+      }
+    }
+
+    const taken = await PromoCode.updateOne(
+      {
+        _id: promo._id,
+        ...(promo.maxRedemptions
+          ? { redemptions: { $lt: promo.maxRedemptions } }
+          : {}),
+      },
+      { $inc: { redemptions: 1 } },
+      { session }
+    );
+    if (taken.modifiedCount !== 1) {
+      throw refuse('Promo code has been used up', 'PROMO_EXHAUSTED');
+    }
+    return promo;
+  },
+
+  // Paid orders, tickets and discount given per promo code, keyed by id
+  async usage(promoIds) {
+    const rows = await Order.aggregate([
+      {
+        $match: {
+          'discount.promoCode': { $in: promoIds },
+          paymentStatus: 'PAID',
+        },
+      },
+      {
+        $group: {
+          _id: '$discount.promoCode',
+          orders: { $sum: 1 },
+          tickets: { $sum: { $size: '$tickets' } },
+          discountTotal: { $sum: '$discount.amount' },
+          revenue: { $sum: '$subtotal' },
+        },
+      },
+    ]);
+    return new Map(
+      rows.map(({ _id, ...stats }) => [
+        _id.toString(),
+        {
+          ...stats,
+          discountTotal: roundMoney(stats.discountTotal),
+          revenue: roundMoney(stats.revenue),
+        },
+      ])
+    );
+  },
+
+  // Give back the redemptions of orders that will never be paid
+  async releaseRedemptions(orders, session) {
+    const counts = new Map();
+    orders.forEach((order) => {
+      const id = order.discount && order.discount.promoCode;
+      if (id) counts.set(id.toString(), (counts.get(id.toString()) || 0) + 1);
+    });
+
+    for (const [id, count] of counts) {
+      await PromoCode.updateOne(
+        { _id: id },
+        { $inc: { redemptions: -count } },
+        { session }
+      );
+    }
+  },
+};
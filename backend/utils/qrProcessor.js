@@ -1,34 +1,67 @@
 const QRCode = require('qrcode');
-const Jimp = require('jimp');
+const { Jimp } = require('jimp');
+const jsQR = require('jsqr');
+const { imageSize } = require('image-size');
+const qrToken = require('./qrToken');
+const logger = require('./logger');
+
+// Phone photos are far larger than a QR code needs; decoding a downscaled
+// copy is much faster and just as reliable
+const MAX_DECODE_SIZE = 1024;
+
+// Larger images are refused before decoding: a few megabytes of compressed
+// PNG or JPEG can expand into gigabytes of pixels
+const MAX_IMAGE_PIXELS = 24 * 1000 * 1000;
 
 module.exports = {
-  // Generate new QR code
+  // Generate new QR code for a ticket's current qrVersion
   async generateQR(ticketData) {
-    const qrData = `ESWATICKET:${ticketData.event}:${
-      ticketData.owner
-    }:${Date.now()}`;
+    const qrData = qrToken.sign(ticketData);
     const qrImage = await QRCode.toDataURL(qrData);
     return { qrData, qrImage };
   },
 
-  // Extract data from QR image
+  // Read the QR code in a PNG/JPEG image, given as a Buffer or a base64
+  // data URL. Resolves to { data } with the decoded text, or { error }.
   async decodeQR(qrImage) {
     try {
       // 1. Convert Base64 to buffer
-      const base64Data = qrImage.replace(/^data:image\/\w+;base64,/, '');
-      const buffer = Buffer.from(base64Data, 'base64');
-
-      // 2. Read image with Jimp
-      const image = await Jimp.read(buffer);
-      const qrCode = await image.getBase64Async(Jimp.MIME_PNG);
-
-      // 3. Return both image and extracted data
-      return {
-        image: qrCode,
-        data: qrImage.match(/ESWATICKET:[^"]+/)?.[0] || null,
-      };
+      const buffer = Buffer.isBuffer(qrImage)
+        ? qrImage
+        : Buffer.from(
+            qrImage.replace(/^data:image\/\w+;base64,/, ''),
+            'base64'
+          );
+
+      // 2. Check the size in the image header before decoding anything
+      const size = imageSize(buffer);
+      if (size.width * size.height > MAX_IMAGE_PIXELS) {
+        return { error: 'Image dimensions are too large' };
+      }
+
+      // 3. Read image with Jimp, shrinking large photos
+      const image = await Jimp.fromBuffer(buffer);
+      if (
+        image.bitmap.width > MAX_DECODE_SIZE ||
+        image.bitmap.height > MAX_DECODE_SIZE
+      ) {
+        image.scaleToFit({ w: MAX_DECODE_SIZE, h: MAX_DECODE_SIZE });
+      }
+
+      // 4. Locate and decode the QR code in the RGBA pixels
+      const { data, width, height } = image.bitmap;
+      const code = jsQR(
+        new Uint8ClampedArray(data.buffer, data.byteOffset, data.length),
+        width,
+        height
+      );
+      if (!code) {
+        return { error: 'No QR code found in image' };
+      }
+
+      return { data: code.data };
     } catch (err) {
-      console.error('QR decoding failed:', err);
+      logger.warn('QR decoding failed', { error: err.message });
       return { error: 'Invalid QR code image' };
     }
   },
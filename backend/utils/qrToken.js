@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// Ticket QR codes carry `ESW2.<kid>.<payload>.<signature>`: a base64url
+// JSON payload ({ t: ticketId, e: eventId, v: qrVersion, iat }) and an
+// HMAC-SHA256 over `ESW2.<kid>.<payload>` with the key named by `kid`.
+// Keys come from QR_SIGNING_KEYS ("kid:secret,kid:secret"); new codes are
+// signed with QR_SIGNING_KEY_ID, older keys stay listed to verify codes
+// already issued until those tickets are re-issued. Outside production a
+// throwaway key is generated per process, so codes never verify against a
+// key anyone else knows.
+const PREFIX = 'ESW2';
+const SIGNED_PATTERN = /ESW2\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/;
+const LEGACY_PATTERN = /ESWATICKET:[^"\s]+/;
+
+let devKeys;
+
+const loadKeys = () => {
+  if (!process.env.QR_SIGNING_KEYS) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('QR_SIGNING_KEYS is not configured');
+    }
+    if (!devKeys) {
+      devKeys = { dev: crypto.randomBytes(32).toString('base64url') };
+    }
+    return devKeys;
+  }
+
+  return Object.fromEntries(
+    process.env.QR_SIGNING_KEYS.split(',').map((entry) => {
+      const [kid, ...secret] = entry.trim().split(':');
+      return [kid, secret.join(':')];
+    })
+  );
+};
+
+const hmac = (secret, signedPart) =>
+  crypto.createHmac('sha256', secret).update(signedPart).digest('base64url');
+
+module.exports = {
+  // Signed token for a ticket's current QR version
+  sign(ticket, { keys = loadKeys(), keyId, now = Date.now() } = {}) {
+    const kid = keyId || process.env.QR_SIGNING_KEY_ID || Object.keys(keys)[0];
+    if (!keys[kid]) {
+      throw new Error(`Unknown QR signing key: ${kid}`);
+    }
+
+    const payload = Buffer.from(
+      JSON.stringify({
+        t: ticket._id.toString(),
+        e: (ticket.event._id || ticket.event).toString(),
+        v: ticket.qrVersion || 1,
+        iat: Math.floor(now / 1000),
+      })
+    ).toString('base64url');
+
+    const signedPart = `${PREFIX}.${kid}.${payload}`;
+    return `${signedPart}.${hmac(keys[kid], signedPart)}`;
+  },
+
+  // Resolves to { valid, reason, payload } — reason is set on failure
+  verify(token, { keys = loadKeys() } = {}) {
+    const parts = `${token}`.split('.');
+    if (parts.length !== 4 || parts[0] !== PREFIX) {
+      return { valid: false, reason: 'MALFORMED_TOKEN' };
+    }
+
+    const [, kid, payload, signature] = parts;
+    if (!keys[kid]) return { valid: false, reason: 'UNKNOWN_KEY' };
+
+    const expected = Buffer.from(
+      hmac(keys[kid], `${PREFIX}.${kid}.${payload}`)
+    );
+    const received = Buffer.from(signature);
+    if (
+      received.length !== expected.length ||
+      !crypto.timingSafeEqual(received, expected)
+    ) {
+      return { valid: false, reason: 'SIGNATURE_MISMATCH' };
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return {
+        valid: true,
+        payload: {
+          ticketId: claims.t,
+          eventId: claims.e,
+          version: claims.v,
+          issuedAt: new Date(claims.iat * 1000),
+          keyId: kid,
+        },
+      };
+    } catch (err) {
+      return { valid: false, reason: 'MALFORMED_TOKEN' };
+    }
+  },
+
+  // Pull a QR payload out of scanned text, which may be wrapped in other
+  // data. Returns { type: 'signed' | 'legacy', value } or null.
+  extract(text) {
+    const signed = `${text}`.match(SIGNED_PATTERN);
+    if (signed) return { type: 'signed', value: signed[0] };
+
+    const legacy = `${text}`.match(LEGACY_PATTERN);
+    if (legacy) return { type: 'legacy', value: legacy[0] };
+
+    return null;
+  },
+
+  // Pre-signing `ESWATICKET:` codes are honoured until
+  // LEGACY_QR_ACCEPT_UNTIL; leave it unset while migration is ongoing
+  legacyAccepted(now = new Date()) {
+    const until = process.env.LEGACY_QR_ACCEPT_UNTIL;
+    return !until || now <= new Date(until);
+  },
+};
@@ -0,0 +1,383 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Payment = require('../models/Payment');
+const { AppError } = require('../middleware/errorHandler');
+const { getProvider } = require('../providers');
+const inventory = require('./inventory');
+const waitlist = require('./waitlist');
+const logger = require('./logger');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Tickets in these states still hold a paid, unused admission
+const REFUNDABLE_STATUSES = ['ACTIVE', 'TRANSFERRED'];
+// ...and these still stand for money paid, even once scanned. Refunds for
+// a cancelled event go to all of them.
+const PAID_STATUSES = [...REFUNDABLE_STATUSES, 'USED'];
+
+const DEFAULT_POLICY = {
+  allowRefunds: true,
+  deadlineHours: 48,
+  feeType: 'NONE',
+  feeValue: 0,
+  nonRefundableTiers: [],
+  autoApprove: true,
+};
+
+// A request is still open while it waits for a decision or for the money
+const isOpen = (refund) =>
+  refund.status === 'PENDING' && refund.approvalStatus !== 'REJECTED';
+const OPEN_REFUND = { status: 'PENDING', approvalStatus: { $ne: 'REJECTED' } };
+
+// What the current holder paid for the ticket. A resale buyer paid the
+// listing price rather than the face value kept in `price`.
+const paidAmount = (ticket) =>
+  ticket.resalePrice != null ? ticket.resalePrice : ticket.price;
+
+// Tickets a refund may still claim. Only a cancellation refunds tickets
+// that were scanned; any other refund stops at the door.
+const claimableFilter = (includeUsed) =>
+  includeUsed
+    ? { status: { $in: PAID_STATUSES } }
+    : { status: { $in: REFUNDABLE_STATUSES }, isUsed: { $ne: true } };
+
+const refundInProgress = () =>
+  new AppError('A refund for this ticket is already in progress', 409, {
+    code: 'REFUND_IN_PROGRESS',
+  });
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  PAID_STATUSES,
+  paidAmount,
+
+  // Check a refund request against the event's policy. Returns the fee and
+  // amount that would be paid out plus the rules the request breaks; an
+  // empty `violations` list means it can be approved without the organizer.
+  evaluatePolicy(ticket, event, { amount, now = new Date() } = {}) {
+    const paid = paidAmount(ticket);
+
+    // Inside a postponement's opt-out window, holders who bought before the
+    // reschedule get the full price back without the organizer's say-so
+    const postponements = event.postponements || [];
+    const latest = postponements[postponements.length - 1];
+    if (
+      latest &&
+      now <= new Date(latest.optOutDeadline) &&
+      (!ticket.createdAt || ticket.createdAt <= new Date(latest.postponedAt))
+    ) {
+      const violations =
+        amount !== undefined && amount > paid ? ['AMOUNT_EXCEEDS_POLICY'] : [];
+      return {
+        fee: 0,
+        maxAmount: paid,
+        amount: amount !== undefined ? amount : paid,
+        deadline: new Date(latest.optOutDeadline),
+        violations,
+        requiresApproval: violations.length > 0,
+        postponementOptOut: true,
+      };
+    }
+
+    const policy = { ...DEFAULT_POLICY, ...(event.refundPolicy || {}) };
+    const violations = [];
+
+    if (!policy.allowRefunds) violations.push('REFUNDS_DISABLED');
+
+    const deadline = new Date(
+      new Date(event.date).getTime() - policy.deadlineHours * 60 * 60 * 1000
+    );
+    if (now > deadline) violations.push('PAST_DEADLINE');
+
+    const tier = (ticket.tier || '').toLowerCase();
+    if (
+      (policy.nonRefundableTiers || []).some((t) => t.toLowerCase() === tier)
+    ) {
+      violations.push('NON_REFUNDABLE_TIER');
+    }
+
+    let fee = 0;
+    if (policy.feeType === 'PERCENTAGE') {
+      fee = roundMoney((paid * policy.feeValue) / 100);
+    } else if (policy.feeType === 'FIXED') {
+      fee = policy.feeValue;
+    }
+    fee = Math.min(fee, paid);
+
+    const maxAmount = roundMoney(paid - fee);
+    if (amount !== undefined && amount > maxAmount) {
+      violations.push('AMOUNT_EXCEEDS_POLICY');
+    }
+
+    return {
+      fee,
+      maxAmount,
+      amount: amount !== undefined ? amount : maxAmount,
+      deadline,
+      violations,
+      requiresApproval: violations.length > 0 || !policy.autoApprove,
+    };
+  },
+
+  // Record a refund request on the ticket (not saved; see saveRequest). Requests outside the
+  // policy, or on events without auto-approval, wait for the organizer.
+  // `bypassPolicy` is for admin overrides and event cancellations;
+  // `includeUsed` lets cancellations refund tickets already scanned, such
+  // as multi-day passes used on an earlier day.
+  requestRefund(
+    ticket,
+    event,
+    {
+      reason,
+      amount,
+      requestedBy,
+      idempotencyKey,
+      bypassPolicy = false,
+      includeUsed = false,
+    }
+  ) {
+    const refundable = includeUsed
+      ? PAID_STATUSES.includes(ticket.status)
+      : !ticket.isUsed && REFUNDABLE_STATUSES.includes(ticket.status);
+    if (!refundable) {
+      throw new AppError(
+        `Ticket cannot be refunded while ${ticket.status}`,
+        400,
+        { code: 'NOT_REFUNDABLE', status: ticket.status }
+      );
+    }
+    if (ticket.isComp && !bypassPolicy) {
+      throw new AppError('Complimentary tickets cannot be refunded', 400, {
+        code: 'COMPLIMENTARY_TICKET',
+      });
+    }
+    if (ticket.refundHistory.some(isOpen)) {
+      throw refundInProgress();
+    }
+    if (ticket.pendingTransfer && !bypassPolicy) {
+      throw new AppError('Ticket has a pending transfer', 409, {
+        code: 'TRANSFER_PENDING',
+        solution: 'Cancel the transfer before requesting a refund',
+      });
+    }
+    if (ticket.resaleListing && !bypassPolicy) {
+      throw new AppError('Ticket is listed for resale', 409, {
+        code: 'LISTED_FOR_RESALE',
+        solution: 'Remove the resale listing before requesting a refund',
+      });
+    }
+    const paid = paidAmount(ticket);
+    if (amount !== undefined && amount > paid) {
+      throw new AppError('Refund amount exceeds the ticket price', 400, {
+        code: 'AMOUNT_TOO_HIGH',
+        price: paid,
+      });
+    }
+
+    let entry;
+    if (bypassPolicy) {
+      entry = {
+        amount: amount !== undefined ? amount : paid,
+        fee: 0,
+        approvalStatus: 'APPROVED',
+        decidedBy: requestedBy,
+        decidedAt: new Date(),
+        adminOverride: true,
+      };
+    } else {
+      const evaluation = module.exports.evaluatePolicy(ticket, event, {
+        amount,
+      });
+      entry = {
+        amount: evaluation.amount,
+        fee: evaluation.fee,
+        policyViolations: evaluation.violations,
+        approvalStatus: evaluation.requiresApproval
+          ? 'AWAITING_APPROVAL'
+          : 'AUTO_APPROVED',
+      };
+    }
+
+    ticket.refundHistory.push({
+      ...entry,
+      idempotencyKey,
+      reason,
+      requestedBy,
+      requestedAt: new Date(),
+      status: 'PENDING',
+    });
+    return ticket.refundHistory[ticket.refundHistory.length - 1];
+  },
+
+  // Save a request made with requestRefund. The no-open-refund check is
+  // part of the update, so concurrent requests can't both get through.
+  async saveRequest(ticket, refund, fields = {}, { includeUsed = false } = {}) {
+    const result = await Ticket.updateOne(
+      {
+        _id: ticket._id,
+        ...claimableFilter(includeUsed),
+        refundHistory: { $not: { $elemMatch: OPEN_REFUND } },
+      },
+      { $push: { refundHistory: { ...refund.toObject(), ...fields } } }
+    );
+    if (result.modifiedCount === 0) throw refundInProgress();
+  },
+
+  // Move the money for an approved refund through the provider that took
+  // the payment. The refund is saved as PENDING and submitted before the
+  // provider is called, so it can only be sent once and a crash midway
+  // still leaves a record of it; the outcome is recorded afterwards. The
+  // ticket is surrendered and its unit returned once the provider accepts.
+  //
+  // Tickets sold before payments were recorded have nothing to refund
+  // through. A new request for one waits for the organizer, who pays the
+  // holder back directly and approves it with `paidOutManually`.
+  // `includeUsed` is for cancellations, as in requestRefund.
+  async executeRefund(
+    ticket,
+    refund,
+    { processedBy, paidOutManually = false, includeUsed = false } = {}
+  ) {
+    const payment = ticket.transactionId
+      ? await Payment.findOne({ transactionId: ticket.transactionId })
+      : null;
+    const manual = refund.amount > 0 && !payment;
+
+    if (manual && !paidOutManually) {
+      if (!refund.isNew) {
+        throw new AppError('No payment on record for this ticket', 409, {
+          code: 'NO_PAYMENT_RECORD',
+          solution:
+            'Refund the holder directly, then approve with paidOutManually',
+        });
+      }
+      refund.approvalStatus = 'AWAITING_APPROVAL';
+      refund.policyViolations = [
+        ...(refund.policyViolations || []),
+        'NO_PAYMENT_RECORD',
+      ];
+      await module.exports.saveRequest(ticket, refund, {}, { includeUsed });
+      return refund;
+    }
+
+    // 1. Claim the refund: a new request, or a decision on a saved one
+    const submittedAt = new Date();
+    if (refund.isNew) {
+      await module.exports.saveRequest(
+        ticket,
+        refund,
+        { submittedAt },
+        { includeUsed }
+      );
+    } else {
+      const result = await Ticket.updateOne(
+        {
+          _id: ticket._id,
+          ...claimableFilter(includeUsed),
+          refundHistory: {
+            $elemMatch: {
+              _id: refund._id,
+              status: 'PENDING',
+              approvalStatus: 'AWAITING_APPROVAL',
+              submittedAt: null,
+            },
+          },
+        },
+        {
+          $set: {
+            'refundHistory.$.amount': refund.amount,
+            'refundHistory.$.fee': refund.fee,
+            'refundHistory.$.approvalStatus': refund.approvalStatus,
+            'refundHistory.$.decidedBy': refund.decidedBy,
+            'refundHistory.$.decidedAt': refund.decidedAt,
+            'refundHistory.$.decisionNote': refund.decisionNote,
+            'refundHistory.$.adminOverride': refund.adminOverride,
+            'refundHistory.$.submittedAt': submittedAt,
+          },
+        }
+      );
+      if (result.modifiedCount === 0) {
+        throw new AppError('Refund was already decided', 409, {
+          code: 'REFUND_ALREADY_DECIDED',
+        });
+      }
+    }
+    refund.submittedAt = submittedAt;
+
+    // 2. Send the money back
+    let result;
+    if (refund.amount === 0) {
+      result = { status: 'COMPLETED' };
+    } else if (manual) {
+      result = { status: 'COMPLETED' };
+      refund.paidOutManually = true;
+    } else {
+      try {
+        result = await getProvider(payment.provider).refund({
+          payment,
+          amount: refund.amount,
+          reason: refund.reason,
+        });
+      } catch (err) {
+        result = { status: 'FAILED', failureReason: err.message };
+      }
+    }
+
+    refund.status = result.status;
+    refund.providerRefundId = result.refundId;
+    refund.failureReason =
+      result.status === 'FAILED'
+        ? result.failureReason || 'Refund declined by payment provider'
+        : undefined;
+    refund.processedAt = new Date();
+    refund.processedBy = processedBy;
+
+    // 3. Record the outcome
+    const update = {
+      'refundHistory.$.status': refund.status,
+      'refundHistory.$.providerRefundId': refund.providerRefundId,
+      'refundHistory.$.failureReason': refund.failureReason,
+      'refundHistory.$.processedAt': refund.processedAt,
+      'refundHistory.$.processedBy': processedBy,
+      'refundHistory.$.paidOutManually': refund.paidOutManually,
+    };
+    if (result.status !== 'FAILED') {
+      ticket.status = 'REFUNDED';
+      ticket.paymentStatus = 'refunded';
+      update.status = ticket.status;
+      update.paymentStatus = ticket.paymentStatus;
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await Ticket.updateOne(
+          { _id: ticket._id, 'refundHistory._id': refund._id },
+          { $set: update },
+          { session }
+        );
+        if (result.status !== 'FAILED') {
+          await inventory.releaseTickets([ticket], session);
+          if (payment) {
+            await Payment.recordTicketRefund(ticket, refund, session);
+          }
+        }
+      });
+    } finally {
+      session.endSession();
+    }
+
+    // The returned unit goes to the front of the waitlist, if any
+    if (result.status !== 'FAILED') {
+      const eventId = ticket.event._id || ticket.event;
+      waitlist.fillOffers(eventId).catch((err) =>
+        logger.error('Waitlist offers failed', {
+          eventId,
+          error: err.message,
+        })
+      );
+    }
+
+    return refund;
+  },
+};
@@ -0,0 +1,305 @@
+const QRCode = require('qrcode');
+const Ticket = require('../models/Ticket');
+const Order = require('../models/Order');
+const ResaleListing = require('../models/ResaleListing');
+const { AppError } = require('../middleware/errorHandler');
+const { getProvider } = require('../providers');
+const checkout = require('./checkout');
+const holds = require('./holds');
+const qrToken = require('./qrToken');
+const transfers = require('./transfers');
+
+// Platform's cut of each resale, as a percentage of the price, taken from
+// the seller's payout along with the organizer's royalty
+const RESALE_FEE_PERCENT = parseFloat(process.env.RESALE_FEE_PERCENT || '5');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  maxPricePercent: 100,
+  royaltyPercent: 0,
+  cutoffHours: 2,
+};
+
+module.exports = {
+  RESALE_FEE_PERCENT,
+
+  // Check an asking price against the event's resale policy and split it
+  // into platform fee, royalty and seller payout. An empty `violations`
+  // list means the ticket may be listed at that price.
+  evaluateListing(ticket, event, price, now = new Date()) {
+    const policy = { ...DEFAULT_POLICY, ...(event.resalePolicy || {}) };
+    const violations = [];
+
+    if (event.isCancelled) violations.push('EVENT_CANCELLED');
+    if (!policy.enabled) violations.push('RESALE_DISABLED');
+    if (ticket.isComp) violations.push('COMPLIMENTARY_TICKET');
+
+    const cutoff = new Date(
+      new Date(event.date).getTime() - policy.cutoffHours * 60 * 60 * 1000
+    );
+    if (now >= cutoff) violations.push('PAST_CUTOFF');
+
+    const cap = roundMoney((ticket.price * policy.maxPricePercent) / 100);
+    if (price > cap) violations.push('PRICE_ABOVE_CAP');
+
+    const platformFee = roundMoney((price * RESALE_FEE_PERCENT) / 100);
+    const royalty = roundMoney((price * policy.royaltyPercent) / 100);
+
+    return {
+      cap,
+      cutoff,
+      platformFee,
+      royalty,
+      sellerPayout: Math.max(0, roundMoney(price - platformFee - royalty)),
+      violations,
+    };
+  },
+
+  // List the holder's ticket and lock it until sold or delisted
+  async list(ticket, event, { price, payoutDetails, now = new Date() }) {
+    transfers.assertMovable(ticket);
+
+    const evaluation = module.exports.evaluateListing(
+      ticket,
+      event,
+      price,
+      now
+    );
+    if (evaluation.violations.length) {
+      throw new AppError('Ticket cannot be listed at this price', 400, {
+        code: 'RESALE_NOT_ALLOWED',
+        violations: evaluation.violations,
+        cap: evaluation.cap,
+        cutoff: evaluation.cutoff,
+      });
+    }
+
+    const listing = new ResaleListing({
+      ticket: ticket._id,
+      event: event._id,
+      seller: ticket.owner,
+      tier: ticket.tier,
+      faceValue: ticket.price,
+      price,
+      platformFee: evaluation.platformFee,
+      royalty: evaluation.royalty,
+      sellerPayout: evaluation.sellerPayout,
+      delistAt: evaluation.cutoff,
+      payoutDetails,
+    });
+
+    await transfers.withTransaction(async (session) => {
+      const locked = await Ticket.updateOne(
+        {
+          _id: ticket._id,
+          owner: ticket.owner,
+          pendingTransfer: null,
+          resaleListing: null,
+        },
+        { $set: { resaleListing: listing._id } },
+        { session }
+      );
+      if (locked.modifiedCount !== 1) {
+        throw new AppError('Ticket changed while being listed', 409, {
+          code: 'TICKET_LOCKED',
+        });
+      }
+      await listing.save({ session });
+    });
+
+    return listing;
+  },
+
+  // Take matching ACTIVE (or RESERVED, for cancellations) listings down and
+  // unlock their tickets. Resolves to the number delisted.
+  async delist(filter, reason, session) {
+    const listings = await ResaleListing.find(filter)
+      .select('_id ticket')
+      .session(session);
+    if (!listings.length) return 0;
+
+    const ids = listings.map((l) => l._id);
+    const result = await ResaleListing.updateMany(
+      { _id: { $in: ids }, status: filter.status || 'ACTIVE' },
+      {
+        $set: {
+          status: reason === 'SELLER' ? 'CANCELLED' : 'DELISTED',
+          delistReason: reason,
+          delistedAt: new Date(),
+        },
+      },
+      { session }
+    );
+    await Ticket.updateMany(
+      { resaleListing: { $in: ids } },
+      { $unset: { resaleListing: 1 } },
+      { session }
+    );
+    return result.modifiedCount;
+  },
+
+  // Reserve a listing for the buyer and open a RESALE order for it through
+  // the normal checkout hold, so an unpaid purchase puts it back on sale
+  async placeOrder(listing, buyerId, session) {
+    if (listing.seller.toString() === buyerId.toString()) {
+      throw new AppError('You cannot buy your own listing', 400, {
+        code: 'OWN_LISTING',
+      });
+    }
+    if (listing.delistAt <= new Date()) {
+      throw new AppError('Resale for this event has closed', 409, {
+        code: 'PAST_CUTOFF',
+      });
+    }
+
+    const ticket = await Ticket.findById(listing.ticket)
+      .select('ticketType')
+      .session(session);
+    const order = new Order({
+      orderNumber: Order.generateOrderNumber(),
+      buyer: buyerId,
+      event: listing.event,
+      kind: 'RESALE',
+      resaleListing: listing._id,
+      tickets: [listing.ticket],
+      items: [
+        {
+          ticketType: ticket.ticketType,
+          name: `${listing.tier} (resale)`,
+          unitPrice: listing.price,
+          quantity: 1,
+          lineTotal: listing.price,
+        },
+      ],
+      subtotal: listing.price,
+      currency: listing.currency,
+      expiresAt: holds.holdExpiry(),
+    });
+    order.fees = checkout.calculateFees(order.subtotal);
+    order.total = roundMoney(order.subtotal + order.fees);
+
+    const reserved = await ResaleListing.updateOne(
+      { _id: listing._id, status: 'ACTIVE' },
+      { $set: { status: 'RESERVED', order: order._id, reservedBy: buyerId } },
+      { session }
+    );
+    if (reserved.modifiedCount !== 1) {
+      throw new AppError('Listing is no longer available', 409, {
+        code: 'LISTING_UNAVAILABLE',
+      });
+    }
+
+    await order.save({ session });
+    return order.toObject();
+  },
+
+  // Settle a paid RESALE order: the buyer takes the ticket under a freshly
+  // signed QR and the seller's payout falls due. Runs inside the payment
+  // webhook's transaction.
+  async completeSale(
+    order,
+    { providerName, transactionId, paymentMethod, now = new Date() },
+    session
+  ) {
+    const listing = await ResaleListing.findOneAndUpdate(
+      { _id: order.resaleListing, status: 'RESERVED', order: order._id },
+      {
+        $set: {
+          status: 'SOLD',
+          buyer: order.buyer,
+          soldAt: now,
+          'payout.status': 'DUE',
+          'payout.provider': providerName,
+        },
+      },
+      { new: true, session }
+    );
+    if (!listing) {
+      throw new AppError('Resale listing is no longer reserved', 409, {
+        orderNumber: order.orderNumber,
+        code: 'HOLD_EXPIRED',
+      });
+    }
+
+    const ticket = await Ticket.findOne({
+      _id: listing.ticket,
+      owner: listing.seller,
+      resaleListing: listing._id,
+    }).session(session);
+    if (
+      !ticket ||
+      ticket.isUsed ||
+      !transfers.TRANSFERABLE_STATUSES.includes(ticket.status)
+    ) {
+      throw new AppError('Listed ticket is no longer valid', 409, {
+        orderNumber: order.orderNumber,
+        code: 'LISTING_STALE',
+      });
+    }
+
+    ticket.qrVersion = (ticket.qrVersion || 1) + 1;
+    ticket.qrData = qrToken.sign(ticket);
+    ticket.qrCode = await QRCode.toDataURL(ticket.qrData);
+    ticket.transferHistory.push({
+      from: listing.seller,
+      to: order.buyer,
+      date: now,
+      resaleListing: listing._id,
+    });
+    ticket.owner = order.buyer;
+    ticket.status = 'TRANSFERRED';
+    ticket.resaleListing = undefined;
+    // Refunds from here on go back to the buyer's payment, up to what they
+    // paid for the listing. `price` keeps the face value for the cap.
+    ticket.transactionId = transactionId;
+    ticket.paymentMethod = paymentMethod;
+    ticket.resalePrice = listing.price;
+    await ticket.save({ session });
+
+    return { listing, ticket };
+  },
+
+  // Send the seller their share through the provider that took the buyer's
+  // payment. The payout is claimed first so it can never be sent twice.
+  async payOut(listingId) {
+    const listing = await ResaleListing.findOneAndUpdate(
+      { _id: listingId, 'payout.status': 'DUE' },
+      {
+        $set: { 'payout.status': 'PROCESSING' },
+        $inc: { 'payout.attempts': 1 },
+      },
+      { new: true }
+    );
+    if (!listing) return null;
+
+    let result;
+    try {
+      result = await getProvider(listing.payout.provider).payout({
+        amount: listing.sellerPayout,
+        currency: listing.currency,
+        recipient: listing.payoutDetails,
+        reference: `RESALE-${listing._id}`,
+      });
+    } catch (err) {
+      result = { status: 'FAILED', failureReason: err.message };
+    }
+
+    listing.payout.payoutId = result.payoutId;
+    if (result.status === 'FAILED') {
+      listing.payout.status = 'FAILED';
+      listing.payout.failureReason =
+        result.failureReason || 'Payout declined by payment provider';
+    } else {
+      // PENDING payouts stay PROCESSING until the provider confirms them
+      listing.payout.status =
+        result.status === 'COMPLETED' ? 'COMPLETED' : 'PROCESSING';
+      listing.payout.paidAt =
+        result.status === 'COMPLETED' ? new Date() : undefined;
+      listing.payout.failureReason = undefined;
+    }
+    await listing.save();
+    return listing;
+  },
+};
@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const SeatMap = require('../models/SeatMap');
+const SeatHold = require('../models/SeatHold');
+const { AppError } = require('../middleware/errorHandler');
+
+const seatLabel = (section, row, seat) =>
+  `${section.name} Row ${row.label} Seat ${seat.number}`;
+
+module.exports = {
+  seatLabel,
+
+  // Every seat of the map, keyed by seat id, with where it is and which
+  // zone and ticket type it sells as
+  seatIndex(seatMap) {
+    const zones = new Map(seatMap.zones.map((z) => [z._id.toString(), z]));
+    const index = new Map();
+    seatMap.sections.forEach((section) =>
+      section.rows.forEach((row) =>
+        row.seats.forEach((seat) => {
+          const zone = zones.get(`${seat.zone || section.zone}`);
+          index.set(seat._id.toString(), {
+            seatId: seat._id,
+            label: seatLabel(section, row, seat),
+            section: section.name,
+            row: row.label,
+            number: seat.number,
+            accessible: seat.accessible,
+            blocked: seat.blocked,
+            zone: zone ? zone.name : null,
+            ticketType: zone ? zone.ticketType : null,
+          });
+        })
+      )
+    );
+    return index;
+  },
+
+  // Turn an edited layout into seat map fields. Zones and seats are named
+  // in the request; zones keep their id by name and seats by `_id` or
+  // label, so holds on unchanged seats stay valid.
+  buildLayout(existing, { zones, sections }) {
+    const oldZones = new Map(
+      ((existing && existing.zones) || []).map((z) => [z.name, z._id])
+    );
+    const oldSeats = new Map();
+    if (existing) {
+      module.exports
+        .seatIndex(existing)
+        .forEach((seat) => oldSeats.set(seat.label, seat.seatId));
+    }
+
+    const zoneIds = new Map();
+    const builtZones = zones.map((zone) => {
+      const _id = oldZones.get(zone.name) || new mongoose.Types.ObjectId();
+      zoneIds.set(zone.name, _id);
+      return {
+        _id,
+        name: zone.name,
+        ticketType: zone.ticketTypeId,
+        color: zone.color,
+      };
+    });
+    const zoneId = (name) => {
+      if (name === undefined) return undefined;
+      if (!zoneIds.has(name)) {
+        throw new AppError(`Unknown zone ${name}`, 400, {
+          code: 'UNKNOWN_ZONE',
+          zone: name,
+        });
+      }
+      return zoneIds.get(name);
+    };
+
+    return {
+      zones: builtZones,
+      sections: sections.map((section) => ({
+        name: section.name,
+        zone: zoneId(section.zone),
+        rows: section.rows.map((row) => ({
+          label: row.label,
+          seats: row.seats.map((seat) => ({
+            _id:
+              seat._id ||
+              oldSeats.get(seatLabel(section, row, seat)) ||
+              new mongoose.Types.ObjectId(),
+            number: seat.number,
+            zone: zoneId(seat.zone),
+            accessible: seat.accessible,
+            blocked: seat.blocked,
+          })),
+        })),
+      })),
+    };
+  },
+
+  // Number of sellable seats per ticket type id
+  seatCounts(seatMap) {
+    const counts = new Map();
+    module.exports.seatIndex(seatMap).forEach((seat) => {
+      if (seat.blocked || !seat.ticketType) return;
+      const key = seat.ticketType.toString();
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+  },
+
+  // Throw unless the map is consistent: zones sell existing ticket types,
+  // every seat has a zone and no seat label is used twice
+  assertValidMap(seatMap, event) {
+    const typeIds = new Set(event.ticketTypes.map((t) => t._id.toString()));
+    const badZones = seatMap.zones.filter(
+      (z) => !typeIds.has(z.ticketType.toString())
+    );
+    if (badZones.length) {
+      throw new AppError('Zone ticket type not found on this event', 400, {
+        code: 'UNKNOWN_TICKET_TYPE',
+        zones: badZones.map((z) => z.name),
+      });
+    }
+
+    const index = module.exports.seatIndex(seatMap);
+    const unzoned = [...index.values()].filter((s) => !s.ticketType);
+    if (unzoned.length) {
+      throw new AppError('Every seat needs a price zone', 400, {
+        code: 'SEAT_WITHOUT_ZONE',
+        seats: unzoned.slice(0, 20).map((s) => s.label),
+      });
+    }
+
+    const labels = new Set();
+    const duplicates = [];
+    index.forEach(({ label }) => {
+      if (labels.has(label)) duplicates.push(label);
+      labels.add(label);
+    });
+    if (duplicates.length) {
+      throw new AppError('Seats are listed more than once', 400, {
+        code: 'DUPLICATE_SEAT',
+        seats: duplicates.slice(0, 20),
+      });
+    }
+  },
+
+  // Check the seats chosen for `quantity` tickets of `ticketType` and
+  // resolve them to their descriptions
+  chooseSeats(seatMap, ticketType, seatIds = [], quantity) {
+    if (seatIds.length !== quantity) {
+      throw new AppError(
+        `Choose ${quantity} seat(s) for ${ticketType.name} tickets`,
+        400,
+        { code: 'SEAT_SELECTION_REQUIRED', quantity, chosen: seatIds.length }
+      );
+    }
+    if (new Set(seatIds.map(String)).size !== seatIds.length) {
+      throw new AppError('The same seat was chosen twice', 400, {
+        code: 'DUPLICATE_SEAT',
+      });
+    }
+
+    const index = module.exports.seatIndex(seatMap);
+    return seatIds.map((id) => {
+      const seat = index.get(`${id}`);
+      if (!seat) {
+        throw new AppError('Seat not found', 400, {
+          code: 'UNKNOWN_SEAT',
+          seatId: id,
+        });
+      }
+      if (seat.blocked) {
+        throw new AppError(`${seat.label} is not for sale`, 409, {
+          code: 'SEAT_BLOCKED',
+          seat: seat.label,
+        });
+      }
+      if (!seat.ticketType.equals(ticketType._id)) {
+        throw new AppError(
+          `${seat.label} is not sold as ${ticketType.name}`,
+          400,
+          { code: 'SEAT_WRONG_TICKET_TYPE', seat: seat.label, zone: seat.zone }
+        );
+      }
+      return seat;
+    });
+  },
+
+  // The event's seat map, if it has reserved seating
+  async findMap(eventId, session = null) {
+    return SeatMap.findOne({ event: eventId }).session(session);
+  },
+
+  // Take the seats for their tickets. Seats already taken are reported by
+  // label; a checkout racing for the same seat fails on the unique index.
+  // Comps have no checkout and take their seats SOLD straight away.
+  async hold(
+    eventId,
+    assignments,
+    { orderId, expiresAt, status = 'HELD' },
+    session
+  ) {
+    const taken = await SeatHold.find({
+      event: eventId,
+      seat: { $in: assignments.map((a) => a.seat.seatId) },
+    })
+      .select('label')
+      .session(session);
+    if (taken.length) {
+      throw module.exports.seatTaken(taken.map((h) => h.label));
+    }
+
+    try {
+      await SeatHold.insertMany(
+        assignments.map(({ seat, ticketId }) => ({
+          event: eventId,
+          seat: seat.seatId,
+          label: seat.label,
+          ticket: ticketId,
+          order: orderId,
+          status,
+          expiresAt,
+        })),
+        { session }
+      );
+    } catch (err) {
+      if (err.code === 11000) {
+        throw module.exports.seatTaken(assignments.map((a) => a.seat.label));
+      }
+      throw err;
+    }
+  },
+
+  seatTaken(labels) {
+    return new AppError('Seat is no longer available', 409, {
+      code: 'SEAT_TAKEN',
+      seats: labels,
+      solution: 'Choose other seats',
+    });
+  },
+
+  // Paid holds keep their seat for good
+  async confirm(orderId, session) {
+    await SeatHold.updateMany(
+      { order: orderId },
+      { $set: { status: 'SOLD' }, $unset: { expiresAt: 1 } },
+      { session }
+    );
+  },
+
+  // Free the seats of tickets whose unit went back on sale
+  async release(ticketIds, session = null) {
+    await SeatHold.deleteMany({ ticket: { $in: ticketIds } }, { session });
+  },
+
+  // Status of every seat: AVAILABLE, HELD, SOLD or BLOCKED
+  async availability(seatMap) {
+    const holds = await SeatHold.find({ event: seatMap.event })
+      .select('seat status')
+      .lean();
+    const status = new Map(holds.map((h) => [h.seat.toString(), h.status]));
+
+    return [...module.exports.seatIndex(seatMap).values()].map((seat) => ({
+      ...seat,
+      status: seat.blocked
+        ? 'BLOCKED'
+        : status.get(seat.seatId.toString()) || 'AVAILABLE',
+    }));
+  },
+};
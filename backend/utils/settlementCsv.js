@@ -0,0 +1,92 @@
+// Column names providers use for the fields we reconcile on
+const COLUMN_ALIASES = {
+  transactionId: ['transaction_id', 'transactionid', 'txn_id', 'reference'],
+  amount: ['amount', 'gross_amount', 'gross'],
+  currency: ['currency'],
+  fees: ['fee', 'fees', 'commission'],
+  type: ['type', 'transaction_type'],
+  settledAt: ['settled_at', 'settlement_date', 'date'],
+};
+
+// Amounts may carry thousands separators, e.g. "1,000.00"
+const parseAmount = (value) => parseFloat(`${value}`.replace(/,/g, ''));
+
+// Split one CSV line, honouring double-quoted fields and "" escapes
+function splitLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+module.exports = {
+  // Parse a provider settlement file into
+  // { line, transactionId, amount, currency, fees, type, settledAt } rows
+  parse(csv) {
+    const lines = `${csv}`
+      .replace(/^\uFEFF/, '')
+      .split(/\r?\n/)
+      .map((text, index) => ({ text, line: index + 1 }))
+      .filter(({ text }) => text.trim() !== '');
+
+    if (lines.length === 0) {
+      throw new Error('Settlement file is empty');
+    }
+
+    const header = splitLine(lines[0].text).map((h) =>
+      h.toLowerCase().replace(/\s+/g, '_')
+    );
+    const columns = {};
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      const index = header.findIndex((h) => aliases.includes(h));
+      if (index !== -1) columns[field] = index;
+    });
+
+    if (columns.transactionId === undefined || columns.amount === undefined) {
+      throw new Error(
+        'Settlement file needs transaction_id and amount columns'
+      );
+    }
+
+    return lines.slice(1).map(({ text, line }) => {
+      const values = splitLine(text);
+      const value = (field) =>
+        columns[field] === undefined ? undefined : values[columns[field]];
+
+      const settledAt = value('settledAt')
+        ? new Date(value('settledAt'))
+        : null;
+      return {
+        line,
+        transactionId: value('transactionId'),
+        amount: parseAmount(value('amount')),
+        currency: value('currency') ? value('currency').toUpperCase() : null,
+        fees: value('fees') ? parseAmount(value('fees')) : null,
+        type: (value('type') || 'charge').toLowerCase(),
+        settledAt: settledAt && !isNaN(settledAt) ? settledAt : null,
+      };
+    });
+  },
+};
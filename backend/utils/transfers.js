@@ -0,0 +1,318 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const Ticket = require('../models/Ticket');
+const Transfer = require('../models/Transfer');
+const { AppError } = require('../middleware/errorHandler');
+const qrToken = require('./qrToken');
+
+// How long a recipient has to answer, unless the event's cutoff is sooner
+const TRANSFER_TTL_HOURS = parseInt(process.env.TRANSFER_TTL_HOURS, 10) || 72;
+
+// Tickets in these states hold a paid admission that can change hands
+const TRANSFERABLE_STATUSES = ['ACTIVE', 'TRANSFERRED'];
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  maxTransfers: null,
+  cutoffHours: 0,
+};
+
+// Tickets start with a purchase entry from the buyer to themselves, and
+// resales are logged alongside transfers; only real hand-overs count
+// towards the event's transfer limit
+const isTransfer = (entry) =>
+  !entry.resaleListing && `${entry.from}` !== `${entry.to}`;
+
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  TRANSFER_TTL_HOURS,
+  TRANSFERABLE_STATUSES,
+  withTransaction,
+
+  // Claim tokens are only stored hashed, so a database leak can't be used
+  // to redeem open invitations
+  hashClaimToken(token) {
+    return crypto.createHash('sha256').update(`${token}`).digest('hex');
+  },
+
+  // Check a transfer against the event's policy. An empty `violations`
+  // list means the ticket may be offered now.
+  evaluatePolicy(ticket, event, now = new Date()) {
+    const policy = { ...DEFAULT_POLICY, ...(event.transferPolicy || {}) };
+    const violations = [];
+
+    if (event.isCancelled) violations.push('EVENT_CANCELLED');
+    if (!policy.enabled) violations.push('TRANSFERS_DISABLED');
+
+    const cutoff = new Date(
+      new Date(event.date).getTime() - policy.cutoffHours * 60 * 60 * 1000
+    );
+    if (now >= cutoff) violations.push('PAST_CUTOFF');
+
+    const transfersUsed = (ticket.transferHistory || []).filter(
+      isTransfer
+    ).length;
+    if (
+      policy.maxTransfers !== null &&
+      policy.maxTransfers !== undefined &&
+      transfersUsed >= policy.maxTransfers
+    ) {
+      violations.push('MAX_TRANSFERS_REACHED');
+    }
+
+    return {
+      cutoff,
+      transfersUsed,
+      maxTransfers: policy.maxTransfers,
+      violations,
+    };
+  },
+
+  // Offers expire after TRANSFER_TTL_HOURS or at the cutoff, if sooner
+  expiryFor(event, now = new Date()) {
+    const { cutoff } = module.exports.evaluatePolicy({}, event, now);
+    return new Date(
+      Math.min(now.getTime() + TRANSFER_TTL_HOURS * 60 * 60 * 1000, cutoff)
+    );
+  },
+
+  // Throw unless the ticket is a valid admission free to change hands:
+  // paid, unused, and not tied up in a transfer, resale or refund
+  assertMovable(ticket) {
+    if (ticket.isUsed || !TRANSFERABLE_STATUSES.includes(ticket.status)) {
+      throw new AppError(
+        `Ticket cannot be transferred while ${
+          ticket.isUsed ? 'USED' : ticket.status
+        }`,
+        409,
+        { code: 'NOT_TRANSFERABLE', status: ticket.status }
+      );
+    }
+    if (ticket.pendingTransfer) {
+      throw new AppError('Ticket already has a pending transfer', 409, {
+        code: 'TRANSFER_PENDING',
+        transferId: ticket.pendingTransfer,
+        solution: 'Cancel the pending transfer first',
+      });
+    }
+    if (ticket.resaleListing) {
+      throw new AppError('Ticket is listed for resale', 409, {
+        code: 'LISTED_FOR_RESALE',
+        listingId: ticket.resaleListing,
+        solution: 'Remove the resale listing first',
+      });
+    }
+    if (
+      ticket.refundHistory.some(
+        (r) => r.status === 'PENDING' && r.approvalStatus !== 'REJECTED'
+      )
+    ) {
+      throw new AppError('A refund for this ticket is in progress', 409, {
+        code: 'REFUND_IN_PROGRESS',
+      });
+    }
+  },
+
+  // Throw unless the ticket can be offered to someone right now
+  assertTransferable(ticket, event, now = new Date()) {
+    module.exports.assertMovable(ticket);
+
+    const { violations, cutoff } = module.exports.evaluatePolicy(
+      ticket,
+      event,
+      now
+    );
+    if (violations.length) {
+      throw new AppError('Transfer not allowed for this ticket', 403, {
+        code: 'TRANSFER_NOT_ALLOWED',
+        violations,
+        cutoff,
+      });
+    }
+  },
+
+  // Offer a ticket and lock it until it is answered. Without `to` the
+  // offer is a claim invitation for `recipientEmail`/`recipientPhone`;
+  // its single-use token is returned here and never stored in the clear.
+  // Resolves to { transfer, claimToken }.
+  async offer(
+    ticket,
+    event,
+    { to, recipientEmail, recipientPhone, message, now = new Date() }
+  ) {
+    if (to && ticket.owner.toString() === to.toString()) {
+      throw new AppError('You already hold this ticket', 400, {
+        code: 'SELF_TRANSFER',
+      });
+    }
+    module.exports.assertTransferable(ticket, event, now);
+
+    const claimToken = to
+      ? undefined
+      : crypto.randomBytes(32).toString('base64url');
+    const transfer = new Transfer({
+      ticket: ticket._id,
+      event: event._id,
+      from: ticket.owner,
+      to,
+      recipientEmail,
+      recipientPhone,
+      claimTokenHash: claimToken && module.exports.hashClaimToken(claimToken),
+      message,
+      expiresAt: module.exports.expiryFor(event, now),
+    });
+
+    await withTransaction(async (session) => {
+      const locked = await Ticket.updateOne(
+        { _id: ticket._id, owner: ticket.owner, pendingTransfer: null },
+        { $set: { pendingTransfer: transfer._id } },
+        { session }
+      );
+      if (locked.modifiedCount !== 1) {
+        throw new AppError('Ticket changed while being offered', 409, {
+          code: 'TRANSFER_PENDING',
+        });
+      }
+      await transfer.save({ session });
+    });
+
+    return { transfer, claimToken };
+  },
+
+  // The open claim invitation a token belongs to
+  async findClaim(token) {
+    const transfer = await Transfer.findOne({
+      claimTokenHash: module.exports.hashClaimToken(token),
+    });
+    if (!transfer) {
+      throw new AppError('Claim link is invalid', 404, {
+        code: 'CLAIM_NOT_FOUND',
+      });
+    }
+    if (transfer.status !== 'PENDING') {
+      throw new AppError(
+        `Claim link is ${transfer.status.toLowerCase()}`,
+        409,
+        {
+          code: 'TRANSFER_CLOSED',
+          status: transfer.status,
+        }
+      );
+    }
+    return transfer;
+  },
+
+  // Redeem a claim invitation for the signed-in user
+  async claim(transfer, userId, { now = new Date() } = {}) {
+    if (transfer.from.toString() === userId.toString()) {
+      throw new AppError('You already hold this ticket', 400, {
+        code: 'SELF_TRANSFER',
+      });
+    }
+    transfer.to = userId;
+    return module.exports.accept(transfer, { now });
+  },
+
+  // Recipient takes the ticket: ownership moves and the QR is re-issued so
+  // the sender's copy stops scanning. Resolves to the updated ticket.
+  async accept(transfer, { now = new Date() } = {}) {
+    if (transfer.expiresAt <= now) {
+      throw new AppError('Transfer offer has expired', 409, {
+        code: 'TRANSFER_EXPIRED',
+      });
+    }
+
+    return withTransaction(async (session) => {
+      const ticket = await Ticket.findById(transfer.ticket).session(session);
+      if (
+        !ticket ||
+        !ticket.pendingTransfer ||
+        ticket.pendingTransfer.toString() !== transfer._id.toString() ||
+        ticket.owner.toString() !== transfer.from.toString()
+      ) {
+        throw new AppError('Transfer is no longer valid', 409, {
+          code: 'TRANSFER_STALE',
+        });
+      }
+      if (ticket.isUsed || !TRANSFERABLE_STATUSES.includes(ticket.status)) {
+        throw new AppError(
+          `Ticket cannot be transferred while ${ticket.status}`,
+          409,
+          { code: 'NOT_TRANSFERABLE', status: ticket.status }
+        );
+      }
+
+      const closed = await Transfer.updateOne(
+        { _id: transfer._id, status: 'PENDING' },
+        {
+          $set: { status: 'ACCEPTED', respondedAt: now, to: transfer.to },
+          // Claim links are single use
+          $unset: { claimTokenHash: 1 },
+        },
+        { session }
+      );
+      if (closed.modifiedCount !== 1) {
+        throw new AppError('Transfer is no longer pending', 409, {
+          code: 'TRANSFER_CLOSED',
+        });
+      }
+
+      ticket.qrVersion = (ticket.qrVersion || 1) + 1;
+      ticket.qrData = qrToken.sign(ticket);
+      ticket.qrCode = await QRCode.toDataURL(ticket.qrData);
+      ticket.transferHistory.push({
+        from: transfer.from,
+        to: transfer.to,
+        date: now,
+        transfer: transfer._id,
+      });
+      ticket.owner = transfer.to;
+      ticket.status = 'TRANSFERRED';
+      ticket.pendingTransfer = undefined;
+      await ticket.save({ session });
+
+      transfer.status = 'ACCEPTED';
+      transfer.respondedAt = now;
+      return ticket;
+    });
+  },
+
+  // Close a pending offer without moving the ticket (DECLINED, CANCELLED
+  // or EXPIRED) and unlock the ticket
+  async close(transfer, status, { now = new Date() } = {}) {
+    await withTransaction(async (session) => {
+      const closed = await Transfer.updateOne(
+        { _id: transfer._id, status: 'PENDING' },
+        { $set: { status, respondedAt: now }, $unset: { claimTokenHash: 1 } },
+        { session }
+      );
+      if (closed.modifiedCount !== 1) {
+        throw new AppError('Transfer is no longer pending', 409, {
+          code: 'TRANSFER_CLOSED',
+        });
+      }
+      await Ticket.updateOne(
+        { _id: transfer.ticket, pendingTransfer: transfer._id },
+        { $unset: { pendingTransfer: 1 } },
+        { session }
+      );
+    });
+
+    transfer.status = status;
+    transfer.respondedAt = now;
+    return transfer;
+  },
+};
@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { AppError } = require('../middleware/errorHandler');
+const inventory = require('./inventory');
+const { notify } = require('./notifications');
+
+// How long someone at the front of the line has to buy before their
+// reserved tickets go to the next person
+const WAITLIST_OFFER_MINUTES =
+  parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30;
+
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => work(session));
+  } finally {
+    session.endSession();
+  }
+};
+
+// The entry at the front of a ticket type's line. Offers go strictly in
+// order: nobody skips ahead, even for a smaller quantity.
+const front = (eventId, ticketTypeId, session = null) =>
+  WaitlistEntry.findOne({
+    event: eventId,
+    ticketType: ticketTypeId,
+    status: 'WAITING',
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .session(session);
+
+module.exports = {
+  WAITLIST_OFFER_MINUTES,
+
+  // Place in line among those still waiting for the same ticket type
+  async position(entry) {
+    if (entry.status !== 'WAITING') return null;
+    const ahead = await WaitlistEntry.countDocuments({
+      event: entry.event,
+      ticketType: entry.ticketType,
+      status: 'WAITING',
+      createdAt: { $lt: entry.createdAt },
+    });
+    return ahead + 1;
+  },
+
+  // Join the line for a ticket type that can't be bought right now
+  async join(event, userId, { ticketTypeId, tier, quantity = 1 }) {
+    const type = inventory.resolveTicketType(event, { ticketTypeId, tier });
+
+    const next = await front(event._id, type._id);
+    if (
+      !(next && next.quantity <= type.available) &&
+      type.available >= quantity
+    ) {
+      throw new AppError(`${type.name} tickets are available`, 409, {
+        code: 'NOT_SOLD_OUT',
+        available: type.available,
+        solution: 'Buy the tickets directly',
+      });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      event: event._id,
+      ticketType: type._id,
+      user: userId,
+      status: { $in: ['WAITING', 'OFFERED'] },
+    });
+    if (existing) {
+      throw new AppError('You are already on this waitlist', 409, {
+        code: 'ALREADY_WAITLISTED',
+        entryId: existing._id,
+        status: existing.status,
+      });
+    }
+
+    return WaitlistEntry.create({
+      event: event._id,
+      ticketType: type._id,
+      tier: type.name,
+      user: userId,
+      quantity,
+    });
+  },
+
+  // Leave the line; an open offer's tickets go to the next person. An offer
+  // being used for a checkout is settled by that order instead.
+  async leave(entry) {
+    if (entry.order) {
+      throw new AppError('Your offer is being used for a checkout', 409, {
+        code: 'OFFER_IN_CHECKOUT',
+        orderId: entry.order,
+      });
+    }
+    await withTransaction(async (session) => {
+      const left = await WaitlistEntry.updateOne(
+        { _id: entry._id, status: entry.status, order: null },
+        { $set: { status: 'LEFT' } },
+        { session }
+      );
+      if (left.modifiedCount !== 1) {
+        throw new AppError('Waitlist entry changed, try again', 409);
+      }
+      if (entry.status === 'OFFERED') {
+        await inventory.releaseUnits(
+          entry.event,
+          entry.ticketType,
+          entry.quantity,
+          session
+        );
+      }
+    });
+    entry.status = 'LEFT';
+  },
+
+  // Returned units belong to the line first: refuse ordinary purchases of
+  // a ticket type while they would cover the front of the line. Units too
+  // few for the person at the front stay on sale.
+  async assertNoQueue(eventId, ticketType, session = null) {
+    const next = await front(eventId, ticketType._id, session);
+    if (next && next.quantity <= (ticketType.available || 0)) {
+      const waiting = await WaitlistEntry.countDocuments({
+        event: eventId,
+        ticketType: ticketType._id,
+        status: 'WAITING',
+      }).session(session);
+      throw new AppError(`${ticketType.name} tickets are sold out`, 409, {
+        code: 'SOLD_OUT',
+        tier: ticketType.name,
+        ticketTypeId: ticketType._id,
+        waitlist: waiting,
+        solution: 'Join the waitlist to be offered returned tickets',
+      });
+    }
+  },
+
+  // Use an open offer for a checkout. Its units are already reserved, so
+  // the order takes them over instead of reserving new ones. The offer
+  // stays OFFERED, tied to the order, until the order is paid
+  // (completeOffers) or released (releaseOffers).
+  async claimOffer(offerId, userId, eventId, orderId, session) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      {
+        _id: offerId,
+        user: userId,
+        event: eventId,
+        status: 'OFFERED',
+        offerExpiresAt: { $gt: new Date() },
+        order: null,
+      },
+      { $set: { order: orderId } },
+      { new: true, session }
+    );
+    if (!entry) {
+      throw new AppError('Waitlist offer is not available', 409, {
+        code: 'OFFER_UNAVAILABLE',
+        solution:
+          'The offer may have expired, been used, or be in use by another checkout',
+      });
+    }
+    return entry;
+  },
+
+  // The order using an offer was paid
+  async completeOffers(orderId, session) {
+    await WaitlistEntry.updateMany(
+      { order: orderId, status: 'OFFERED' },
+      { $set: { status: 'PURCHASED' } },
+      { session }
+    );
+  },
+
+  // The unpaid `orders` using offers were released along with their
+  // tickets' units. Offers still open get their units back, so the holder
+  // keeps their place; lapsed ones expire and leave the units on the event.
+  async releaseOffers(orders, session, now = new Date()) {
+    const entries = await WaitlistEntry.find({
+      order: { $in: orders.map((o) => o._id) },
+      status: 'OFFERED',
+    }).session(session);
+
+    for (const entry of entries) {
+      if (entry.offerExpiresAt > now) {
+        await inventory.reserve(
+          entry.event,
+          { _id: entry.ticketType, name: entry.tier },
+          entry.quantity,
+          session
+        );
+        await WaitlistEntry.updateOne(
+          { _id: entry._id },
+          { $unset: { order: 1 } },
+          { session }
+        );
+      } else {
+        await WaitlistEntry.updateOne(
+          { _id: entry._id },
+          { $set: { status: 'EXPIRED' }, $unset: { order: 1 } },
+          { session }
+        );
+      }
+    }
+  },
+
+  // Offer available units of an event's ticket types to the people at the
+  // front of each line, strictly in order. Resolves to the offers made.
+  async fillOffers(eventId, now = new Date()) {
+    const event = await Event.findById(eventId).select(
+      'name isCancelled ticketTypes'
+    );
+    if (!event || event.isCancelled) return 0;
+
+    let offers = 0;
+    for (const type of event.ticketTypes) {
+      let available = type.available || 0;
+
+      while (available > 0) {
+        const next = await front(event._id, type._id);
+        if (!next || next.quantity > available) break;
+
+        const offerExpiresAt = new Date(
+          now.getTime() + WAITLIST_OFFER_MINUTES * 60 * 1000
+        );
+        try {
+          await withTransaction(async (session) => {
+            await inventory.reserve(event._id, type, next.quantity, session);
+            const offered = await WaitlistEntry.updateOne(
+              { _id: next._id, status: 'WAITING' },
+              {
+                $set: { status: 'OFFERED', offeredAt: now, offerExpiresAt },
+              },
+              { session }
+            );
+            if (offered.modifiedCount !== 1) {
+              throw new AppError('Waitlist entry changed', 409);
+            }
+          });
+        } catch (err) {
+          // Someone bought the units first, or the entry left the line
+          if (err instanceof AppError) break;
+          throw err;
+        }
+
+        available -= next.quantity;
+        offers++;
+        await notify(next.user, {
+          type: 'WAITLIST_OFFER',
+          title: `${type.name} tickets for ${event.name} are yours to buy`,
+          message: `${
+            next.quantity
+          } ticket(s) are reserved for you until ${offerExpiresAt.toISOString()}.`,
+          data: {
+            offerId: next._id,
+            eventId: event._id,
+            ticketTypeId: type._id,
+            quantity: next.quantity,
+            offerExpiresAt,
+          },
+        });
+      }
+    }
+    return offers;
+  },
+
+  // Lapse unused offers and return their units. Offers in a checkout are
+  // left to their order. Resolves to the ids of the events affected, whose
+  // lines can then move on.
+  async expireOffers(now = new Date()) {
+    const lapsed = await WaitlistEntry.find({
+      status: 'OFFERED',
+      offerExpiresAt: { $lte: now },
+      order: null,
+    }).limit(200);
+
+    const events = new Set();
+    for (const entry of lapsed) {
+      await withTransaction(async (session) => {
+        const expired = await WaitlistEntry.updateOne(
+          { _id: entry._id, status: 'OFFERED', order: null },
+          { $set: { status: 'EXPIRED' } },
+          { session }
+        );
+        // Taken into a checkout in the meantime
+        if (expired.modifiedCount !== 1) return;
+        await inventory.releaseUnits(
+          entry.event,
+          entry.ticketType,
+          entry.quantity,
+          session
+        );
+        events.add(entry.event.toString());
+      });
+    }
+    return [...events];
+  },
+
+  // Line length per ticket type for the organizer
+  async summary(eventId) {
+    const counts = await WaitlistEntry.aggregate([
+      { $match: { event: new mongoose.Types.ObjectId(eventId.toString()) } },
+      {
+        $group: {
+          _id: { ticketType: '$ticketType', status: '$status' },
+          entries: { $sum: 1 },
+          tickets: { $sum: '$quantity' },
+        },
+      },
+    ]);
+
+    const byType = new Map();
+    counts.forEach(({ _id, entries, tickets }) => {
+      const key = _id.ticketType.toString();
+      const row = byType.get(key) || {
+        ticketTypeId: _id.ticketType,
+        waiting: 0,
+        waitingTickets: 0,
+        offered: 0,
+        purchased: 0,
+        expired: 0,
+        left: 0,
+      };
+      const status = _id.status.toLowerCase();
+      row[status] = entries;
+      if (_id.status === 'WAITING') row.waitingTickets = tickets;
+      byType.set(key, row);
+    });
+    return [...byType.values()];
+  },
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// Webhook signatures are sent as `t=<unix seconds>,v1=<hex>` where the hex
+// is an HMAC-SHA256 of `${t}.${rawBody}`. Signing the timestamp along with
+// the exact bytes received lets us refuse replays of old deliveries.
+const DEFAULT_TOLERANCE_SECONDS =
+  parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+
+const hmac = (secret, timestamp, rawBody) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+
+module.exports = {
+  sign(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    return `t=${timestamp},v1=${hmac(secret, timestamp, rawBody)}`;
+  },
+
+  // Resolves to { valid, reason } — reason is set when the signature fails
+  verify(
+    rawBody,
+    header,
+    secret,
+    { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}
+  ) {
+    if (!header) return { valid: false, reason: 'MISSING_SIGNATURE' };
+
+    const parts = Object.fromEntries(
+      `${header}`.split(',').map((part) => {
+        const [key, ...value] = part.trim().split('=');
+        return [key, value.join('=')];
+      })
+    );
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) {
+      return { valid: false, reason: 'MALFORMED_SIGNATURE' };
+    }
+
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+      return { valid: false, reason: 'TIMESTAMP_OUT_OF_TOLERANCE' };
+    }
+
+    const expected = Buffer.from(hmac(secret, timestamp, rawBody), 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    if (
+      received.length !== expected.length ||
+      !crypto.timingSafeEqual(received, expected)
+    ) {
+      return { valid: false, reason: 'SIGNATURE_MISMATCH' };
+    }
+
+    return { valid: true };
+  },
+};